@@ -0,0 +1,159 @@
+const std = @import("std");
+
+/// One colored part of a badge after the gray label
+pub const Segment = struct {
+    text: []const u8,
+    color: []const u8,
+};
+
+const label_color = "#555";
+const height = 20;
+const padding = 10;
+
+/// Badge color for a `build_results.build_status` value
+pub fn statusColor(status: []const u8) []const u8 {
+    if (std.mem.eql(u8, status, "success")) return "#4c1";
+    if (std.mem.eql(u8, status, "failed")) return "#e05d44";
+    if (std.mem.eql(u8, status, "pending")) return "#dfb317";
+    return "#9f9f9f";
+}
+
+/// Badge text for a `build_results.build_status` value
+pub fn statusMessage(status: []const u8) []const u8 {
+    if (std.mem.eql(u8, status, "success")) return "passing";
+    if (std.mem.eql(u8, status, "failed")) return "failing";
+    if (std.mem.eql(u8, status, "pending")) return "pending";
+    return "unknown";
+}
+
+/// Short mark shown next to a version in the matrix badge
+pub fn statusSymbol(status: []const u8) []const u8 {
+    if (std.mem.eql(u8, status, "success")) return "✓";
+    if (std.mem.eql(u8, status, "failed")) return "✗";
+    return "…";
+}
+
+/// Approximate width in pixels of text in 11px Verdana, the font badges are drawn in.
+/// Only needs to be close enough that the text fits its box.
+pub fn textWidth(text: []const u8) u32 {
+    var width: u32 = 0;
+    const view = std.unicode.Utf8View.init(text) catch return @intCast(text.len * 7);
+
+    var it = view.iterator();
+    while (it.nextCodepoint()) |c| {
+        width += switch (c) {
+            'i', 'j', 'l', '.', ',', ':', ';', '\'', '!', '|' => 3,
+            ' ', 'f', 'r', 't', '(', ')', '[', ']', '-' => 5,
+            'm', 'w', 'M', 'W' => 11,
+            'A'...'L', 'N'...'V', 'X'...'Z', '0'...'9', '_', '~' => 8,
+            else => 7,
+        };
+    }
+    return width;
+}
+
+/// Writes a flat badge: a gray label followed by one or more colored segments
+pub fn writeBadge(writer: anytype, label: []const u8, segments: []const Segment) !void {
+    const label_width = textWidth(label) + padding;
+    var total_width = label_width;
+    for (segments) |segment| total_width += textWidth(segment.text) + padding;
+
+    try writer.print("<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"{d}\" height=\"{d}\" role=\"img\" aria-label=\"", .{ total_width, height });
+    try writeTitle(writer, label, segments);
+    try writer.writeAll("\"><title>");
+    try writeTitle(writer, label, segments);
+    try writer.writeAll("</title>");
+
+    try writer.writeAll("<linearGradient id=\"s\" x2=\"0\" y2=\"100%\"><stop offset=\"0\" stop-color=\"#bbb\" stop-opacity=\".1\"/><stop offset=\"1\" stop-opacity=\".1\"/></linearGradient>");
+    try writer.print("<clipPath id=\"r\"><rect width=\"{d}\" height=\"{d}\" rx=\"3\" fill=\"#fff\"/></clipPath>", .{ total_width, height });
+
+    // Backgrounds
+    try writer.writeAll("<g clip-path=\"url(#r)\">");
+    try writer.print("<rect width=\"{d}\" height=\"{d}\" fill=\"{s}\"/>", .{ label_width, height, label_color });
+    var x = label_width;
+    for (segments) |segment| {
+        const segment_width = textWidth(segment.text) + padding;
+        try writer.print("<rect x=\"{d}\" width=\"{d}\" height=\"{d}\" fill=\"{s}\"/>", .{ x, segment_width, height, segment.color });
+        x += segment_width;
+    }
+    try writer.print("<rect width=\"{d}\" height=\"{d}\" fill=\"url(#s)\"/></g>", .{ total_width, height });
+
+    // Text, each with a faint shadow one pixel below
+    try writer.writeAll("<g fill=\"#fff\" text-anchor=\"middle\" font-family=\"Verdana,Geneva,DejaVu Sans,sans-serif\" font-size=\"11\">");
+    try writeText(writer, label_width / 2, label);
+    x = label_width;
+    for (segments) |segment| {
+        const segment_width = textWidth(segment.text) + padding;
+        try writeText(writer, x + segment_width / 2, segment.text);
+        x += segment_width;
+    }
+    try writer.writeAll("</g></svg>");
+}
+
+fn writeTitle(writer: anytype, label: []const u8, segments: []const Segment) !void {
+    try writeEscaped(writer, label);
+    try writer.writeAll(":");
+    for (segments) |segment| {
+        try writer.writeAll(" ");
+        try writeEscaped(writer, segment.text);
+    }
+}
+
+fn writeText(writer: anytype, center: u32, text: []const u8) !void {
+    try writer.print("<text x=\"{d}\" y=\"15\" fill=\"#010101\" fill-opacity=\".3\">", .{center});
+    try writeEscaped(writer, text);
+    try writer.print("</text><text x=\"{d}\" y=\"14\">", .{center});
+    try writeEscaped(writer, text);
+    try writer.writeAll("</text>");
+}
+
+fn writeEscaped(writer: anytype, text: []const u8) !void {
+    for (text) |c| {
+        switch (c) {
+            '&' => try writer.writeAll("&amp;"),
+            '<' => try writer.writeAll("&lt;"),
+            '>' => try writer.writeAll("&gt;"),
+            '"' => try writer.writeAll("&quot;"),
+            '\'' => try writer.writeAll("&#39;"),
+            else => try writer.writeByte(c),
+        }
+    }
+}
+
+test "badge has one colored box per segment" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+
+    var svg = std.ArrayList(u8).init(arena.allocator());
+    try writeBadge(svg.writer(), "zig", &.{
+        .{ .text = "0.13.0 ✓", .color = statusColor("success") },
+        .{ .text = "0.14.0 ✗", .color = statusColor("failed") },
+    });
+
+    try std.testing.expect(std.mem.startsWith(u8, svg.items, "<svg "));
+    try std.testing.expect(std.mem.endsWith(u8, svg.items, "</svg>"));
+    try std.testing.expectEqual(@as(usize, 4), std.mem.count(u8, svg.items, "<rect "));
+    try std.testing.expect(std.mem.indexOf(u8, svg.items, "fill=\"#4c1\"") != null);
+    try std.testing.expect(std.mem.indexOf(u8, svg.items, "fill=\"#e05d44\"") != null);
+    try std.testing.expect(std.mem.indexOf(u8, svg.items, "<title>zig: 0.13.0 ✓ 0.14.0 ✗</title>") != null);
+}
+
+test "badge text is escaped" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+
+    var svg = std.ArrayList(u8).init(arena.allocator());
+    try writeBadge(svg.writer(), "<script>alert(1)</script>", &.{.{ .text = "\" onload=\"x", .color = statusColor("pending") }});
+
+    try std.testing.expect(std.mem.indexOf(u8, svg.items, "<script>") == null);
+    try std.testing.expect(std.mem.indexOf(u8, svg.items, "\" onload") == null);
+    try std.testing.expect(std.mem.indexOf(u8, svg.items, "&lt;script&gt;") != null);
+}
+
+test "status colors and messages" {
+    try std.testing.expectEqualStrings("passing", statusMessage("success"));
+    try std.testing.expectEqualStrings("failing", statusMessage("failed"));
+    try std.testing.expectEqualStrings("unknown", statusMessage("no_such_status"));
+    try std.testing.expectEqualStrings("#9f9f9f", statusColor(""));
+    try std.testing.expect(textWidth("0.14.0") < textWidth("master"));
+}
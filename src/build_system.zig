@@ -26,6 +26,22 @@ pub const ZigVersion = enum {
     @"0.13.0",
     @"0.12.0",
 
+    /// Every Zig version packages are built against
+    pub const all = [_]ZigVersion{ .master, .@"0.14.0", .@"0.13.0", .@"0.12.0" };
+
+    /// `all` as "master, 0.14.0, ...", for messages that list the supported versions
+    pub const all_names = blk: {
+        var names: []const u8 = "";
+        for (all, 0..) |version, i| {
+            names = names ++ (if (i > 0) ", " else "") ++ version.toString();
+        }
+        break :blk names;
+    };
+
+    pub fn fromString(value: []const u8) ?ZigVersion {
+        return std.meta.stringToEnum(ZigVersion, value);
+    }
+
     pub fn toString(self: ZigVersion) []const u8 {
         return switch (self) {
             .master => "master",
@@ -133,6 +149,7 @@ const MultiVersionBuildTask = struct {
         const arena_allocator = arena.allocator();
         const package_name_copy = try arena_allocator.dupe(u8, package_name);
         const repo_url_copy = try arena_allocator.dupe(u8, repo_url);
+        const versions_copy = try arena_allocator.dupe(ZigVersion, versions);
 
         return MultiVersionBuildTask{
             .parent_allocator = parent_allocator,
@@ -141,7 +158,7 @@ const MultiVersionBuildTask = struct {
             .package_id = package_id,
             .package_name = package_name_copy,
             .repo_url = repo_url_copy,
-            .versions = versions,
+            .versions = versions_copy,
         };
     }
 
@@ -345,8 +362,11 @@ pub const BuildSystem = struct {
 
     /// Start builds for a package across all Zig versions
     pub fn startPackageBuilds(self: *Self, package_id: i64, package_name: []const u8, repo_url: []const u8) BuildError!void {
-        const versions = [_]ZigVersion{ .master, .@"0.14.0", .@"0.13.0", .@"0.12.0" };
+        return self.startPackageBuildsForVersions(package_id, package_name, repo_url, &ZigVersion.all);
+    }
 
+    /// Start builds for a package across the given Zig versions
+    pub fn startPackageBuildsForVersions(self: *Self, package_id: i64, package_name: []const u8, repo_url: []const u8, versions: []const ZigVersion) BuildError!void {
         // Check if Docker is available
         const docker_available = self.checkDockerAvailable() catch false;
         if (!docker_available) {
@@ -377,7 +397,7 @@ pub const BuildSystem = struct {
         }
 
         // Create task context for all versions
-        const task_context = MultiVersionBuildTask.init(self.allocator, self.db, package_id, package_name, repo_url, &versions) catch |err| {
+        const task_context = MultiVersionBuildTask.init(self.allocator, self.db, package_id, package_name, repo_url, versions) catch |err| {
             log.err("Failed to create MultiVersionBuildTask for package {s}: {}", .{ package_name, err });
             return BuildError.AllocationError;
         };
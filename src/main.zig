@@ -32,13 +32,23 @@ const FsDir = http.FsDir;
 const lib = @import("zig_pkg_checker_lib");
 const build_system = @import("build_system.zig");
 const template_engine = @import("template_engine.zig");
+const repo_hosts = @import("repo_hosts.zig");
+const badges = @import("badges.zig");
+const zon = @import("zon.zig");
 
+// One connection shared by every handler and thread; writes hold build_sys.db_mutex (see execLocked)
 var db: sqlite.Database = undefined;
 var gpa: std.heap.GeneralPurposeAllocator(.{}) = undefined;
 var allocator: Allocator = undefined;
 var build_sys: build_system.BuildSystem = undefined;
 var global_runtime: ?*Runtime = null;
 
+// Self-hosted Gitea/Forgejo instances packages may be submitted from. Only listed
+// hosts are contacted, so a submission cannot make the server fetch arbitrary URLs.
+// The comma-separated GITEA_HOSTS environment variable replaces the default list.
+const DEFAULT_GITEA_HOSTS = "gitea.com";
+var repo_registry: repo_hosts.Registry = .{};
+
 // Admin authentication system
 const ADMIN_TOKEN = "zig-pkg-checker-admin-2024"; // Simple stub token
 var cron_system: ?*CronSystem = null;
@@ -51,6 +61,7 @@ const CronSystem = struct {
     build_system: *build_system.BuildSystem,
     daily_thread: ?std.Thread = null,
     build_check_thread: ?std.Thread = null,
+    dependency_scan_thread: ?std.Thread = null,
     is_running: bool = false,
 
     const Self = @This();
@@ -64,6 +75,7 @@ const CronSystem = struct {
             .build_system = build_sys_ptr,
             .daily_thread = null,
             .build_check_thread = null,
+            .dependency_scan_thread = null,
             .is_running = false,
         };
         return self;
@@ -103,6 +115,23 @@ const CronSystem = struct {
             return err;
         };
 
+        // Spawn background thread for queued build.zig.zon reads
+        self.dependency_scan_thread = std.Thread.spawn(.{
+            .stack_size = 2 * 1024 * 1024, // 2MB stack
+        }, dependencyScanTask, .{self}) catch |err| {
+            log.err("Failed to spawn dependency scan task: {}", .{err});
+            self.is_running = false;
+            if (self.daily_thread) |thread| {
+                thread.join();
+                self.daily_thread = null;
+            }
+            if (self.build_check_thread) |thread| {
+                thread.join();
+                self.build_check_thread = null;
+            }
+            return err;
+        };
+
         log.info("Cron system started successfully", .{});
     }
 
@@ -123,6 +152,11 @@ const CronSystem = struct {
             self.build_check_thread = null;
         }
 
+        if (self.dependency_scan_thread) |thread| {
+            thread.join();
+            self.dependency_scan_thread = null;
+        }
+
         log.info("Cron system stopped", .{});
     }
 
@@ -176,6 +210,31 @@ const CronSystem = struct {
         log.info("Build health check task terminated", .{});
     }
 
+    // Dependency scan task: reads queued build.zig.zon files a few at a time
+    fn dependencyScanTask(self: *Self) void {
+        log.info("Starting dependency scan task", .{});
+
+        // Packages that were never scanned are picked up without waiting for the daily check
+        queueStaleDependencyScans() catch |err| {
+            log.err("Failed to queue dependency scans: {}", .{err});
+        };
+
+        while (self.is_running) {
+            const scanned = runDependencyScans(self.allocator) catch |err| blk: {
+                log.err("Dependency scan failed: {}", .{err});
+                break :blk 0;
+            };
+            if (scanned > 0) {
+                log.debug("Dependency scanner read {d} build.zig.zon files", .{scanned});
+            }
+
+            // Next batch in a minute
+            std.time.sleep(60 * std.time.ns_per_s);
+        }
+
+        log.info("Dependency scan task terminated", .{});
+    }
+
     // Check all packages for missing or outdated builds
     fn checkAllPackagesForBuilds(self: *Self) !void {
         log.info("Checking all packages for missing builds", .{});
@@ -200,6 +259,11 @@ const CronSystem = struct {
         };
         defer stmt.reset();
 
+        // Stale build.zig.zon reads are queued so dependency graphs and "used by" lists follow the repositories
+        queueStaleDependencyScans() catch |err| {
+            log.err("Failed to queue dependency scans for daily check: {}", .{err});
+        };
+
         var packages_checked: usize = 0;
         var builds_started: usize = 0;
 
@@ -514,6 +578,7 @@ fn getPageTitle(template_name: []const u8) []const u8 {
     if (std.mem.eql(u8, template_name, "api.html")) return "API Documentation";
     if (std.mem.eql(u8, template_name, "build_results.html")) return "Build Results";
     if (std.mem.eql(u8, template_name, "builds.html")) return "All Builds";
+    if (std.mem.eql(u8, template_name, "compare.html")) return "Compare Packages";
     return "Zig Package Checker";
 }
 
@@ -644,22 +709,45 @@ fn submit_handler(ctx: *const Context, _: void) !Respond {
         return handleFormSubmission(ctx);
     }
 
-    // Regular GET request without parameters - render the form
-    return renderTemplate(ctx, "submit.html");
+    // Regular GET request without parameters - render the form. The page needs the
+    // Gitea/Forgejo allowlist to tell which hosts will be accepted.
+    const data = struct {
+        title: []const u8,
+        gitea_hosts: []const u8,
+    }{
+        .title = getPageTitle("submit.html"),
+        .gitea_hosts = try std.mem.join(ctx.allocator, ",", repo_registry.gitea_hosts),
+    };
+    return renderTemplateWithData(ctx, "submit.html", data);
+}
+
+// Stable error code for a repository URL that cannot be submitted; clients key on this, not the message
+fn repoUrlErrorCode(err: anyerror) []const u8 {
+    return switch (err) {
+        error.UnsupportedHost => "unsupported_host",
+        else => "invalid_url",
+    };
 }
 
-// GitHub repository information structure
-const GitHubRepoInfo = struct {
-    name: []const u8,
-    author: []const u8,
-    description: ?[]const u8,
-    license: ?[]const u8,
-    language: ?[]const u8,
-    url: []const u8,
-};
+// User-facing explanation for a repository URL that cannot be submitted
+fn repoUrlErrorMessage(err: anyerror) []const u8 {
+    return switch (err) {
+        error.UnsupportedHost => "Unsupported repository host. Packages can be submitted from GitHub, Codeberg, SourceHut or a supported Gitea/Forgejo instance.",
+        else => "Invalid repository URL. Use https://host/owner/repository (SourceHut: https://git.sr.ht/~owner/repository).",
+    };
+}
+
+// Checks the optional source_type sent with a submission against the host detected from the URL
+fn sourceTypeMatches(claimed: ?[]const u8, ref: repo_hosts.RepoRef) bool {
+    const value = claimed orelse return true;
+    if (value.len == 0) return true;
+    return repo_hosts.SourceType.fromString(value) == ref.source_type;
+}
 
 fn handleFormSubmission(ctx: *const Context) !Respond {
     var url: ?[]const u8 = null;
+    var source_type: ?[]const u8 = null;
+    defer if (source_type) |st| ctx.allocator.free(st);
 
     if (ctx.request.method) |method| {
         if (method == .GET) {
@@ -668,67 +756,56 @@ fn handleFormSubmission(ctx: *const Context) !Respond {
                 if (std.mem.indexOf(u8, uri, "?")) |query_start| {
                     const query = uri[query_start + 1 ..];
                     url = extractUrlParam(ctx.allocator, query, "url");
+                    source_type = extractUrlParam(ctx.allocator, query, "source_type");
                 }
             }
         } else {
             // Handle POST with form data (application/x-www-form-urlencoded)
             const body = ctx.request.body orelse {
-                return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.HTML, .body = 
-                    \\<html><body>
-                    \\<h1>Error</h1>
-                    \\<p>Request body is required</p>
-                    \\<a href="/submit">Go back</a>
-                    \\</body></html>
+                return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
+                    \\{
+                    \\  "error": "Request body is required",
+                    \\  "code": "missing_body"
+                    \\}
                 });
             };
 
             // Parse URL-encoded form data from body
             url = extractUrlParam(ctx.allocator, body, "url");
+            source_type = extractUrlParam(ctx.allocator, body, "source_type");
         }
     }
 
-    // Validate required field
+    // Failures answer with the same JSON error codes as POST /api/packages
     if (url == null) {
-        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.HTML, .body = 
-            \\<html><body>
-            \\<h1>Error</h1>
-            \\<p>Missing required field: url</p>
-            \\<a href="/submit">Go back</a>
-            \\</body></html>
+        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
+            \\{
+            \\  "error": "Missing required field: url",
+            \\  "code": "missing_url"
+            \\}
         });
     }
 
     log.info("Package submission for URL: '{s}'", .{url.?});
 
-    // Fetch repository information from GitHub
-    const repo_info = fetchGitHubRepoInfo(ctx.allocator, url.?) catch |err| {
-        log.err("Failed to fetch GitHub repository info for {s}: {}", .{ url.?, err });
+    const repo_ref = repo_registry.parse(url.?) catch |err| {
+        return repoUrlErrorResponse(ctx, err);
+    };
 
-        const error_message = switch (err) {
-            error.NotZigProject =>
-            \\<html><body>
-            \\<h1>Error: Not a Zig Project</h1>
-            \\<p>The submitted repository is not a valid Zig project. To be accepted, the repository must:</p>
-            \\<ul>
-            \\<li>Have Zig as the primary language, OR</li>
-            \\<li>Contain a <code>build.zig</code> file in the root directory</li>
-            \\</ul>
-            \\<p>Please ensure your repository is a valid Zig project before submitting.</p>
-            \\<a href="/submit">Go back</a>
-            \\</body></html>
-            ,
-            else =>
-            \\<html><body>
-            \\<h1>Error</h1>
-            \\<p>Failed to fetch repository information from GitHub. Please ensure the URL is correct and the repository is public.</p>
-            \\<a href="/submit">Go back</a>
-            \\</body></html>
-            ,
-        };
+    if (!sourceTypeMatches(source_type, repo_ref)) {
+        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
+            \\{
+            \\  "error": "source_type does not match the repository host",
+            \\  "code": "source_type_mismatch"
+            \\}
+        });
+    }
 
-        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.HTML, .body = error_message });
+    // Fetch repository information from the host
+    const repo_info = repo_registry.fetchRepoInfo(ctx.allocator, repo_ref) catch |err| {
+        return repoFetchErrorResponse(ctx, url.?, repo_ref, err);
     };
-    defer freeGitHubRepoInfo(ctx.allocator, repo_info);
+    defer repo_info.deinit(ctx.allocator);
 
     // Add debug logs for the fetched data
     log.debug("Fetched repository details:", .{});
@@ -737,17 +814,19 @@ fn handleFormSubmission(ctx: *const Context) !Respond {
     log.debug("  Description: '{s}'", .{repo_info.description orelse "null"});
     log.debug("  Author: '{s}'", .{repo_info.author});
     log.debug("  License: '{s}'", .{repo_info.license orelse "null"});
+    log.debug("  Source: '{s}'", .{repo_info.source_type.toString()});
 
     // Insert package into database
-    const insert_query = "INSERT INTO packages (name, url, description, author, license) VALUES (:name, :url, :description, :author, :license)";
+    const insert_query = "INSERT INTO packages (name, url, description, author, license, source_type) VALUES (:name, :url, :description, :author, :license, :source_type)";
     log.debug("Executing SQL: {s}", .{insert_query});
 
-    db.exec(insert_query, .{
+    execLocked(insert_query, .{
         .name = sqlite.text(repo_info.name),
         .url = sqlite.text(repo_info.url),
         .description = sqlite.text(repo_info.description orelse ""),
         .author = sqlite.text(repo_info.author),
         .license = if (repo_info.license) |lic| sqlite.text(lic) else null,
+        .source_type = sqlite.text(repo_info.source_type.toString()),
     }) catch |err| {
         log.err("Database insertion failed with error: {}", .{err});
         log.err("Failed query: {s}", .{insert_query});
@@ -757,14 +836,16 @@ fn handleFormSubmission(ctx: *const Context) !Respond {
         if (err == error.SQLITE_CONSTRAINT) {
             return ctx.response.apply(.{ .status = .Conflict, .mime = http.Mime.JSON, .body = 
                 \\{
-                \\  "error": "Package already exists. A package with this name or URL has already been submitted."
+                \\  "error": "Package already exists. A package with this name or URL has already been submitted.",
+                \\  "code": "duplicate_package"
                 \\}
             });
         }
 
         return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Failed to insert package into database"
+            \\  "error": "Failed to insert package into database",
+            \\  "code": "database_error"
             \\}
         });
     };
@@ -777,7 +858,8 @@ fn handleFormSubmission(ctx: *const Context) !Respond {
         log.err("Failed to prepare statement for package ID retrieval: {}", .{err});
         return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Failed to retrieve package ID"
+            \\  "error": "Failed to retrieve package ID",
+            \\  "code": "database_error"
             \\}
         });
     };
@@ -787,7 +869,8 @@ fn handleFormSubmission(ctx: *const Context) !Respond {
         log.err("Failed to bind package name for ID lookup: {}", .{err});
         return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Failed to bind package name for ID lookup"
+            \\  "error": "Failed to bind package name for ID lookup",
+            \\  "code": "database_error"
             \\}
         });
     };
@@ -796,7 +879,8 @@ fn handleFormSubmission(ctx: *const Context) !Respond {
     const package_id = if (id_stmt.step() catch null) |result| result.id else {
         return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Failed to retrieve inserted package ID"
+            \\  "error": "Failed to retrieve inserted package ID",
+            \\  "code": "database_error"
             \\}
         });
     };
@@ -817,7 +901,13 @@ fn handleFormSubmission(ctx: *const Context) !Respond {
         };
     }
 
-    // Return success page
+    // Dependencies feed the graph on the build results page; the dependency scanner reads them shortly
+    queueDependencyScan(package_id) catch |err| {
+        log.warn("Failed to queue dependency scan for '{s}': {}", .{ repo_info.name, err });
+    };
+
+    // Return success page; every field comes from the repository host and is escaped
+    const escape = template_engine.escapeHtml;
     const success_body = try std.fmt.allocPrint(ctx.allocator,
         \\<html><body>
         \\<h1>Package Submitted Successfully!</h1>
@@ -830,7 +920,14 @@ fn handleFormSubmission(ctx: *const Context) !Respond {
         \\<p>Build process has been started for all Zig versions.</p>
         \\<p><a href="/packages">View all packages</a> | <a href="/submit">Submit another package</a></p>
         \\</body></html>
-    , .{ repo_info.name, repo_info.url, repo_info.description orelse "No description", repo_info.author, repo_info.license orelse "No license", package_id });
+    , .{
+        try escape(ctx.allocator, repo_info.name),
+        try escape(ctx.allocator, repo_info.url),
+        try escape(ctx.allocator, repo_info.description orelse "No description"),
+        try escape(ctx.allocator, repo_info.author),
+        try escape(ctx.allocator, repo_info.license orelse "No license"),
+        package_id,
+    });
 
     return ctx.response.apply(.{
         .status = .OK,
@@ -909,6 +1006,11 @@ fn api_docs_handler(ctx: *const Context, _: void) !Respond {
     return renderTemplate(ctx, "api.html");
 }
 
+fn compare_handler(ctx: *const Context, _: void) !Respond {
+    // Packages to compare come from the query string and are loaded client-side
+    return renderTemplate(ctx, "compare.html");
+}
+
 fn builds_handler(ctx: *const Context, _: void) !Respond {
     // Parse query parameters for filtering and pagination
     const query_string = if (ctx.request.uri) |uri| blk: {
@@ -939,8 +1041,8 @@ fn builds_handler(ctx: *const Context, _: void) !Respond {
     defer if (limit_str) |l| ctx.allocator.free(l);
 
     // Parse pagination parameters
-    const page = if (page_str) |p| std.fmt.parseInt(i32, p, 10) catch 1 else 1;
-    const limit = if (limit_str) |l| std.fmt.parseInt(i32, l, 10) catch 20 else 20;
+    const page = @max(1, if (page_str) |p| std.fmt.parseInt(i32, p, 10) catch 1 else 1);
+    const limit = std.math.clamp(if (limit_str) |l| std.fmt.parseInt(i32, l, 10) catch 20 else 20, 1, 100);
 
     log.debug("builds_handler: search={s}, zig_version={s}, status={s}, sort={s}, page={d}, limit={d}", .{ if (search) |s| s else "null", if (zig_version) |v| v else "null", if (status) |s| s else "null", if (sort) |s| s else "null", page, limit });
 
@@ -1029,245 +1131,1015 @@ fn build_results_handler(ctx: *const Context, _: void) !Respond {
     return renderTemplateWithData(ctx, "build_results.html", build_data);
 }
 
-// Static file serving is now handled by FsDir middleware
+// Compatibility badges for READMEs, drawn from the same build results as the package pages.
+// Every response is an SVG, errors included, so a broken badge still shows why.
 
-// API handlers
-fn api_health_handler(ctx: *const Context, _: void) !Respond {
-    return ctx.response.apply(.{
-        .status = .OK,
-        .mime = http.Mime.JSON,
-        .body =
-        \\{
-        \\  "status": "healthy",
-        \\  "timestamp": "2024-01-01T00:00:00Z",
-        \\  "database": "connected",
-        \\  "version": "1.0.0"
-        \\}
-        ,
-        .headers = addCorsHeaders(),
-    });
-}
+// GET /badges/{name}: the newest Zig version the package builds on
+fn package_badge_handler(ctx: *const Context, _: void) !Respond {
+    const package_name = routeCapture(ctx, 0) orelse return badgeResponse(ctx, .@"Bad Request", "zig", "invalid package", "");
 
-fn api_github_info_handler(ctx: *const Context, _: void) !Respond {
-    if (ctx.request.method) |method| {
-        if (method == .POST) {
-            return api_get_github_info(ctx);
+    const custom_label = badgeLabelParam(ctx);
+    defer if (custom_label) |l| ctx.allocator.free(l);
+    const label = custom_label orelse "zig";
+
+    const build_data = fetchBuildResultsPageData(ctx.allocator, package_name) catch |err| {
+        return badgeLookupError(ctx, label, err);
+    };
+    defer freeBuildResultsPageData(ctx.allocator, build_data);
+
+    // Results come newest version first; master only counts when no release builds
+    var newest_release: ?[]const u8 = null;
+    var master_builds = false;
+    var any_failed = false;
+    for (build_data.build_results) |result| {
+        if (std.mem.eql(u8, result.build_status, "success")) {
+            if (std.mem.eql(u8, result.zig_version, "master")) {
+                master_builds = true;
+            } else if (newest_release == null) {
+                newest_release = result.zig_version;
+            }
+        } else if (std.mem.eql(u8, result.build_status, "failed")) {
+            any_failed = true;
         }
     }
 
-    return ctx.response.apply(.{
-        .status = .@"Method Not Allowed",
-        .mime = http.Mime.TEXT,
-        .body = "Method not allowed",
-        .headers = addCorsHeaders(),
-    });
+    const newest_version = newest_release orelse if (master_builds) @as([]const u8, "master") else null;
+    if (newest_version) |version| {
+        const message = try std.fmt.allocPrint(ctx.allocator, "{s} {s}", .{ version, badges.statusSymbol("success") });
+        defer ctx.allocator.free(message);
+        return badgeResponse(ctx, .OK, label, message, "success");
+    }
+
+    const status: []const u8 = if (any_failed) "failed" else if (build_data.build_results.len > 0) "pending" else "";
+    return badgeResponse(ctx, .OK, label, badges.statusMessage(status), status);
 }
 
-fn api_get_github_info(ctx: *const Context) !Respond {
-    // Read request body
-    const body = ctx.request.body orelse {
-        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
-            \\{
-            \\  "error": "Request body is required"
-            \\}
-        });
-    };
+// GET /badges/{name}/{version}: one Zig version, or `matrix` for every targeted version side by side
+fn version_badge_handler(ctx: *const Context, _: void) !Respond {
+    const package_name = routeCapture(ctx, 0) orelse return badgeResponse(ctx, .@"Bad Request", "zig", "invalid package", "");
+    const version = routeCapture(ctx, 1) orelse return badgeResponse(ctx, .@"Bad Request", "zig", "invalid version", "");
 
-    log.debug("Received GitHub info request: {s}", .{body});
+    const custom_label = badgeLabelParam(ctx);
+    defer if (custom_label) |l| ctx.allocator.free(l);
 
-    // Extract URL from JSON request
-    const url = extractJsonField(ctx.allocator, body, "url") orelse {
-        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
-            \\{
-            \\  "error": "Missing required field: url"
-            \\}
-        });
+    const build_data = fetchBuildResultsPageData(ctx.allocator, package_name) catch |err| {
+        return badgeLookupError(ctx, custom_label orelse "zig", err);
     };
-    defer ctx.allocator.free(url);
+    defer freeBuildResultsPageData(ctx.allocator, build_data);
 
-    // Validate GitHub URL
-    if (!isValidGitHubUrl(url)) {
-        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
-            \\{
-            \\  "error": "Invalid GitHub URL format"
-            \\}
-        });
+    if (std.mem.eql(u8, version, "matrix")) {
+        // Oldest to newest with master last, like the compatibility matrix on the packages page
+        // (`ZigVersion.all` is newest first). Versions without a result yet show as pending there too.
+        const versions = build_system.ZigVersion.all;
+        var segments: [versions.len]badges.Segment = undefined;
+        var texts: [versions.len][]u8 = undefined;
+        var written: usize = 0;
+        defer for (texts[0..written]) |text| ctx.allocator.free(text);
+
+        for (0..versions.len) |i| {
+            const zig_version = versions[versions.len - 1 - i].toString();
+            const status: []const u8 = buildStatusFor(build_data.build_results, zig_version) orelse "pending";
+
+            texts[i] = try std.fmt.allocPrint(ctx.allocator, "{s} {s}", .{ zig_version, badges.statusSymbol(status) });
+            written += 1;
+            segments[i] = .{ .text = texts[i], .color = badges.statusColor(status) };
+        }
+
+        var svg = std.ArrayList(u8).init(ctx.allocator);
+        errdefer svg.deinit();
+        try badges.writeBadge(svg.writer(), custom_label orelse "zig", &segments);
+        return svgResponse(ctx, .OK, try svg.toOwnedSlice());
     }
 
-    // Fetch repository information from GitHub
-    const repo_info = fetchGitHubRepoInfo(ctx.allocator, url) catch |err| {
-        log.err("Failed to fetch GitHub repository info for {s}: {}", .{ url, err });
+    const default_label = try std.fmt.allocPrint(ctx.allocator, "zig {s}", .{version});
+    defer ctx.allocator.free(default_label);
 
-        const error_message = switch (err) {
-            error.NotZigProject =>
-            \\{
-            \\  "error": "Repository is not a valid Zig project. It must have Zig as the primary language or contain a build.zig file."
-            \\}
-            ,
-            else =>
-            \\{
-            \\  "error": "Failed to fetch repository information from GitHub"
-            \\}
-            ,
-        };
+    const status: []const u8 = buildStatusFor(build_data.build_results, version) orelse
+        if (build_system.ZigVersion.fromString(version) != null) "pending" else "";
+    return badgeResponse(ctx, .OK, custom_label orelse default_label, badges.statusMessage(status), status);
+}
 
-        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = error_message });
+fn routeCapture(ctx: *const Context, index: usize) ?[]const u8 {
+    if (ctx.captures.len <= index) return null;
+    return switch (ctx.captures[index]) {
+        .string => |value| if (value.len > 0) value else null,
+        else => null,
     };
-    defer freeGitHubRepoInfo(ctx.allocator, repo_info);
+}
 
-    // Build JSON response
-    const response_body = try std.fmt.allocPrint(ctx.allocator,
-        \\{{
-        \\  "name": "{s}",
-        \\  "author": "{s}",
-        \\  "description": "{s}",
-        \\  "license": "{s}",
-        \\  "language": "{s}",
-        \\  "url": "{s}"
-        \\}}
-    , .{ repo_info.name, repo_info.author, repo_info.description orelse "", repo_info.license orelse "", repo_info.language orelse "", repo_info.url });
+fn badgeLabelParam(ctx: *const Context) ?[]const u8 {
+    const uri = ctx.request.uri orelse return null;
+    const query_start = std.mem.indexOf(u8, uri, "?") orelse return null;
+    return extractUrlParam(ctx.allocator, uri[query_start + 1 ..], "label");
+}
 
-    return ctx.response.apply(.{
-        .status = .OK,
-        .mime = http.Mime.JSON,
-        .body = response_body,
-        .headers = addCorsHeaders(),
-    });
+fn buildStatusFor(results: []const BuildResultsPageData.BuildResultDetail, zig_version: []const u8) ?[]const u8 {
+    for (results) |result| {
+        if (std.mem.eql(u8, result.zig_version, zig_version)) return result.build_status;
+    }
+    return null;
 }
 
-fn api_packages_handler(ctx: *const Context, _: void) !Respond {
-    if (ctx.request.method) |method| {
-        if (method == .GET) {
-            return api_get_packages(ctx, .{});
-        } else if (method == .POST) {
-            return api_create_package(ctx, .{});
-        }
+fn badgeLookupError(ctx: *const Context, label: []const u8, err: anyerror) !Respond {
+    if (err == error.PackageNotFound) {
+        return badgeResponse(ctx, .@"Not Found", label, "package not found", "");
     }
+    log.err("Failed to fetch build results for badge: {}", .{err});
+    return badgeResponse(ctx, .@"Internal Server Error", label, "unavailable", "");
+}
+
+fn badgeResponse(ctx: *const Context, status: http.Status, label: []const u8, message: []const u8, build_status: []const u8) !Respond {
+    var svg = std.ArrayList(u8).init(ctx.allocator);
+    errdefer svg.deinit();
+    try badges.writeBadge(svg.writer(), label, &.{.{ .text = message, .color = badges.statusColor(build_status) }});
+    return svgResponse(ctx, status, try svg.toOwnedSlice());
+}
 
+fn svgResponse(ctx: *const Context, status: http.Status, body: []const u8) !Respond {
     return ctx.response.apply(.{
-        .status = .@"Method Not Allowed",
-        .mime = http.Mime.TEXT,
-        .body = "Method not allowed",
-        .headers = addCorsHeaders(),
+        .status = status,
+        .mime = http.Mime.SVG,
+        .body = body,
+        // Short cache so READMEs pick up new results without fetching on every view
+        .headers = &[_][2][]const u8{
+            .{ "Access-Control-Allow-Origin", "*" },
+            .{ "Cache-Control", "public, max-age=300" },
+        },
     });
 }
 
-fn api_get_packages(ctx: *const Context, _: void) !Respond {
-    // Parse query parameters
-    const query_string = if (ctx.request.uri) |uri| blk: {
-        if (std.mem.indexOf(u8, uri, "?")) |query_start| {
-            break :blk uri[query_start + 1 ..];
-        } else {
-            break :blk "";
-        }
-    } else "";
+// Dependency graph for the build results page, built from each package's build.zig.zon.
+// Submissions and the daily check only queue a read; the dependency scanner in the cron
+// system fetches the manifests, so requests never wait on a repository host.
 
-    // Extract query parameters
-    const search = extractUrlParam(ctx.allocator, query_string, "search");
-    defer if (search) |s| ctx.allocator.free(s);
+/// Most nodes returned for one graph; dependencies found past this are left out
+const DEPENDENCY_GRAPH_MAX_NODES = 100;
+/// Queued build.zig.zon reads done per run of the dependency scanner (one run a minute)
+const DEPENDENCY_SCANS_PER_RUN = 5;
 
-    const zig_version = extractUrlParam(ctx.allocator, query_string, "zig_version");
-    defer if (zig_version) |v| ctx.allocator.free(v);
+const PackageRef = struct {
+    id: i64,
+    name: []const u8,
+    url: []const u8,
+};
 
-    const status = extractUrlParam(ctx.allocator, query_string, "status");
-    defer if (status) |s| ctx.allocator.free(s);
+const StoredDependency = struct {
+    name: []const u8,
+    url: ?[]const u8,
+    path: ?[]const u8,
+    lazy: bool,
+    repo_url: ?[]const u8,
+    package_id: ?i64,
+    package_name: ?[]const u8,
+};
 
-    const license = extractUrlParam(ctx.allocator, query_string, "license");
-    defer if (license) |l| ctx.allocator.free(l);
+const DependencyScan = struct {
+    scan_status: ?[]const u8, // null until a read completes
+    scanned_at: ?[]const u8,
+    queued: bool,
+    retry_after: ?[]const u8, // set after a failed read
+};
 
-    const author = extractUrlParam(ctx.allocator, query_string, "author");
-    defer if (author) |a| ctx.allocator.free(a);
+const DependencyNode = struct {
+    id: []const u8,
+    name: []const u8,
+    package_id: ?i64, // set for packages in the catalogue
+    url: ?[]const u8,
+    path: ?[]const u8,
+    depth: u32,
+};
 
-    const sort = extractUrlParam(ctx.allocator, query_string, "sort");
-    defer if (sort) |s| ctx.allocator.free(s);
+const DependencyEdge = struct {
+    from: []const u8,
+    to: []const u8,
+    lazy: bool,
+};
 
-    const page_str = extractUrlParam(ctx.allocator, query_string, "page");
-    defer if (page_str) |p| ctx.allocator.free(p);
+// GET /api/packages/{name}/dependencies: the package's dependency graph and the catalogue packages that use it
+fn api_package_dependencies_handler(ctx: *const Context, _: void) !Respond {
+    const package_name = routeCapture(ctx, 0) orelse return ctx.response.apply(.{
+        .status = .@"Bad Request",
+        .mime = http.Mime.JSON,
+        .body =
+        \\{
+        \\  "error": "Invalid package name in URL",
+        \\  "code": "invalid_package_name"
+        \\}
+        ,
+        .headers = addCorsHeaders(),
+    });
 
-    const limit_str = extractUrlParam(ctx.allocator, query_string, "limit");
-    defer if (limit_str) |l| ctx.allocator.free(l);
+    var arena = std.heap.ArenaAllocator.init(ctx.allocator);
+    defer arena.deinit();
+    const alloc = arena.allocator();
 
-    // Parse pagination parameters
-    const page = if (page_str) |p| std.fmt.parseInt(i32, p, 10) catch 1 else 1;
-    const limit = if (limit_str) |l| std.fmt.parseInt(i32, l, 10) catch 20 else 20;
-    const offset = (page - 1) * limit;
+    const body = writeDependencyGraph(alloc, package_name) catch |err| {
+        if (err == error.PackageNotFound) {
+            return ctx.response.apply(.{
+                .status = .@"Not Found",
+                .mime = http.Mime.JSON,
+                .body =
+                \\{
+                \\  "error": "Package not found",
+                \\  "code": "package_not_found"
+                \\}
+                ,
+                .headers = addCorsHeaders(),
+            });
+        }
 
-    log.debug("API packages query parameters: search={s}, zig_version={s}, status={s}, license={s}, author={s}, sort={s}, page={d}, limit={d}", .{ if (search) |s| s else "null", if (zig_version) |v| v else "null", if (status) |s| s else "null", if (license) |l| l else "null", if (author) |a| a else "null", if (sort) |s| s else "null", page, limit });
+        log.err("Failed to build dependency graph for '{s}': {}", .{ package_name, err });
+        return ctx.response.apply(.{
+            .status = .@"Internal Server Error",
+            .mime = http.Mime.JSON,
+            .body =
+            \\{
+            \\  "error": "Database query failed",
+            \\  "code": "database_error"
+            \\}
+            ,
+            .headers = addCorsHeaders(),
+        });
+    };
 
-    // Build WHERE clause conditions
-    var where_parts = std.ArrayList([]const u8).init(ctx.allocator);
-    defer where_parts.deinit();
+    return ctx.response.apply(.{
+        .status = .OK,
+        .mime = http.Mime.JSON,
+        .body = try ctx.allocator.dupe(u8, body),
+        .headers = addCorsHeaders(),
+    });
+}
 
-    // Add search condition
-    if (search) |s| {
-        if (s.len > 0) {
-            const search_condition = try std.fmt.allocPrint(ctx.allocator, "(p.name LIKE '%{s}%' OR p.description LIKE '%{s}%' OR p.author LIKE '%{s}%')", .{ s, s, s });
-            try where_parts.append(search_condition);
+fn writeDependencyGraph(alloc: Allocator, package_name: []const u8) ![]u8 {
+    const root = try findPackage(alloc, package_name) orelse return error.PackageNotFound;
+
+    var nodes = std.ArrayList(DependencyNode).init(alloc);
+    var edges = std.ArrayList(DependencyEdge).init(alloc);
+    var node_index = std.StringHashMap(void).init(alloc);
+
+    try nodes.append(.{ .id = root.name, .name = root.name, .package_id = root.id, .url = root.url, .path = null, .depth = 0 });
+    try node_index.put(root.name, {});
+
+    // Breadth first, so the node limit cuts off the deepest dependencies. Only stored
+    // dependencies are followed; packages not scanned yet show up without any.
+    var truncated = false;
+    var next: usize = 0;
+    while (next < nodes.items.len) : (next += 1) {
+        const node = nodes.items[next];
+        const package_id = node.package_id orelse continue;
+
+        for (try fetchPackageDependencies(alloc, package_id)) |dependency| {
+            // Catalogue packages are keyed by name so every path to them meets in one node;
+            // path dependencies only mean something inside the package that declares them
+            const id = dependency.package_name orelse dependency.repo_url orelse dependency.url orelse
+                try std.fmt.allocPrint(alloc, "{s}/{s}", .{ node.id, dependency.path orelse dependency.name });
+
+            if (!node_index.contains(id)) {
+                if (nodes.items.len >= DEPENDENCY_GRAPH_MAX_NODES) {
+                    truncated = true;
+                    continue;
+                }
+                try node_index.put(id, {});
+                try nodes.append(.{
+                    .id = id,
+                    .name = dependency.package_name orelse dependency.name,
+                    .package_id = dependency.package_id,
+                    .url = dependency.repo_url orelse dependency.url,
+                    .path = dependency.path,
+                    .depth = node.depth + 1,
+                });
+            }
+            try edges.append(.{ .from = node.id, .to = id, .lazy = dependency.lazy });
         }
     }
 
-    // Add license filter
-    if (license) |l| {
-        if (l.len > 0) {
-            // Handle both short names (MIT) and full names (MIT License)
-            const license_condition = if (std.mem.eql(u8, l, "MIT"))
-                try std.fmt.allocPrint(ctx.allocator, "(p.license = 'MIT' OR p.license = 'MIT License')", .{})
-            else if (std.mem.eql(u8, l, "Apache-2.0"))
-                try std.fmt.allocPrint(ctx.allocator, "(p.license = 'Apache-2.0' OR p.license = 'Apache License 2.0')", .{})
-            else if (std.mem.eql(u8, l, "GPL-3.0"))
-                try std.fmt.allocPrint(ctx.allocator, "(p.license = 'GPL-3.0' OR p.license = 'GNU General Public License v3.0')", .{})
-            else if (std.mem.eql(u8, l, "BSD-3-Clause"))
-                try std.fmt.allocPrint(ctx.allocator, "(p.license = 'BSD-3-Clause' OR p.license = 'BSD 3-Clause \"New\" or \"Revised\" License')", .{})
-            else if (std.mem.eql(u8, l, "ISC"))
-                try std.fmt.allocPrint(ctx.allocator, "(p.license = 'ISC' OR p.license = 'ISC License')", .{})
-            else if (std.mem.eql(u8, l, "Unlicense"))
-                try std.fmt.allocPrint(ctx.allocator, "(p.license = 'Unlicense' OR p.license = 'The Unlicense')", .{})
-            else if (std.mem.eql(u8, l, "MPL-2.0"))
-                try std.fmt.allocPrint(ctx.allocator, "(p.license = 'MPL-2.0' OR p.license = 'Mozilla Public License 2.0')", .{})
-            else
-                try std.fmt.allocPrint(ctx.allocator, "p.license = '{s}'", .{l});
-            try where_parts.append(license_condition);
-        }
+    var response = std.ArrayList(u8).init(alloc);
+    const writer = response.writer();
+
+    try writer.writeAll("{\"package\":");
+    try writeJsonStringOrNull(alloc, writer, root.name);
+
+    try writer.writeAll(",\"scan\":");
+    if (try fetchDependencyScan(alloc, root.id)) |scan| {
+        try writer.writeAll("{\"status\":");
+        try writeJsonStringOrNull(alloc, writer, scan.scan_status);
+        try writer.writeAll(",\"scanned_at\":");
+        try writeJsonStringOrNull(alloc, writer, scan.scanned_at);
+        try writer.print(",\"queued\":{},\"retry_after\":", .{scan.queued});
+        try writeJsonStringOrNull(alloc, writer, scan.retry_after);
+        try writer.writeAll("}");
+    } else {
+        try writer.writeAll("null");
+    }
+    try writer.print(",\"truncated\":{}", .{truncated});
+
+    try writer.writeAll(",\"nodes\":[");
+    for (nodes.items, 0..) |node, i| {
+        if (i > 0) try writer.writeAll(",");
+        try writer.writeAll("{\"id\":");
+        try writeJsonStringOrNull(alloc, writer, node.id);
+        try writer.writeAll(",\"name\":");
+        try writeJsonStringOrNull(alloc, writer, node.name);
+        try writer.writeAll(",\"package\":");
+        try writeJsonStringOrNull(alloc, writer, if (node.package_id != null) node.name else null);
+        try writer.writeAll(",\"url\":");
+        try writeJsonStringOrNull(alloc, writer, node.url);
+        try writer.writeAll(",\"path\":");
+        try writeJsonStringOrNull(alloc, writer, node.path);
+        try writer.print(",\"depth\":{d},\"builds\":", .{node.depth});
+        try writeBuildStatuses(alloc, writer, node.package_id);
+        try writer.writeAll("}");
     }
 
-    // Add author filter
-    if (author) |a| {
-        if (a.len > 0) {
-            const author_condition = try std.fmt.allocPrint(ctx.allocator, "p.author = '{s}'", .{a});
-            try where_parts.append(author_condition);
-        }
+    try writer.writeAll("],\"edges\":[");
+    for (edges.items, 0..) |edge, i| {
+        if (i > 0) try writer.writeAll(",");
+        try writer.writeAll("{\"from\":");
+        try writeJsonStringOrNull(alloc, writer, edge.from);
+        try writer.writeAll(",\"to\":");
+        try writeJsonStringOrNull(alloc, writer, edge.to);
+        try writer.print(",\"lazy\":{}}}", .{edge.lazy});
     }
 
-    // Determine if we need to join with build_results
-    var needs_build_join = false;
-    if (zig_version) |v| {
-        if (v.len > 0) {
-            const version_condition = try std.fmt.allocPrint(ctx.allocator, "br.zig_version = '{s}'", .{v});
+    try writer.writeAll("],\"used_by\":[");
+    for (try fetchDependents(alloc, root.url), 0..) |dependent, i| {
+        if (i > 0) try writer.writeAll(",");
+        try writer.writeAll("{\"name\":");
+        try writeJsonStringOrNull(alloc, writer, dependent.name);
+        try writer.writeAll(",\"builds\":");
+        try writeBuildStatuses(alloc, writer, dependent.id);
+        try writer.writeAll("}");
+    }
+    try writer.writeAll("]}");
+
+    return response.items;
+}
+
+fn writeJsonStringOrNull(alloc: Allocator, writer: anytype, value: ?[]const u8) !void {
+    if (value) |v| {
+        try writer.print("\"{s}\"", .{try escapeJsonString(alloc, v)});
+    } else {
+        try writer.writeAll("null");
+    }
+}
+
+// Latest build status per Zig version, e.g. {"0.14.0":"success"}; empty for packages outside the catalogue
+fn writeBuildStatuses(alloc: Allocator, writer: anytype, package_id: ?i64) !void {
+    const id = package_id orelse return writer.writeAll("{}");
+
+    const StatusRow = struct {
+        zig_version: sqlite.Text,
+        build_status: sqlite.Text,
+    };
+
+    var stmt = try db.prepare(struct { package_id: i64 }, StatusRow, "SELECT zig_version, build_status FROM build_results WHERE package_id = :package_id");
+    defer stmt.finalize();
+
+    try stmt.bind(.{ .package_id = id });
+    defer stmt.reset();
+
+    try writer.writeAll("{");
+    var first = true;
+    while (try stmt.step()) |row| {
+        if (!first) try writer.writeAll(",");
+        first = false;
+        try writeJsonStringOrNull(alloc, writer, row.zig_version.data);
+        try writer.writeAll(":");
+        try writeJsonStringOrNull(alloc, writer, row.build_status.data);
+    }
+    try writer.writeAll("}");
+}
+
+fn findPackage(alloc: Allocator, name: []const u8) !?PackageRef {
+    const PackageRow = struct {
+        id: i64,
+        name: sqlite.Text,
+        url: sqlite.Text,
+    };
+
+    var stmt = try db.prepare(struct { name: sqlite.Text }, PackageRow, "SELECT id, name, url FROM packages WHERE name = :name");
+    defer stmt.finalize();
+
+    try stmt.bind(.{ .name = sqlite.text(name) });
+    defer stmt.reset();
+
+    const row = try stmt.step() orelse return null;
+    return PackageRef{
+        .id = row.id,
+        .name = try alloc.dupe(u8, row.name.data),
+        .url = try alloc.dupe(u8, row.url.data),
+    };
+}
+
+fn fetchDependencyScan(alloc: Allocator, package_id: i64) !?DependencyScan {
+    const ScanRow = struct {
+        scan_status: ?sqlite.Text,
+        scanned_at: ?sqlite.Text,
+        queued: i32,
+        retry_after: ?sqlite.Text,
+    };
+
+    var stmt = try db.prepare(struct { package_id: i64 }, ScanRow, "SELECT scan_status, scanned_at, queued_at IS NOT NULL as queued, retry_after FROM dependency_scans WHERE package_id = :package_id");
+    defer stmt.finalize();
+
+    try stmt.bind(.{ .package_id = package_id });
+    defer stmt.reset();
+
+    const row = try stmt.step() orelse return null;
+    return DependencyScan{
+        .scan_status = if (row.scan_status) |status| try alloc.dupe(u8, status.data) else null,
+        .scanned_at = if (row.scanned_at) |at| try alloc.dupe(u8, at.data) else null,
+        .queued = row.queued != 0,
+        .retry_after = if (row.retry_after) |at| try alloc.dupe(u8, at.data) else null,
+    };
+}
+
+fn fetchPackageDependencies(alloc: Allocator, package_id: i64) ![]StoredDependency {
+    const DependencyRow = struct {
+        name: sqlite.Text,
+        url: ?sqlite.Text,
+        path: ?sqlite.Text,
+        lazy: i32,
+        repo_url: ?sqlite.Text,
+        package_id: ?i64,
+        package_name: ?sqlite.Text,
+    };
+
+    const query =
+        \\SELECT d.name, d.url, d.path, d.lazy, d.repo_url, p.id as package_id, p.name as package_name
+        \\FROM package_dependencies d
+        \\LEFT JOIN packages p ON d.repo_url IS NOT NULL AND p.url = d.repo_url COLLATE NOCASE
+        \\WHERE d.package_id = :package_id
+        \\ORDER BY d.name
+    ;
+
+    var stmt = try db.prepare(struct { package_id: i64 }, DependencyRow, query);
+    defer stmt.finalize();
+
+    try stmt.bind(.{ .package_id = package_id });
+    defer stmt.reset();
+
+    var dependencies = std.ArrayList(StoredDependency).init(alloc);
+    errdefer dependencies.deinit();
+
+    while (try stmt.step()) |row| {
+        try dependencies.append(.{
+            .name = try alloc.dupe(u8, row.name.data),
+            .url = if (row.url) |url| try alloc.dupe(u8, url.data) else null,
+            .path = if (row.path) |path| try alloc.dupe(u8, path.data) else null,
+            .lazy = row.lazy != 0,
+            .repo_url = if (row.repo_url) |url| try alloc.dupe(u8, url.data) else null,
+            .package_id = row.package_id,
+            .package_name = if (row.package_name) |name| try alloc.dupe(u8, name.data) else null,
+        });
+    }
+    return dependencies.toOwnedSlice();
+}
+
+// Catalogue packages whose build.zig.zon names the repository at `repo_url`
+fn fetchDependents(alloc: Allocator, repo_url: []const u8) ![]PackageRef {
+    const DependentRow = struct {
+        id: i64,
+        name: sqlite.Text,
+        url: sqlite.Text,
+    };
+
+    const query =
+        \\SELECT DISTINCT p.id, p.name, p.url
+        \\FROM package_dependencies d
+        \\JOIN packages p ON p.id = d.package_id
+        \\WHERE d.repo_url = :repo_url COLLATE NOCASE
+        \\ORDER BY p.name
+    ;
+
+    var stmt = try db.prepare(struct { repo_url: sqlite.Text }, DependentRow, query);
+    defer stmt.finalize();
+
+    try stmt.bind(.{ .repo_url = sqlite.text(repo_url) });
+    defer stmt.reset();
+
+    var dependents = std.ArrayList(PackageRef).init(alloc);
+    errdefer dependents.deinit();
+
+    while (try stmt.step()) |row| {
+        try dependents.append(.{
+            .id = row.id,
+            .name = try alloc.dupe(u8, row.name.data),
+            .url = try alloc.dupe(u8, row.url.data),
+        });
+    }
+    return dependents.toOwnedSlice();
+}
+
+/// Runs a write on the shared connection. Every writer holds build_sys.db_mutex, so no write
+/// can land inside saveDependencyScan's transaction and be committed or rolled back with it.
+fn execLocked(comptime sql: []const u8, params: anytype) !void {
+    build_sys.db_mutex.lock();
+    defer build_sys.db_mutex.unlock();
+    try db.exec(sql, params);
+}
+
+/// Puts a package on the dependency scanner's queue; a package already waiting keeps its place
+fn queueDependencyScan(package_id: i64) !void {
+    try execLocked(
+        \\INSERT INTO dependency_scans (package_id, queued_at) VALUES (:package_id, CURRENT_TIMESTAMP)
+        \\ON CONFLICT(package_id) DO UPDATE SET queued_at = COALESCE(queued_at, excluded.queued_at)
+    , .{ .package_id = package_id });
+}
+
+/// Queues every package whose build.zig.zon was never read or was last read over a week ago
+fn queueStaleDependencyScans() !void {
+    try execLocked(
+        \\INSERT INTO dependency_scans (package_id, queued_at)
+        \\SELECT p.id, CURRENT_TIMESTAMP FROM packages p
+        \\LEFT JOIN dependency_scans s ON s.package_id = p.id
+        \\WHERE s.package_id IS NULL
+        \\   OR (s.queued_at IS NULL AND (s.scanned_at IS NULL OR datetime(s.scanned_at) < datetime('now', '-7 days')))
+        \\ON CONFLICT(package_id) DO UPDATE SET queued_at = excluded.queued_at
+    , .{});
+}
+
+/// Reads up to DEPENDENCY_SCANS_PER_RUN queued manifests whose retry time has passed and
+/// returns how many were tried. A failed read stays queued and is retried later.
+fn runDependencyScans(alloc: Allocator) !usize {
+    const due = try fetchDueDependencyScans(alloc);
+    defer {
+        for (due) |pkg| {
+            alloc.free(pkg.name);
+            alloc.free(pkg.url);
+        }
+        alloc.free(due);
+    }
+
+    for (due) |pkg| {
+        refreshPackageDependencies(alloc, pkg.id, pkg.url) catch |err| {
+            log.warn("Failed to read build.zig.zon of '{s}': {}", .{ pkg.name, err });
+            recordDependencyScanFailure(pkg.id, err) catch |record_err| {
+                log.err("Failed to record dependency scan failure for '{s}': {}", .{ pkg.name, record_err });
+            };
+        };
+    }
+    return due.len;
+}
+
+fn fetchDueDependencyScans(alloc: Allocator) ![]PackageRef {
+    const DueRow = struct {
+        id: i64,
+        name: sqlite.Text,
+        url: sqlite.Text,
+    };
+
+    const query =
+        \\SELECT p.id, p.name, p.url
+        \\FROM dependency_scans s
+        \\JOIN packages p ON p.id = s.package_id
+        \\WHERE s.queued_at IS NOT NULL
+        \\  AND (s.retry_after IS NULL OR datetime(s.retry_after) <= datetime('now'))
+        \\ORDER BY s.queued_at ASC
+        \\LIMIT :limit
+    ;
+
+    var stmt = try db.prepare(struct { limit: i64 }, DueRow, query);
+    defer stmt.finalize();
+
+    try stmt.bind(.{ .limit = DEPENDENCY_SCANS_PER_RUN });
+    defer stmt.reset();
+
+    var due = std.ArrayList(PackageRef).init(alloc);
+    errdefer {
+        for (due.items) |pkg| {
+            alloc.free(pkg.name);
+            alloc.free(pkg.url);
+        }
+        due.deinit();
+    }
+
+    while (try stmt.step()) |row| {
+        const name = try alloc.dupe(u8, row.name.data);
+        errdefer alloc.free(name);
+        const url = try alloc.dupe(u8, row.url.data);
+        errdefer alloc.free(url);
+        try due.append(.{ .id = row.id, .name = name, .url = url });
+    }
+    return due.toOwnedSlice();
+}
+
+/// Keeps the package queued and backs off: 15 minutes after the first failure, doubling up to a day
+fn recordDependencyScanFailure(package_id: i64, err: anyerror) !void {
+    try execLocked(
+        \\UPDATE dependency_scans
+        \\SET failed_attempts = failed_attempts + 1,
+        \\    last_error = :last_error,
+        \\    retry_after = datetime('now', '+' || MIN(15 * (1 << MIN(failed_attempts, 7)), 1440) || ' minutes')
+        \\WHERE package_id = :package_id
+    , .{
+        .package_id = package_id,
+        .last_error = sqlite.text(@errorName(err)),
+    });
+}
+
+/// Reads the package's build.zig.zon from its host and replaces the stored dependencies
+fn refreshPackageDependencies(alloc: Allocator, package_id: i64, repo_url: []const u8) !void {
+    const ref = try repo_registry.parse(repo_url);
+    const zon_url = try ref.rawFileUrl(alloc, "build.zig.zon");
+    defer alloc.free(zon_url);
+
+    // Packages without a manifest have no dependencies; that is recorded rather than retried
+    const source = makeHttpRequest(alloc, zon_url, "text/plain") catch |err| {
+        if (err != error.HttpError) return err;
+        log.debug("No build.zig.zon for package {d} at {s}", .{ package_id, zon_url });
+        return saveDependencyScan(alloc, package_id, "missing", &.{});
+    };
+    defer alloc.free(source);
+
+    const dependencies = zon.parseDependencies(alloc, source) catch |err| {
+        if (err == error.OutOfMemory) return err;
+        log.warn("Could not parse build.zig.zon of package {d} at {s}", .{ package_id, zon_url });
+        return saveDependencyScan(alloc, package_id, "invalid", &.{});
+    };
+    defer alloc.free(dependencies);
+
+    log.debug("Found {d} dependencies in build.zig.zon of package {d}", .{ dependencies.len, package_id });
+    return saveDependencyScan(alloc, package_id, "ok", dependencies);
+}
+
+fn saveDependencyScan(alloc: Allocator, package_id: i64, scan_status: []const u8, dependencies: []const zon.Dependency) !void {
+    // Every writer on the shared connection takes this lock, so no other write lands inside the transaction
+    build_sys.db_mutex.lock();
+    defer build_sys.db_mutex.unlock();
+
+    // The dependency list is replaced completely or not at all
+    try db.exec("BEGIN IMMEDIATE", .{});
+    errdefer db.exec("ROLLBACK", .{}) catch |err| {
+        log.err("Failed to roll back dependency scan of package {d}: {}", .{ package_id, err });
+    };
+
+    try db.exec("DELETE FROM package_dependencies WHERE package_id = :package_id", .{ .package_id = package_id });
+
+    for (dependencies) |dependency| {
+        // Stored in the same form as packages.url so dependencies can be matched to the catalogue
+        const repo_url: ?[]u8 = if (dependency.url) |url| blk: {
+            const ref = repo_registry.parseDependency(url) catch break :blk null;
+            break :blk try ref.canonicalUrl(alloc);
+        } else null;
+        defer if (repo_url) |url| alloc.free(url);
+
+        try db.exec(
+            \\INSERT OR REPLACE INTO package_dependencies (package_id, name, url, hash, path, lazy, repo_url)
+            \\VALUES (:package_id, :name, :url, :hash, :path, :lazy, :repo_url)
+        , .{
+            .package_id = package_id,
+            .name = sqlite.text(dependency.name),
+            .url = if (dependency.url) |url| sqlite.text(url) else null,
+            .hash = if (dependency.hash) |hash| sqlite.text(hash) else null,
+            .path = if (dependency.path) |path| sqlite.text(path) else null,
+            .lazy = @as(i32, if (dependency.lazy) 1 else 0),
+            .repo_url = if (repo_url) |url| sqlite.text(url) else null,
+        });
+    }
+
+    // A completed read takes the package off the queue and clears earlier failures
+    try db.exec(
+        \\INSERT INTO dependency_scans (package_id, scan_status, scanned_at)
+        \\VALUES (:package_id, :scan_status, CURRENT_TIMESTAMP)
+        \\ON CONFLICT(package_id) DO UPDATE SET
+        \\    scan_status = excluded.scan_status,
+        \\    scanned_at = excluded.scanned_at,
+        \\    queued_at = NULL,
+        \\    failed_attempts = 0,
+        \\    last_error = NULL,
+        \\    retry_after = NULL
+    , .{
+        .package_id = package_id,
+        .scan_status = sqlite.text(scan_status),
+    });
+
+    try db.exec("COMMIT", .{});
+}
+
+// Static file serving is now handled by FsDir middleware
+
+// API handlers
+fn api_health_handler(ctx: *const Context, _: void) !Respond {
+    return ctx.response.apply(.{
+        .status = .OK,
+        .mime = http.Mime.JSON,
+        .body =
+        \\{
+        \\  "status": "healthy",
+        \\  "timestamp": "2024-01-01T00:00:00Z",
+        \\  "database": "connected",
+        \\  "version": "1.0.0"
+        \\}
+        ,
+        .headers = addCorsHeaders(),
+    });
+}
+
+fn api_github_info_handler(ctx: *const Context, _: void) !Respond {
+    if (ctx.request.method) |method| {
+        if (method == .POST) {
+            return api_get_github_info(ctx);
+        }
+    }
+
+    return ctx.response.apply(.{
+        .status = .@"Method Not Allowed",
+        .mime = http.Mime.TEXT,
+        .body = "Method not allowed",
+        .headers = addCorsHeaders(),
+    });
+}
+
+fn api_get_github_info(ctx: *const Context) !Respond {
+    // Read request body
+    const body = ctx.request.body orelse {
+        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
+            \\{
+            \\  "error": "Request body is required",
+            \\  "code": "missing_body"
+            \\}
+        });
+    };
+
+    log.debug("Received GitHub info request: {s}", .{body});
+
+    // Extract URL from JSON request
+    const url = extractJsonField(ctx.allocator, body, "url") orelse {
+        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
+            \\{
+            \\  "error": "Missing required field: url",
+            \\  "code": "missing_url"
+            \\}
+        });
+    };
+    defer ctx.allocator.free(url);
+
+    // Detect the host and validate the URL
+    const repo_ref = repo_registry.parse(url) catch |err| {
+        return repoUrlErrorResponse(ctx, err);
+    };
+
+    // Fetch repository information from the host
+    const repo_info = repo_registry.fetchRepoInfo(ctx.allocator, repo_ref) catch |err| {
+        return repoFetchErrorResponse(ctx, url, repo_ref, err);
+    };
+    defer repo_info.deinit(ctx.allocator);
+
+    // Build JSON response
+    const response_body = try std.fmt.allocPrint(ctx.allocator,
+        \\{{
+        \\  "name": "{s}",
+        \\  "author": "{s}",
+        \\  "description": "{s}",
+        \\  "license": "{s}",
+        \\  "language": "{s}",
+        \\  "url": "{s}",
+        \\  "source_type": "{s}",
+        \\  "host": "{s}"
+        \\}}
+    , .{ repo_info.name, repo_info.author, repo_info.description orelse "", repo_info.license orelse "", repo_info.language orelse "", repo_info.url, repo_info.source_type.toString(), repo_ref.host });
+
+    return ctx.response.apply(.{
+        .status = .OK,
+        .mime = http.Mime.JSON,
+        .body = response_body,
+        .headers = addCorsHeaders(),
+    });
+}
+
+fn api_packages_handler(ctx: *const Context, _: void) !Respond {
+    if (ctx.request.method) |method| {
+        if (method == .GET) {
+            return api_get_packages(ctx, .{});
+        } else if (method == .POST) {
+            return api_create_package(ctx, .{});
+        }
+    }
+
+    return ctx.response.apply(.{
+        .status = .@"Method Not Allowed",
+        .mime = http.Mime.TEXT,
+        .body = "Method not allowed",
+        .headers = addCorsHeaders(),
+    });
+}
+
+// Quote a value for SQL that is assembled with allocPrint
+fn quoteSqlString(alloc: Allocator, value: []const u8) ![]u8 {
+    const escaped = try std.mem.replaceOwned(u8, alloc, value, "'", "''");
+    defer alloc.free(escaped);
+    return std.fmt.allocPrint(alloc, "'{s}'", .{escaped});
+}
+
+// Quote a "contains" pattern for LIKE ... ESCAPE '\'; % and _ in the value match only themselves
+fn sqlLikePattern(alloc: Allocator, value: []const u8) ![]u8 {
+    var pattern = std.ArrayList(u8).init(alloc);
+    defer pattern.deinit();
+
+    try pattern.append('%');
+    for (value) |c| {
+        if (c == '\\' or c == '%' or c == '_') try pattern.append('\\');
+        try pattern.append(c);
+    }
+    try pattern.append('%');
+
+    return quoteSqlString(alloc, pattern.items);
+}
+
+// Build "column IN ('a', 'b')" from a comma-separated filter value, or null if it has no values
+fn sqlInList(alloc: Allocator, column: []const u8, csv: []const u8) !?[]u8 {
+    var values = std.ArrayList(u8).init(alloc);
+    defer values.deinit();
+
+    var it = std.mem.tokenizeScalar(u8, csv, ',');
+    while (it.next()) |raw| {
+        const value = std.mem.trim(u8, raw, " ");
+        if (value.len == 0) continue;
+
+        if (values.items.len > 0) try values.appendSlice(", ");
+        const quoted = try quoteSqlString(alloc, value);
+        defer alloc.free(quoted);
+        try values.appendSlice(quoted);
+    }
+
+    if (values.items.len == 0) return null;
+    return try std.fmt.allocPrint(alloc, "{s} IN ({s})", .{ column, values.items });
+}
+
+// OR together the conditions built for each value of a comma-separated filter
+fn sqlAnyOf(alloc: Allocator, csv: []const u8, comptime buildCondition: fn (Allocator, []const u8) anyerror![]u8) !?[]u8 {
+    var conditions = std.ArrayList(u8).init(alloc);
+    defer conditions.deinit();
+
+    var it = std.mem.tokenizeScalar(u8, csv, ',');
+    while (it.next()) |raw| {
+        const value = std.mem.trim(u8, raw, " ");
+        if (value.len == 0) continue;
+
+        if (conditions.items.len > 0) try conditions.appendSlice(" OR ");
+        const condition = try buildCondition(alloc, value);
+        defer alloc.free(condition);
+        try conditions.appendSlice(condition);
+    }
+
+    if (conditions.items.len == 0) return null;
+    return try std.fmt.allocPrint(alloc, "({s})", .{conditions.items});
+}
+
+fn licenseCondition(alloc: Allocator, l: []const u8) anyerror![]u8 {
+    // Handle both short names (MIT) and full names (MIT License)
+    if (std.mem.eql(u8, l, "MIT")) return std.fmt.allocPrint(alloc, "(p.license = 'MIT' OR p.license = 'MIT License')", .{});
+    if (std.mem.eql(u8, l, "Apache-2.0")) return std.fmt.allocPrint(alloc, "(p.license = 'Apache-2.0' OR p.license = 'Apache License 2.0')", .{});
+    if (std.mem.eql(u8, l, "GPL-3.0")) return std.fmt.allocPrint(alloc, "(p.license = 'GPL-3.0' OR p.license = 'GNU General Public License v3.0')", .{});
+    if (std.mem.eql(u8, l, "BSD-3-Clause")) return std.fmt.allocPrint(alloc, "(p.license = 'BSD-3-Clause' OR p.license = 'BSD 3-Clause \"New\" or \"Revised\" License')", .{});
+    if (std.mem.eql(u8, l, "ISC")) return std.fmt.allocPrint(alloc, "(p.license = 'ISC' OR p.license = 'ISC License')", .{});
+    if (std.mem.eql(u8, l, "Unlicense")) return std.fmt.allocPrint(alloc, "(p.license = 'Unlicense' OR p.license = 'The Unlicense')", .{});
+    if (std.mem.eql(u8, l, "MPL-2.0")) return std.fmt.allocPrint(alloc, "(p.license = 'MPL-2.0' OR p.license = 'Mozilla Public License 2.0')", .{});
+
+    const quoted = try quoteSqlString(alloc, l);
+    defer alloc.free(quoted);
+    return std.fmt.allocPrint(alloc, "p.license = {s}", .{quoted});
+}
+
+// Turn a "version:status" rule into a condition on that version's build result
+fn buildRuleCondition(alloc: Allocator, rule: []const u8) !?[]u8 {
+    const separator = std.mem.lastIndexOfScalar(u8, rule, ':') orelse return null;
+    const version = std.mem.trim(u8, rule[0..separator], " ");
+    const rule_status = std.mem.trim(u8, rule[separator + 1 ..], " ");
+
+    const valid_statuses = [_][]const u8{ "success", "failed", "pending" };
+    for (valid_statuses) |valid| {
+        if (std.mem.eql(u8, rule_status, valid)) break;
+    } else return null;
+    if (version.len == 0) return null;
+
+    const quoted_version = try quoteSqlString(alloc, version);
+    defer alloc.free(quoted_version);
+
+    return try std.fmt.allocPrint(alloc, "EXISTS (SELECT 1 FROM build_results r WHERE r.package_id = p.id AND r.zig_version = {s} AND r.build_status = '{s}')", .{ quoted_version, rule_status });
+}
+
+fn api_get_packages(ctx: *const Context, _: void) !Respond {
+    // Parse query parameters
+    const query_string = if (ctx.request.uri) |uri| blk: {
+        if (std.mem.indexOf(u8, uri, "?")) |query_start| {
+            break :blk uri[query_start + 1 ..];
+        } else {
+            break :blk "";
+        }
+    } else "";
+
+    // Extract query parameters
+    const search = extractUrlParam(ctx.allocator, query_string, "search");
+    defer if (search) |s| ctx.allocator.free(s);
+
+    const zig_version = extractUrlParam(ctx.allocator, query_string, "zig_version");
+    defer if (zig_version) |v| ctx.allocator.free(v);
+
+    const status = extractUrlParam(ctx.allocator, query_string, "status");
+    defer if (status) |s| ctx.allocator.free(s);
+
+    const license = extractUrlParam(ctx.allocator, query_string, "license");
+    defer if (license) |l| ctx.allocator.free(l);
+
+    const author = extractUrlParam(ctx.allocator, query_string, "author");
+    defer if (author) |a| ctx.allocator.free(a);
+
+    const rules = extractUrlParam(ctx.allocator, query_string, "rules");
+    defer if (rules) |r| ctx.allocator.free(r);
+
+    const names = extractUrlParam(ctx.allocator, query_string, "names");
+    defer if (names) |n| ctx.allocator.free(n);
+
+    const sort = extractUrlParam(ctx.allocator, query_string, "sort");
+    defer if (sort) |s| ctx.allocator.free(s);
+
+    const page_str = extractUrlParam(ctx.allocator, query_string, "page");
+    defer if (page_str) |p| ctx.allocator.free(p);
+
+    const limit_str = extractUrlParam(ctx.allocator, query_string, "limit");
+    defer if (limit_str) |l| ctx.allocator.free(l);
+
+    // Parse pagination parameters
+    const page = if (page_str) |p| std.fmt.parseInt(i32, p, 10) catch 1 else 1;
+    const limit = if (limit_str) |l| std.fmt.parseInt(i32, l, 10) catch 20 else 20;
+    const offset = (page - 1) * limit;
+
+    log.debug("API packages query parameters: search={s}, zig_version={s}, status={s}, license={s}, author={s}, rules={s}, sort={s}, page={d}, limit={d}", .{ if (search) |s| s else "null", if (zig_version) |v| v else "null", if (status) |s| s else "null", if (license) |l| l else "null", if (author) |a| a else "null", if (rules) |r| r else "null", if (sort) |s| s else "null", page, limit });
+
+    // Build WHERE clause conditions
+    var where_parts = std.ArrayList([]const u8).init(ctx.allocator);
+    defer where_parts.deinit();
+
+    // Add search condition
+    if (search) |s| {
+        if (s.len > 0) {
+            const pattern = try sqlLikePattern(ctx.allocator, s);
+            defer ctx.allocator.free(pattern);
+            const search_condition = try std.fmt.allocPrint(ctx.allocator, "(p.name LIKE {0s} ESCAPE '\\' OR p.description LIKE {0s} ESCAPE '\\' OR p.author LIKE {0s} ESCAPE '\\')", .{pattern});
+            try where_parts.append(search_condition);
+        }
+    }
+
+    // Filters accept comma-separated values; values within one filter are OR-ed
+    if (license) |l| {
+        if (try sqlAnyOf(ctx.allocator, l, licenseCondition)) |license_condition| {
+            try where_parts.append(license_condition);
+        }
+    }
+
+    if (author) |a| {
+        if (try sqlInList(ctx.allocator, "p.author", a)) |author_condition| {
+            try where_parts.append(author_condition);
+        }
+    }
+
+    // Exact package names, used by the watchlist view in the browser; an empty list matches nothing
+    if (names) |n| {
+        const names_condition = try sqlInList(ctx.allocator, "p.name", n) orelse try ctx.allocator.dupe(u8, "0");
+        try where_parts.append(names_condition);
+    }
+
+    // Determine if we need to join with build_results
+    var needs_build_join = false;
+    if (zig_version) |v| {
+        if (try sqlInList(ctx.allocator, "br.zig_version", v)) |version_condition| {
             try where_parts.append(version_condition);
             needs_build_join = true;
         }
     }
 
     if (status) |s| {
-        if (s.len > 0) {
-            const status_condition = try std.fmt.allocPrint(ctx.allocator, "br.build_status = '{s}'", .{s});
+        if (try sqlInList(ctx.allocator, "br.build_status", s)) |status_condition| {
             try where_parts.append(status_condition);
             needs_build_join = true;
         }
     }
 
+    // Per-version rules ("0.14.0:success,master:failed") must all hold
+    if (rules) |r| {
+        var rule_it = std.mem.tokenizeScalar(u8, r, ',');
+        while (rule_it.next()) |rule| {
+            if (try buildRuleCondition(ctx.allocator, rule)) |rule_condition| {
+                try where_parts.append(rule_condition);
+            }
+        }
+    }
+
     // Build ORDER BY clause
     const order_clause = if (sort) |s| blk: {
+        // p.id breaks ties so consecutive pages never overlap or skip a package
         if (std.mem.eql(u8, s, "name")) {
-            break :blk "ORDER BY p.name ASC";
+            break :blk "ORDER BY p.name ASC, p.id ASC";
         } else if (std.mem.eql(u8, s, "updated")) {
-            break :blk "ORDER BY p.created_at DESC";
+            break :blk "ORDER BY p.created_at DESC, p.id DESC";
         } else if (std.mem.eql(u8, s, "author")) {
-            break :blk "ORDER BY p.author ASC";
+            break :blk "ORDER BY p.author ASC, p.id ASC";
         } else {
-            break :blk "ORDER BY p.created_at DESC";
+            break :blk "ORDER BY p.created_at DESC, p.id DESC";
         }
-    } else "ORDER BY p.created_at DESC";
+    } else "ORDER BY p.created_at DESC, p.id DESC";
 
     // Build WHERE clause
     var where_clause = std.ArrayList(u8).init(ctx.allocator);
@@ -1345,106 +2217,415 @@ fn api_get_packages(ctx: *const Context, _: void) !Respond {
     };
     defer packages_stmt.finalize();
 
-    packages_stmt.bind(.{}) catch |err| {
-        log.err("Failed to bind packages query parameters: {}", .{err});
-        return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
-            \\{
-            \\  "error": "Failed to bind packages query"
-            \\}
-        });
-    };
-    defer packages_stmt.reset();
+    packages_stmt.bind(.{}) catch |err| {
+        log.err("Failed to bind packages query parameters: {}", .{err});
+        return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
+            \\{
+            \\  "error": "Failed to bind packages query"
+            \\}
+        });
+    };
+    defer packages_stmt.reset();
+
+    // Build JSON response manually
+    var response = std.ArrayList(u8).init(ctx.allocator);
+    errdefer response.deinit();
+
+    const response_writer = response.writer();
+    try response_writer.print("{{\"packages\":[", .{});
+
+    var first = true;
+    while (packages_stmt.step() catch null) |pkg| {
+        if (!first) try response_writer.writeAll(",");
+        first = false;
+
+        try response_writer.print("{{\"id\":{d},\"name\":\"{s}\",\"url\":\"{s}\"", .{ pkg.id, pkg.name.data, pkg.url.data });
+
+        if (pkg.description) |desc| {
+            // Escape JSON string
+            const escaped_desc = try escapeJsonString(ctx.allocator, desc.data);
+            defer ctx.allocator.free(escaped_desc);
+            try response_writer.print(",\"description\":\"{s}\"", .{escaped_desc});
+        } else {
+            try response_writer.writeAll(",\"description\":null");
+        }
+
+        if (pkg.author) |auth| {
+            const escaped_author = try escapeJsonString(ctx.allocator, auth.data);
+            defer ctx.allocator.free(escaped_author);
+            try response_writer.print(",\"author\":\"{s}\"", .{escaped_author});
+        } else {
+            try response_writer.writeAll(",\"author\":null");
+        }
+
+        if (pkg.license) |lic| {
+            const escaped_license = try escapeJsonString(ctx.allocator, lic.data);
+            defer ctx.allocator.free(escaped_license);
+            try response_writer.print(",\"license\":\"{s}\"", .{escaped_license});
+        } else {
+            try response_writer.writeAll(",\"license\":null");
+        }
+
+        try response_writer.print(",\"created_at\":\"{s}\"", .{pkg.created_at.data});
+
+        // Add build results
+        try response_writer.writeAll(",\"build_results\":[");
+
+        // Fetch build results for this package
+        const BuildResultRow = struct { zig_version: sqlite.Text, build_status: sqlite.Text, test_status: ?sqlite.Text, last_checked: sqlite.Text };
+        const build_query = "SELECT zig_version, build_status, test_status, last_checked FROM build_results WHERE package_id = :package_id ORDER BY zig_version";
+
+        const build_stmt = db.prepare(struct { package_id: i64 }, BuildResultRow, build_query) catch |err| {
+            log.err("Failed to prepare build results query for package {d}: {}", .{ pkg.id, err });
+            try response_writer.writeAll("]");
+            try response_writer.writeAll("}");
+            continue;
+        };
+        defer build_stmt.finalize();
+
+        build_stmt.bind(.{ .package_id = pkg.id }) catch |err| {
+            log.err("Failed to bind build results query for package {d}: {}", .{ pkg.id, err });
+            try response_writer.writeAll("]");
+            try response_writer.writeAll("}");
+            continue;
+        };
+        defer build_stmt.reset();
+
+        var build_first = true;
+        while (build_stmt.step() catch null) |build_result| {
+            if (!build_first) try response_writer.writeAll(",");
+            build_first = false;
+
+            try response_writer.print("{{\"zig_version\":\"{s}\",\"build_status\":\"{s}\"", .{ build_result.zig_version.data, build_result.build_status.data });
+
+            if (build_result.test_status) |ts| {
+                try response_writer.print(",\"test_status\":\"{s}\"", .{ts.data});
+            } else {
+                try response_writer.writeAll(",\"test_status\":null");
+            }
+
+            try response_writer.print(",\"last_checked\":\"{s}\"}}", .{build_result.last_checked.data});
+        }
+
+        try response_writer.writeAll("]}");
+    }
+
+    try response_writer.print("],\"total\":{d},\"page\":{d},\"limit\":{d}}}", .{ count, page, limit });
+
+    // Free allocated where clause parts
+    for (where_parts.items) |part| {
+        ctx.allocator.free(part);
+    }
+
+    // Transfer ownership of the response to the framework
+    const response_body = try response.toOwnedSlice();
+    return ctx.response.apply(.{
+        .status = .OK,
+        .mime = http.Mime.JSON,
+        .body = response_body,
+        .headers = addCorsHeaders(),
+    });
+}
+
+// Build results across all packages as JSON, with the filters, sorting and paging of the /builds page
+fn api_get_builds(ctx: *const Context, _: void) !Respond {
+    const query_string = if (ctx.request.uri) |uri| blk: {
+        if (std.mem.indexOf(u8, uri, "?")) |query_start| {
+            break :blk uri[query_start + 1 ..];
+        } else {
+            break :blk "";
+        }
+    } else "";
+
+    const search = extractUrlParam(ctx.allocator, query_string, "search");
+    defer if (search) |s| ctx.allocator.free(s);
+
+    const zig_version = extractUrlParam(ctx.allocator, query_string, "zig_version");
+    defer if (zig_version) |v| ctx.allocator.free(v);
+
+    const status = extractUrlParam(ctx.allocator, query_string, "status");
+    defer if (status) |s| ctx.allocator.free(s);
+
+    const sort = extractUrlParam(ctx.allocator, query_string, "sort");
+    defer if (sort) |s| ctx.allocator.free(s);
+
+    const page_str = extractUrlParam(ctx.allocator, query_string, "page");
+    defer if (page_str) |p| ctx.allocator.free(p);
+
+    const limit_str = extractUrlParam(ctx.allocator, query_string, "limit");
+    defer if (limit_str) |l| ctx.allocator.free(l);
+
+    const page = @max(1, if (page_str) |p| std.fmt.parseInt(i32, p, 10) catch 1 else 1);
+    const limit = std.math.clamp(if (limit_str) |l| std.fmt.parseInt(i32, l, 10) catch 20 else 20, 1, 100);
+
+    const builds_data = fetchAllBuildsPageData(ctx.allocator, search, zig_version, status, sort, page, limit) catch |err| {
+        log.err("Failed to fetch builds for API: {}", .{err});
+        return ctx.response.apply(.{
+            .status = .@"Internal Server Error",
+            .mime = http.Mime.JSON,
+            .body =
+            \\{
+            \\  "error": "Database query failed",
+            \\  "code": "database_error"
+            \\}
+            ,
+            .headers = addCorsHeaders(),
+        });
+    };
+    defer freeAllBuildsPageData(ctx.allocator, builds_data);
+
+    var response = std.ArrayList(u8).init(ctx.allocator);
+    errdefer response.deinit();
+
+    const response_writer = response.writer();
+    try response_writer.writeAll("{\"builds\":[");
+
+    for (builds_data.build_results, 0..) |result, i| {
+        if (i > 0) try response_writer.writeAll(",");
+
+        const escaped_name = try escapeJsonString(ctx.allocator, result.package_name);
+        defer ctx.allocator.free(escaped_name);
+        const escaped_author = try escapeJsonString(ctx.allocator, result.package_author);
+        defer ctx.allocator.free(escaped_author);
+        const escaped_version = try escapeJsonString(ctx.allocator, result.zig_version);
+        defer ctx.allocator.free(escaped_version);
+
+        try response_writer.print("{{\"package_name\":\"{s}\",\"package_author\":\"{s}\",\"zig_version\":\"{s}\",\"build_status\":\"{s}\"", .{ escaped_name, escaped_author, escaped_version, result.build_status });
+
+        if (result.package_description) |desc| {
+            const escaped_desc = try escapeJsonString(ctx.allocator, desc);
+            defer ctx.allocator.free(escaped_desc);
+            try response_writer.print(",\"package_description\":\"{s}\"", .{escaped_desc});
+        } else {
+            try response_writer.writeAll(",\"package_description\":null");
+        }
+
+        if (result.test_status) |ts| {
+            try response_writer.print(",\"test_status\":\"{s}\"", .{ts});
+        } else {
+            try response_writer.writeAll(",\"test_status\":null");
+        }
+
+        if (result.error_log) |el| {
+            const escaped_log = try escapeJsonString(ctx.allocator, el);
+            defer ctx.allocator.free(escaped_log);
+            try response_writer.print(",\"error_log\":\"{s}\"", .{escaped_log});
+        } else {
+            try response_writer.writeAll(",\"error_log\":null");
+        }
+
+        try response_writer.print(",\"last_checked\":\"{s}\"}}", .{result.last_checked});
+    }
+
+    try response_writer.print("],\"counts\":{{\"successful\":{d},\"failed\":{d},\"pending\":{d},\"total\":{d}}}", .{ builds_data.successful_builds, builds_data.failed_builds, builds_data.pending_builds, builds_data.total_builds });
+    try response_writer.print(",\"page\":{d},\"limit\":{d},\"total_pages\":{d}}}", .{ page, limit, builds_data.total_pages });
+
+    const response_body = try response.toOwnedSlice();
+    return ctx.response.apply(.{
+        .status = .OK,
+        .mime = http.Mime.JSON,
+        .body = response_body,
+        .headers = addCorsHeaders(),
+    });
+}
+
+// Zig versions the build system targets, plus any older versions still present in build results
+fn api_zig_versions_handler(ctx: *const Context, _: void) !Respond {
+    var response = std.ArrayList(u8).init(ctx.allocator);
+    errdefer response.deinit();
+
+    const response_writer = response.writer();
+    try response_writer.writeAll("{\"versions\":[");
+    for (build_system.ZigVersion.all, 0..) |version, i| {
+        if (i > 0) try response_writer.writeAll(",");
+        try response_writer.print("\"{s}\"", .{version.toString()});
+    }
+
+    const VersionRow = struct { zig_version: sqlite.Text };
+    var stmt = db.prepare(struct {}, VersionRow, "SELECT DISTINCT zig_version FROM build_results") catch |err| {
+        log.err("Failed to prepare zig versions query: {}", .{err});
+        return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
+            \\{
+            \\  "error": "Database query failed"
+            \\}
+        });
+    };
+    defer stmt.finalize();
+
+    stmt.bind(.{}) catch |err| {
+        log.err("Failed to bind zig versions query: {}", .{err});
+        return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
+            \\{
+            \\  "error": "Database query failed"
+            \\}
+        });
+    };
+    defer stmt.reset();
+
+    while (stmt.step() catch null) |row| {
+        if (build_system.ZigVersion.fromString(row.zig_version.data) != null) continue;
+
+        const escaped_version = try escapeJsonString(ctx.allocator, row.zig_version.data);
+        defer ctx.allocator.free(escaped_version);
+        try response_writer.print(",\"{s}\"", .{escaped_version});
+    }
+
+    try response_writer.writeAll("]}");
+
+    const response_body = try response.toOwnedSlice();
+    return ctx.response.apply(.{
+        .status = .OK,
+        .mime = http.Mime.JSON,
+        .body = response_body,
+        .headers = addCorsHeaders(),
+    });
+}
+
+// How long EventSource waits before reconnecting to the build events stream
+const BUILD_EVENTS_RETRY_MS = 5000;
+
+// Server-Sent Events stream of build status changes.
+// Each response sends the builds updated since the client's Last-Event-ID and then
+// closes; the `retry` field tells EventSource when to reconnect for the next batch.
+fn api_build_events_handler(ctx: *const Context, _: void) !Respond {
+    // Parse query parameters
+    const query_string = if (ctx.request.uri) |uri| blk: {
+        if (std.mem.indexOf(u8, uri, "?")) |query_start| {
+            break :blk uri[query_start + 1 ..];
+        } else {
+            break :blk "";
+        }
+    } else "";
+
+    const since_param = extractUrlParam(ctx.allocator, query_string, "since");
+    defer if (since_param) |s| ctx.allocator.free(s);
+
+    // EventSource sends the id of the last received event when it reconnects
+    const since = ctx.request.headers.get("Last-Event-ID") orelse since_param;
 
-    // Build JSON response manually
     var response = std.ArrayList(u8).init(ctx.allocator);
     errdefer response.deinit();
 
     const response_writer = response.writer();
-    try response_writer.print("{{\"packages\":[", .{});
+    try response_writer.print("retry: {d}\n\n", .{BUILD_EVENTS_RETRY_MS});
 
-    var first = true;
-    while (packages_stmt.step() catch null) |pkg| {
-        if (!first) try response_writer.writeAll(",");
-        first = false;
+    if (since) |s| {
+        writeBuildEventsSince(ctx.allocator, response_writer, s) catch |err| {
+            log.err("Failed to collect build events since '{s}': {}", .{ s, err });
+            return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
+                \\{
+                \\  "error": "Failed to fetch build events"
+                \\}
+            });
+        };
+    } else {
+        // First connection: hand out the current database time as the starting event id
+        const NowRow = struct { now: sqlite.Text };
+        var now_stmt = db.prepare(struct {}, NowRow, "SELECT CURRENT_TIMESTAMP as now") catch |err| {
+            log.err("Failed to prepare build events timestamp query: {}", .{err});
+            return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
+                \\{
+                \\  "error": "Failed to fetch build events"
+                \\}
+            });
+        };
+        defer now_stmt.finalize();
 
-        try response_writer.print("{{\"id\":{d},\"name\":\"{s}\",\"url\":\"{s}\"", .{ pkg.id, pkg.name.data, pkg.url.data });
+        now_stmt.bind(.{}) catch |err| {
+            log.err("Failed to bind build events timestamp query: {}", .{err});
+            return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
+                \\{
+                \\  "error": "Failed to fetch build events"
+                \\}
+            });
+        };
+        defer now_stmt.reset();
 
-        if (pkg.description) |desc| {
-            // Escape JSON string
-            const escaped_desc = try escapeJsonString(ctx.allocator, desc.data);
-            defer ctx.allocator.free(escaped_desc);
-            try response_writer.print(",\"description\":\"{s}\"", .{escaped_desc});
-        } else {
-            try response_writer.writeAll(",\"description\":null");
+        if (now_stmt.step() catch null) |row| {
+            // Row ids start at 1, so builds finishing within this second are still sent
+            try response_writer.print("id: {s}:0\nevent: ready\ndata: {{}}\n\n", .{row.now.data});
         }
+    }
 
-        if (pkg.author) |auth| {
-            const escaped_author = try escapeJsonString(ctx.allocator, auth.data);
-            defer ctx.allocator.free(escaped_author);
-            try response_writer.print(",\"author\":\"{s}\"", .{escaped_author});
-        } else {
-            try response_writer.writeAll(",\"author\":null");
-        }
+    const response_body = try response.toOwnedSlice();
+    return ctx.response.apply(.{
+        .status = .OK,
+        .mime = http.Mime.generate("text/event-stream", "sse", "Server-Sent Events"),
+        .body = response_body,
+        .headers = &[_][2][]const u8{
+            .{ "Cache-Control", "no-cache" },
+            .{ "Access-Control-Allow-Origin", "*" },
+        },
+    });
+}
 
-        if (pkg.license) |lic| {
-            const escaped_license = try escapeJsonString(ctx.allocator, lic.data);
-            defer ctx.allocator.free(escaped_license);
-            try response_writer.print(",\"license\":\"{s}\"", .{escaped_license});
-        } else {
-            try response_writer.writeAll(",\"license\":null");
-        }
+const BuildEventCursor = struct {
+    last_checked: []const u8,
+    id: i64,
+};
 
-        try response_writer.print(",\"created_at\":\"{s}\"", .{pkg.created_at.data});
+// Event ids are `<last_checked>:<build_results.id>`. The timestamp alone repeats whenever
+// several builds finish in the same second, so the row id breaks the tie.
+// A bare timestamp (older clients, or `?since=`) starts before every row of that second.
+fn parseBuildEventCursor(since: []const u8) BuildEventCursor {
+    // "YYYY-MM-DD HH:MM:SS" has two colons of its own
+    if (std.mem.count(u8, since, ":") >= 3) {
+        const separator = std.mem.lastIndexOfScalar(u8, since, ':').?;
+        if (std.fmt.parseInt(i64, since[separator + 1 ..], 10)) |id| {
+            return .{ .last_checked = since[0..separator], .id = id };
+        } else |_| {}
+    }
+    return .{ .last_checked = since, .id = 0 };
+}
 
-        // Add build results
-        try response_writer.writeAll(",\"build_results\":[");
+// Writes one `build` event per build result updated after the cursor in `since`
+fn writeBuildEventsSince(alloc: Allocator, writer: anytype, since: []const u8) !void {
+    const cursor = parseBuildEventCursor(since);
 
-        // Fetch build results for this package
-        const BuildResultRow = struct { zig_version: sqlite.Text, build_status: sqlite.Text };
-        const build_query = "SELECT zig_version, build_status FROM build_results WHERE package_id = :package_id ORDER BY zig_version";
+    const BuildEventRow = struct {
+        id: i64,
+        package_name: sqlite.Text,
+        zig_version: sqlite.Text,
+        build_status: sqlite.Text,
+        test_status: ?sqlite.Text,
+        last_checked: sqlite.Text,
+    };
 
-        const build_stmt = db.prepare(struct { package_id: i64 }, BuildResultRow, build_query) catch |err| {
-            log.err("Failed to prepare build results query for package {d}: {}", .{ pkg.id, err });
-            try response_writer.writeAll("]");
-            try response_writer.writeAll("}");
-            continue;
-        };
-        defer build_stmt.finalize();
+    const events_query =
+        \\SELECT br.id, p.name as package_name, br.zig_version, br.build_status, br.test_status, br.last_checked
+        \\FROM build_results br
+        \\JOIN packages p ON br.package_id = p.id
+        \\WHERE (br.last_checked, br.id) > (:since, :since_id)
+        \\ORDER BY br.last_checked ASC, br.id ASC
+        \\LIMIT 200
+    ;
 
-        build_stmt.bind(.{ .package_id = pkg.id }) catch |err| {
-            log.err("Failed to bind build results query for package {d}: {}", .{ pkg.id, err });
-            try response_writer.writeAll("]");
-            try response_writer.writeAll("}");
-            continue;
-        };
-        defer build_stmt.reset();
+    var stmt = db.prepare(struct { since: sqlite.Text, since_id: i64 }, BuildEventRow, events_query) catch |err| {
+        log.err("Failed to prepare build events query: {}", .{err});
+        return error.DatabaseError;
+    };
+    defer stmt.finalize();
 
-        var build_first = true;
-        while (build_stmt.step() catch null) |build_result| {
-            if (!build_first) try response_writer.writeAll(",");
-            build_first = false;
+    stmt.bind(.{ .since = sqlite.text(cursor.last_checked), .since_id = cursor.id }) catch |err| {
+        log.err("Failed to bind build events query: {}", .{err});
+        return error.DatabaseError;
+    };
+    defer stmt.reset();
 
-            try response_writer.print("{{\"zig_version\":\"{s}\",\"build_status\":\"{s}\"}}", .{ build_result.zig_version.data, build_result.build_status.data });
-        }
+    while (stmt.step() catch null) |row| {
+        const escaped_name = try escapeJsonString(alloc, row.package_name.data);
+        defer alloc.free(escaped_name);
 
-        try response_writer.writeAll("]}");
-    }
+        try writer.print("id: {s}:{d}\nevent: build\ndata: {{\"package_name\":\"{s}\",\"zig_version\":\"{s}\",\"build_status\":\"{s}\"", .{ row.last_checked.data, row.id, escaped_name, row.zig_version.data, row.build_status.data });
 
-    try response_writer.print("],\"total\":{d},\"page\":{d},\"limit\":{d}}}", .{ count, page, limit });
+        if (row.test_status) |ts| {
+            try writer.print(",\"test_status\":\"{s}\"", .{ts.data});
+        } else {
+            try writer.writeAll(",\"test_status\":null");
+        }
 
-    // Free allocated where clause parts
-    for (where_parts.items) |part| {
-        ctx.allocator.free(part);
+        try writer.print(",\"last_checked\":\"{s}\"}}\n\n", .{row.last_checked.data});
     }
-
-    // Transfer ownership of the response to the framework
-    const response_body = try response.toOwnedSlice();
-    return ctx.response.apply(.{
-        .status = .OK,
-        .mime = http.Mime.JSON,
-        .body = response_body,
-        .headers = addCorsHeaders(),
-    });
 }
 
 // Helper function to escape JSON strings
@@ -1459,6 +2640,8 @@ fn escapeJsonString(alloc: Allocator, input: []const u8) ![]u8 {
             '\n' => try result.appendSlice("\\n"),
             '\r' => try result.appendSlice("\\r"),
             '\t' => try result.appendSlice("\\t"),
+            // Build logs carry terminal escape sequences, which JSON only allows as \u escapes
+            0...0x08, 0x0b, 0x0c, 0x0e...0x1f => try result.writer().print("\\u{x:0>4}", .{char}),
             else => try result.append(char),
         }
     }
@@ -1474,7 +2657,8 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
             .mime = http.Mime.JSON,
             .body =
             \\{
-            \\  "error": "Request body is required"
+            \\  "error": "Request body is required",
+            \\  "code": "missing_body"
             \\}
             ,
             .headers = addCorsHeaders(),
@@ -1487,7 +2671,8 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
     const url = extractJsonField(ctx.allocator, body, "url") orelse {
         return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Missing required field: url"
+            \\  "error": "Missing required field: url",
+            \\  "code": "missing_url"
             \\}
         });
     };
@@ -1495,26 +2680,28 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
 
     log.info("Package submission for URL: '{s}'", .{url});
 
-    // Fetch repository information from GitHub
-    const repo_info = fetchGitHubRepoInfo(ctx.allocator, url) catch |err| {
-        log.err("Failed to fetch GitHub repository info for {s}: {}", .{ url, err });
+    const source_type = extractJsonField(ctx.allocator, body, "source_type");
+    defer if (source_type) |st| ctx.allocator.free(st);
 
-        const error_message = switch (err) {
-            error.NotZigProject =>
-            \\{
-            \\  "error": "Repository is not a valid Zig project. It must have Zig as the primary language or contain a build.zig file."
-            \\}
-            ,
-            else =>
+    // Detect the host and validate the URL
+    const repo_ref = repo_registry.parse(url) catch |err| {
+        return repoUrlErrorResponse(ctx, err);
+    };
+
+    if (!sourceTypeMatches(source_type, repo_ref)) {
+        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Failed to fetch repository information from GitHub"
+            \\  "error": "source_type does not match the repository host",
+            \\  "code": "source_type_mismatch"
             \\}
-            ,
-        };
+        });
+    }
 
-        return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = error_message });
+    // Fetch repository information from the host
+    const repo_info = repo_registry.fetchRepoInfo(ctx.allocator, repo_ref) catch |err| {
+        return repoFetchErrorResponse(ctx, url, repo_ref, err);
     };
-    defer freeGitHubRepoInfo(ctx.allocator, repo_info);
+    defer repo_info.deinit(ctx.allocator);
 
     // Add debug logs for the fetched data
     log.debug("API fetched repository details:", .{});
@@ -1523,17 +2710,19 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
     log.debug("  Description: '{s}'", .{repo_info.description orelse "null"});
     log.debug("  Author: '{s}'", .{repo_info.author});
     log.debug("  License: '{s}'", .{repo_info.license orelse "null"});
+    log.debug("  Source: '{s}'", .{repo_info.source_type.toString()});
 
     // Insert package into database
-    const insert_query = "INSERT INTO packages (name, url, description, author, license) VALUES (:name, :url, :description, :author, :license)";
+    const insert_query = "INSERT INTO packages (name, url, description, author, license, source_type) VALUES (:name, :url, :description, :author, :license, :source_type)";
     log.debug("Executing SQL: {s}", .{insert_query});
 
-    db.exec(insert_query, .{
+    execLocked(insert_query, .{
         .name = sqlite.text(repo_info.name),
         .url = sqlite.text(repo_info.url),
         .description = sqlite.text(repo_info.description orelse ""),
         .author = sqlite.text(repo_info.author),
         .license = if (repo_info.license) |lic| sqlite.text(lic) else null,
+        .source_type = sqlite.text(repo_info.source_type.toString()),
     }) catch |err| {
         log.err("Database insertion failed with error: {}", .{err});
         log.err("Failed query: {s}", .{insert_query});
@@ -1543,14 +2732,16 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
         if (err == error.SQLITE_CONSTRAINT) {
             return ctx.response.apply(.{ .status = .Conflict, .mime = http.Mime.JSON, .body = 
                 \\{
-                \\  "error": "Package already exists. A package with this name or URL has already been submitted."
+                \\  "error": "Package already exists. A package with this name or URL has already been submitted.",
+                \\  "code": "duplicate_package"
                 \\}
             });
         }
 
         return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Failed to insert package into database"
+            \\  "error": "Failed to insert package into database",
+            \\  "code": "database_error"
             \\}
         });
     };
@@ -1563,7 +2754,8 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
         log.err("Failed to prepare statement for package ID retrieval: {}", .{err});
         return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Failed to retrieve package ID"
+            \\  "error": "Failed to retrieve package ID",
+            \\  "code": "database_error"
             \\}
         });
     };
@@ -1573,7 +2765,8 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
         log.err("Failed to bind package name for ID lookup: {}", .{err});
         return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Failed to bind package name for ID lookup"
+            \\  "error": "Failed to bind package name for ID lookup",
+            \\  "code": "database_error"
             \\}
         });
     };
@@ -1582,7 +2775,8 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
     const package_id = if (id_stmt.step() catch null) |result| result.id else {
         return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
             \\{
-            \\  "error": "Failed to retrieve inserted package ID"
+            \\  "error": "Failed to retrieve inserted package ID",
+            \\  "code": "database_error"
             \\}
         });
     };
@@ -1603,6 +2797,11 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
         };
     }
 
+    // Dependencies feed the graph on the build results page; the dependency scanner reads them shortly
+    queueDependencyScan(package_id) catch |err| {
+        log.warn("Failed to queue dependency scan for '{s}': {}", .{ repo_info.name, err });
+    };
+
     // Return success response
     const response_body = try std.fmt.allocPrint(ctx.allocator,
         \\{{
@@ -1610,9 +2809,10 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
         \\  "id": {d},
         \\  "name": "{s}",
         \\  "author": "{s}",
+        \\  "source_type": "{s}",
         \\  "status": "Build started for all Zig versions"
         \\}}
-    , .{ package_id, repo_info.name, repo_info.author });
+    , .{ package_id, repo_info.name, repo_info.author, repo_info.source_type.toString() });
 
     return ctx.response.apply(.{
         .status = .Created,
@@ -1622,6 +2822,35 @@ fn api_create_package(ctx: *const Context, _: void) !Respond {
     });
 }
 
+// Like extractJsonField, but only matches keys of the outermost object, so a field of a
+// nested object (such as the owner's "description" in a Gitea response) is never picked up
+fn extractTopLevelJsonField(alloc: Allocator, json: []const u8, field: []const u8) ?[]const u8 {
+    const key_pattern = std.fmt.allocPrint(alloc, "\"{s}\":", .{field}) catch return null;
+    defer alloc.free(key_pattern);
+
+    var depth: usize = 0;
+    var i: usize = 0;
+    while (i < json.len) : (i += 1) {
+        switch (json[i]) {
+            '{', '[' => depth += 1,
+            '}', ']' => depth -|= 1,
+            '"' => {
+                const string_start = i;
+                i += 1;
+                while (i < json.len and json[i] != '"') : (i += 1) {
+                    if (json[i] == '\\') i += 1; // Skip escaped characters
+                }
+                if (depth == 1 and std.mem.startsWith(u8, json[string_start..], key_pattern)) {
+                    return extractJsonField(alloc, json[string_start..], field);
+                }
+            },
+            else => {},
+        }
+    }
+
+    return null;
+}
+
 // Helper function to extract JSON fields (simplified)
 fn extractJsonField(alloc: Allocator, json: []const u8, field: []const u8) ?[]const u8 {
     const field_pattern = std.fmt.allocPrint(alloc, "\"{s}\":", .{field}) catch return null;
@@ -1655,41 +2884,45 @@ fn extractJsonField(alloc: Allocator, json: []const u8, field: []const u8) ?[]co
     return null;
 }
 
-// Helper function to validate GitHub URLs
-fn isValidGitHubUrl(url: []const u8) bool {
-    const github_pattern = "https://github.com/";
-    if (!std.mem.startsWith(u8, url, github_pattern)) return false;
+// JSON 400 response for a repository URL that cannot be submitted
+fn repoUrlErrorResponse(ctx: *const Context, err: anyerror) !Respond {
+    const response_body = try std.fmt.allocPrint(ctx.allocator,
+        \\{{
+        \\  "error": "{s}",
+        \\  "code": "{s}"
+        \\}}
+    , .{ repoUrlErrorMessage(err), repoUrlErrorCode(err) });
 
-    const path = url[github_pattern.len..];
+    return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = response_body });
+}
 
-    // Should have format: owner/repo or owner/repo/
-    const slash_count = std.mem.count(u8, path, "/");
-    if (slash_count < 1 or slash_count > 2) return false;
+// JSON 400 response for a failed repository metadata lookup
+fn repoFetchErrorResponse(ctx: *const Context, url: []const u8, ref: repo_hosts.RepoRef, err: anyerror) !Respond {
+    log.err("Failed to fetch {s} repository info for {s}: {}", .{ ref.source_type.displayName(), url, err });
 
-    // If there are 2 slashes, the last one should be at the end
-    if (slash_count == 2 and !std.mem.endsWith(u8, path, "/")) return false;
+    const response_body = switch (err) {
+        error.NotZigProject =>
+        \\{
+        \\  "error": "Repository is not a valid Zig project. It must have Zig as the primary language or contain a build.zig file.",
+        \\  "code": "not_zig_project"
+        \\}
+        ,
+        else => try std.fmt.allocPrint(ctx.allocator,
+            \\{{
+            \\  "error": "Failed to fetch repository information from {s}",
+            \\  "code": "fetch_failed",
+            \\  "source_type": "{s}"
+            \\}}
+        , .{ ref.source_type.displayName(), ref.source_type.toString() }),
+    };
 
-    return true;
+    return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = response_body });
 }
 
 // Function to fetch GitHub repository information
-fn fetchGitHubRepoInfo(alloc: Allocator, github_url: []const u8) !GitHubRepoInfo {
-    log.debug("Fetching GitHub repo info for: {s}", .{github_url});
-
-    // Extract owner and repo name from URL
-    const github_prefix = "https://github.com/";
-    if (!std.mem.startsWith(u8, github_url, github_prefix)) {
-        return error.InvalidUrl;
-    }
-
-    var path = github_url[github_prefix.len..];
-    if (std.mem.endsWith(u8, path, "/")) {
-        path = path[0 .. path.len - 1];
-    }
-
-    const slash_pos = std.mem.indexOf(u8, path, "/") orelse return error.InvalidUrl;
-    const owner = path[0..slash_pos];
-    const repo = path[slash_pos + 1 ..];
+fn fetchGitHubRepoInfo(alloc: Allocator, ref: repo_hosts.RepoRef) anyerror!repo_hosts.RepoInfo {
+    const owner = ref.owner;
+    const repo = ref.repo;
 
     log.debug("Extracted owner: '{s}', repo: '{s}'", .{ owner, repo });
 
@@ -1700,7 +2933,7 @@ fn fetchGitHubRepoInfo(alloc: Allocator, github_url: []const u8) !GitHubRepoInfo
     log.debug("GitHub API URL: {s}", .{api_url});
 
     // Make HTTP request to GitHub API
-    const response_body = makeGitHubRequest(alloc, api_url) catch |err| {
+    const response_body = makeHttpRequest(alloc, api_url, github_accept) catch |err| {
         log.err("Failed to make GitHub API request: {}", .{err});
         return err;
     };
@@ -1722,7 +2955,10 @@ fn fetchGitHubRepoInfo(alloc: Allocator, github_url: []const u8) !GitHubRepoInfo
     log.debug("Parsed repo info - name: '{s}', owner: '{s}', description: '{s}', license: '{s}', language: '{s}'", .{ name, owner_name, description orelse "null", license orelse "null", language orelse "null" });
 
     // Validate that this is a Zig project
-    const is_zig_project = try validateZigProject(alloc, owner, repo, language);
+    const contents_url = try std.fmt.allocPrint(alloc, "https://api.github.com/repos/{s}/{s}/contents/build.zig", .{ owner, repo });
+    defer alloc.free(contents_url);
+
+    const is_zig_project = try validateZigProject(alloc, contents_url, github_accept, language);
     if (!is_zig_project) {
         log.warn("Repository {s}/{s} is not a valid Zig project", .{ owner, repo });
         return error.NotZigProject;
@@ -1730,19 +2966,96 @@ fn fetchGitHubRepoInfo(alloc: Allocator, github_url: []const u8) !GitHubRepoInfo
 
     log.debug("Repository validated as Zig project", .{});
 
-    return GitHubRepoInfo{
+    return repo_hosts.RepoInfo{
+        .source_type = ref.source_type,
         .name = name,
         .author = owner_name,
         .description = description,
         .license = license,
         .language = language,
-        .url = try alloc.dupe(u8, github_url),
+        .url = try ref.canonicalUrl(alloc),
+    };
+}
+
+// Function to fetch repository information from Codeberg or another Gitea/Forgejo instance
+fn fetchGiteaRepoInfo(alloc: Allocator, ref: repo_hosts.RepoRef) anyerror!repo_hosts.RepoInfo {
+    // Gitea serves a GitHub-like REST API under /api/v1
+    const api_url = try std.fmt.allocPrint(alloc, "https://{s}/api/v1/repos/{s}/{s}", .{ ref.host, ref.owner, ref.repo });
+    defer alloc.free(api_url);
+
+    log.debug("Gitea API URL: {s}", .{api_url});
+
+    const response_body = makeHttpRequest(alloc, api_url, json_accept) catch |err| {
+        log.err("Failed to make Gitea API request: {}", .{err});
+        return err;
+    };
+    defer alloc.free(response_body);
+
+    // Gitea has no primary language field (the owner object carries a UI locale under
+    // "language"), so only the build.zig check decides whether this is a Zig project.
+    // The owner object comes first and has its own "description" (the user's bio).
+    const name = extractTopLevelJsonField(alloc, response_body, "name") orelse return error.ParseError;
+    errdefer alloc.free(name);
+    const description = blk: {
+        const value = extractTopLevelJsonField(alloc, response_body, "description") orelse break :blk null;
+        if (value.len > 0) break :blk value;
+        alloc.free(value);
+        break :blk null;
+    };
+    errdefer if (description) |d| alloc.free(d);
+    const owner_name = extractOwnerFromResponse(alloc, response_body) orelse return error.ParseError;
+    errdefer alloc.free(owner_name);
+
+    const contents_url = try std.fmt.allocPrint(alloc, "https://{s}/api/v1/repos/{s}/{s}/contents/build.zig", .{ ref.host, ref.owner, ref.repo });
+    defer alloc.free(contents_url);
+
+    if (!try validateZigProject(alloc, contents_url, json_accept, null)) {
+        log.warn("Repository {s}/{s}/{s} is not a valid Zig project", .{ ref.host, ref.owner, ref.repo });
+        return error.NotZigProject;
+    }
+
+    return repo_hosts.RepoInfo{
+        .source_type = ref.source_type,
+        .name = name,
+        .author = owner_name,
+        .description = description,
+        .license = null,
+        .language = null,
+        .url = try ref.canonicalUrl(alloc),
+    };
+}
+
+// Function to fetch repository information from SourceHut
+fn fetchSourceHutRepoInfo(alloc: Allocator, ref: repo_hosts.RepoRef) anyerror!repo_hosts.RepoInfo {
+    // git.sr.ht only offers an authenticated GraphQL API, so the repository is checked
+    // through its public blob URL and the metadata comes from the URL itself
+    const blob_url = try std.fmt.allocPrint(alloc, "https://{s}/{s}/{s}/blob/HEAD/build.zig", .{ ref.host, ref.owner, ref.repo });
+    defer alloc.free(blob_url);
+
+    if (!try validateZigProject(alloc, blob_url, "text/plain", null)) {
+        log.warn("Repository {s}/{s} is not a valid Zig project", .{ ref.owner, ref.repo });
+        return error.NotZigProject;
+    }
+
+    const name = try alloc.dupe(u8, ref.repo);
+    errdefer alloc.free(name);
+    const author = try alloc.dupe(u8, ref.ownerName());
+    errdefer alloc.free(author);
+
+    return repo_hosts.RepoInfo{
+        .source_type = ref.source_type,
+        .name = name,
+        .author = author,
+        .description = null,
+        .license = null,
+        .language = null,
+        .url = try ref.canonicalUrl(alloc),
     };
 }
 
 // Function to validate if a repository is a Zig project
-fn validateZigProject(alloc: Allocator, owner: []const u8, repo: []const u8, language: ?[]const u8) !bool {
-    log.debug("Validating Zig project for {s}/{s}", .{ owner, repo });
+fn validateZigProject(alloc: Allocator, build_zig_url: []const u8, accept: []const u8, language: ?[]const u8) !bool {
+    log.debug("Validating Zig project via {s}", .{build_zig_url});
 
     // Check 1: Primary language should be Zig
     var is_zig_language = false;
@@ -1754,7 +3067,7 @@ fn validateZigProject(alloc: Allocator, owner: []const u8, repo: []const u8, lan
     }
 
     // Check 2: Look for build.zig file in the repository
-    const has_build_zig = try checkForBuildZig(alloc, owner, repo);
+    const has_build_zig = try checkForBuildZig(alloc, build_zig_url, accept);
     log.debug("Has build.zig file: {}", .{has_build_zig});
 
     // A repository is considered a Zig project if:
@@ -1768,15 +3081,11 @@ fn validateZigProject(alloc: Allocator, owner: []const u8, repo: []const u8, lan
 }
 
 // Function to check if repository has build.zig file
-fn checkForBuildZig(alloc: Allocator, owner: []const u8, repo: []const u8) !bool {
-    // Build GitHub API URL for contents
-    const contents_url = try std.fmt.allocPrint(alloc, "https://api.github.com/repos/{s}/{s}/contents/build.zig", .{ owner, repo });
-    defer alloc.free(contents_url);
-
-    log.debug("Checking for build.zig at: {s}", .{contents_url});
+fn checkForBuildZig(alloc: Allocator, build_zig_url: []const u8, accept: []const u8) !bool {
+    log.debug("Checking for build.zig at: {s}", .{build_zig_url});
 
     // Make HTTP request to check if build.zig exists
-    const response_body = makeGitHubRequest(alloc, contents_url) catch |err| {
+    const response_body = makeHttpRequest(alloc, build_zig_url, accept) catch |err| {
         // If we get an error, it likely means the file doesn't exist
         log.debug("build.zig check failed: {}", .{err});
         return false;
@@ -1788,8 +3097,11 @@ fn checkForBuildZig(alloc: Allocator, owner: []const u8, repo: []const u8) !bool
     return true;
 }
 
-// Helper function to make HTTP requests to GitHub API
-fn makeGitHubRequest(alloc: Allocator, url: []const u8) ![]u8 {
+const github_accept = "application/vnd.github.v3+json";
+const json_accept = "application/json";
+
+// Helper function to make HTTP requests to repository host APIs
+fn makeHttpRequest(alloc: Allocator, url: []const u8, accept: []const u8) ![]u8 {
     log.debug("Making HTTP request to: {s}", .{url});
 
     // Initialize HTTP client
@@ -1802,12 +3114,12 @@ fn makeGitHubRequest(alloc: Allocator, url: []const u8) ![]u8 {
         return error.InvalidUrl;
     };
 
-    // Prepare headers for GitHub API
+    // Prepare request headers
     var headers = std.ArrayList(std.http.Header).init(alloc);
     defer headers.deinit();
 
     try headers.append(.{ .name = "User-Agent", .value = "zig-pkg-checker/1.0" });
-    try headers.append(.{ .name = "Accept", .value = "application/vnd.github.v3+json" });
+    try headers.append(.{ .name = "Accept", .value = accept });
 
     // Prepare response storage
     var response_body = std.ArrayList(u8).init(alloc);
@@ -1826,7 +3138,7 @@ fn makeGitHubRequest(alloc: Allocator, url: []const u8) ![]u8 {
     };
 
     if (result.status != .ok) {
-        log.err("GitHub API returned status: {}", .{result.status});
+        log.err("Request to {s} returned status: {}", .{ url, result.status });
         return error.HttpError;
     }
 
@@ -1856,7 +3168,7 @@ fn options_handler(ctx: *const Context, _: void) !Respond {
     });
 }
 
-// Helper function to extract owner from GitHub API response
+// Helper function to extract owner from a GitHub or Gitea API response
 fn extractOwnerFromResponse(alloc: Allocator, response: []const u8) ?[]const u8 {
     // Look for "owner":{"login":"username",...}
     const owner_start = std.mem.indexOf(u8, response, "\"owner\":") orelse return null;
@@ -1929,16 +3241,6 @@ fn extractLicenseFromResponse(alloc: Allocator, response: []const u8) ?[]const u
     return null;
 }
 
-// Helper function to free GitHubRepoInfo
-fn freeGitHubRepoInfo(alloc: Allocator, info: GitHubRepoInfo) void {
-    alloc.free(info.name);
-    alloc.free(info.author);
-    if (info.description) |desc| alloc.free(desc);
-    if (info.license) |lic| alloc.free(lic);
-    if (info.language) |lang| alloc.free(lang);
-    alloc.free(info.url);
-}
-
 fn initializeDatabase() !void {
     log.debug("Opening database file: zig_pkg_checker.db", .{});
 
@@ -2350,23 +3652,30 @@ fn fetchAllBuildsPageData(alloc: Allocator, search: ?[]const u8, zig_version: ?[
     defer where_parts.deinit();
     defer for (where_parts.items) |part| alloc.free(part);
 
+    // Filter values come straight from the query string, so they are quoted
     if (search) |s| {
         if (s.len > 0) {
-            const search_condition = try std.fmt.allocPrint(alloc, "p.name LIKE '%{s}%'", .{s});
+            const pattern = try sqlLikePattern(alloc, s);
+            defer alloc.free(pattern);
+            const search_condition = try std.fmt.allocPrint(alloc, "p.name LIKE {s} ESCAPE '\\'", .{pattern});
             try where_parts.append(search_condition);
         }
     }
 
     if (zig_version) |v| {
         if (v.len > 0) {
-            const version_condition = try std.fmt.allocPrint(alloc, "br.zig_version = '{s}'", .{v});
+            const quoted_version = try quoteSqlString(alloc, v);
+            defer alloc.free(quoted_version);
+            const version_condition = try std.fmt.allocPrint(alloc, "br.zig_version = {s}", .{quoted_version});
             try where_parts.append(version_condition);
         }
     }
 
     if (status) |s| {
         if (s.len > 0) {
-            const status_condition = try std.fmt.allocPrint(alloc, "br.build_status = '{s}'", .{s});
+            const quoted_status = try quoteSqlString(alloc, s);
+            defer alloc.free(quoted_status);
+            const status_condition = try std.fmt.allocPrint(alloc, "br.build_status = {s}", .{quoted_status});
             try where_parts.append(status_condition);
         }
     }
@@ -2382,26 +3691,32 @@ fn fetchAllBuildsPageData(alloc: Allocator, search: ?[]const u8, zig_version: ?[
         }
     }
 
-    // Build ORDER BY clause
+    // Build ORDER BY clause; br.id breaks ties so consecutive pages never overlap or skip a build
     const order_clause = if (sort) |s| blk: {
         if (std.mem.eql(u8, s, "last_checked_asc")) {
-            break :blk " ORDER BY br.last_checked ASC";
+            break :blk " ORDER BY br.last_checked ASC, br.id ASC";
         } else if (std.mem.eql(u8, s, "package_name_asc")) {
-            break :blk " ORDER BY p.name ASC";
+            break :blk " ORDER BY p.name ASC, br.id DESC";
         } else if (std.mem.eql(u8, s, "package_name_desc")) {
-            break :blk " ORDER BY p.name DESC";
+            break :blk " ORDER BY p.name DESC, br.id DESC";
         } else if (std.mem.eql(u8, s, "zig_version_desc")) {
-            break :blk " ORDER BY CASE br.zig_version WHEN 'master' THEN 1 WHEN '0.14.0' THEN 2 WHEN '0.13.0' THEN 3 WHEN '0.12.0' THEN 4 ELSE 5 END";
+            break :blk " ORDER BY CASE br.zig_version WHEN 'master' THEN 1 WHEN '0.14.0' THEN 2 WHEN '0.13.0' THEN 3 WHEN '0.12.0' THEN 4 ELSE 5 END, br.id DESC";
         } else {
-            break :blk " ORDER BY br.last_checked DESC";
+            break :blk " ORDER BY br.last_checked DESC, br.id DESC";
         }
-    } else " ORDER BY br.last_checked DESC";
-
-    // Get total count for pagination
-    const count_query = try std.fmt.allocPrint(alloc, "SELECT COUNT(*) as count FROM build_results br JOIN packages p ON br.package_id = p.id{s}", .{where_clause.items});
+    } else " ORDER BY br.last_checked DESC, br.id DESC";
+
+    // Get total and per-status counts for pagination and the summary, under the same filters
+    const count_query = try std.fmt.allocPrint(alloc,
+        \\SELECT COUNT(*) as count,
+        \\       COALESCE(SUM(CASE WHEN br.build_status = 'success' THEN 1 ELSE 0 END), 0) as successful,
+        \\       COALESCE(SUM(CASE WHEN br.build_status = 'failed' THEN 1 ELSE 0 END), 0) as failed,
+        \\       COALESCE(SUM(CASE WHEN br.build_status = 'pending' THEN 1 ELSE 0 END), 0) as pending
+        \\FROM build_results br JOIN packages p ON br.package_id = p.id{s}
+    , .{where_clause.items});
     defer alloc.free(count_query);
 
-    const CountResult = struct { count: i64 };
+    const CountResult = struct { count: i64, successful: i64, failed: i64, pending: i64 };
     var count_stmt = db.prepare(struct {}, CountResult, count_query) catch |err| {
         log.err("Failed to prepare count query: {}", .{err});
         return error.DatabaseError;
@@ -2414,16 +3729,13 @@ fn fetchAllBuildsPageData(alloc: Allocator, search: ?[]const u8, zig_version: ?[
     };
     defer count_stmt.reset();
 
-    const total_count = if (count_stmt.step() catch null) |result| result.count else 0;
+    const counts = (count_stmt.step() catch null) orelse CountResult{ .count = 0, .successful = 0, .failed = 0, .pending = 0 };
+    const total_count = counts.count;
 
     // Calculate pagination
     const total_pages = @as(i32, @intCast(@divTrunc(total_count + @as(i64, @intCast(limit)) - 1, @as(i64, @intCast(limit)))));
     const page_numbers = try generatePageNumbers(alloc, page, total_pages);
 
-    // Get build statistics
-    const build_counts = fetchBuildCounts() catch .{ .successful = 0, .failed = 0 };
-    const pending_count = fetchPendingBuildsCount() catch 0;
-
     // Fetch build results
     const AllBuildResultRow = struct {
         package_name: sqlite.Text,
@@ -2479,10 +3791,10 @@ fn fetchAllBuildsPageData(alloc: Allocator, search: ?[]const u8, zig_version: ?[
 
     return AllBuildsPageData{
         .title = "All Builds",
-        .successful_builds = build_counts.successful,
-        .failed_builds = build_counts.failed,
-        .pending_builds = pending_count,
-        .total_builds = build_counts.successful + build_counts.failed + pending_count,
+        .successful_builds = @intCast(counts.successful),
+        .failed_builds = @intCast(counts.failed),
+        .pending_builds = @intCast(counts.pending),
+        .total_builds = @intCast(total_count),
         .build_results = try build_results.toOwnedSlice(),
         .current_page = page,
         .total_pages = total_pages,
@@ -2947,6 +4259,21 @@ pub fn main() !void {
     defer build_sys.deinit();
     log.info("Build system initialized", .{});
 
+    // Repository metadata lookups per host
+    repo_registry.register(.github, fetchGitHubRepoInfo);
+    repo_registry.register(.codeberg, fetchGiteaRepoInfo);
+    repo_registry.register(.gitea, fetchGiteaRepoInfo);
+    repo_registry.register(.sourcehut, fetchSourceHutRepoInfo);
+
+    const gitea_hosts_value = std.process.getEnvVarOwned(allocator, "GITEA_HOSTS") catch |err| switch (err) {
+        error.EnvironmentVariableNotFound => try allocator.dupe(u8, DEFAULT_GITEA_HOSTS),
+        else => return err,
+    };
+    defer allocator.free(gitea_hosts_value);
+    repo_registry.gitea_hosts = try repo_hosts.parseHostList(allocator, gitea_hosts_value);
+    defer allocator.free(repo_registry.gitea_hosts);
+    log.info("Accepting Gitea/Forgejo repositories from: {s}", .{gitea_hosts_value});
+
     // Check if Docker is available
     log.info("Starting Docker availability check...", .{});
     const docker_available = build_sys.checkDockerAvailable() catch |err| blk: {
@@ -2977,13 +4304,20 @@ pub fn main() !void {
         Route.init("/submit").get({}, submit_handler).post({}, submit_handler).options({}, options_handler).layer(),
         Route.init("/stats").get({}, stats_handler).options({}, options_handler).layer(),
         Route.init("/builds").get({}, builds_handler).options({}, options_handler).layer(),
+        Route.init("/compare").get({}, compare_handler).options({}, options_handler).layer(),
         Route.init("/api").get({}, api_docs_handler).options({}, options_handler).layer(),
         Route.init("/packages/%s/builds").get({}, build_results_handler).options({}, options_handler).layer(),
         Route.init("/builds/%s").get({}, build_results_handler).options({}, options_handler).layer(),
+        Route.init("/badges/%s").get({}, package_badge_handler).options({}, options_handler).layer(),
+        Route.init("/badges/%s/%s").get({}, version_badge_handler).options({}, options_handler).layer(),
         FsDir.serve("/static", static_dir),
         Route.init("/api/health").get({}, api_health_handler).options({}, options_handler).layer(),
         Route.init("/api/github-info").post({}, api_github_info_handler).options({}, options_handler).layer(),
         Route.init("/api/packages").get({}, api_get_packages).post({}, api_create_package).options({}, options_handler).layer(),
+        Route.init("/api/packages/%s/dependencies").get({}, api_package_dependencies_handler).options({}, options_handler).layer(),
+        Route.init("/api/builds").get({}, api_get_builds).options({}, options_handler).layer(),
+        Route.init("/api/builds/events").get({}, api_build_events_handler).options({}, options_handler).layer(),
+        Route.init("/api/zig-versions").get({}, api_zig_versions_handler).options({}, options_handler).layer(),
         // Admin API endpoints (require authentication)
         Route.init("/admin/trigger-build").post({}, admin_trigger_build_handler).options({}, options_handler).layer(),
         Route.init("/admin/check-builds").post({}, admin_check_builds_handler).options({}, options_handler).layer(),
@@ -3010,13 +4344,20 @@ pub fn main() !void {
     log.info("  - GET /submit      - Submit package", .{});
     log.info("  - GET /stats       - Package statistics", .{});
     log.info("  - GET /builds      - All build results", .{});
+    log.info("  - GET /compare     - Side-by-side package comparison", .{});
     log.info("  - GET /api         - API documentation", .{});
     log.info("  - GET /packages/{{name}}/builds - Build results for package", .{});
     log.info("  - GET /builds/{{name}} - Build results for package (alternative)", .{});
+    log.info("  - GET /badges/{{name}} - Compatibility badge (SVG)", .{});
+    log.info("  - GET /badges/{{name}}/{{version}} - Badge for one Zig version, or `matrix` for all (SVG)", .{});
     log.info("  - GET /api/health  - Health check", .{});
-    log.info("  - POST /api/github-info - Get GitHub repository info", .{});
+    log.info("  - POST /api/github-info - Get repository info (GitHub, Codeberg, SourceHut, Gitea)", .{});
     log.info("  - GET /api/packages - List packages", .{});
     log.info("  - POST /api/packages - Submit package", .{});
+    log.info("  - GET /api/packages/{{name}}/dependencies - Dependency graph from build.zig.zon", .{});
+    log.info("  - GET /api/builds  - List build results", .{});
+    log.info("  - GET /api/builds/events - Build status updates (Server-Sent Events)", .{});
+    log.info("  - GET /api/zig-versions - Supported Zig versions", .{});
     log.info("  - POST /admin/trigger-build - Manually trigger builds (admin only)", .{});
     log.info("  - POST /admin/check-builds - Check for stalled builds (admin only)", .{});
     log.info("  - GET /admin/status - System status (admin only)", .{});
@@ -3088,6 +4429,52 @@ test "basic add functionality" {
     try std.testing.expect(result == 150);
 }
 
+test "module tests" {
+    _ = badges;
+    _ = repo_hosts;
+    _ = zon;
+    _ = template_engine;
+}
+
+test "build event cursors" {
+    const cursor = parseBuildEventCursor("2024-01-01 12:30:05:42");
+    try std.testing.expectEqualStrings("2024-01-01 12:30:05", cursor.last_checked);
+    try std.testing.expectEqual(@as(i64, 42), cursor.id);
+
+    const legacy = parseBuildEventCursor("2024-01-01 12:30:05");
+    try std.testing.expectEqualStrings("2024-01-01 12:30:05", legacy.last_checked);
+    try std.testing.expectEqual(@as(i64, 0), legacy.id);
+}
+
+test "search patterns are quoted and match wildcards literally" {
+    const alloc = std.testing.allocator;
+
+    const pattern = try sqlLikePattern(alloc, "x' OR 1=1 --");
+    defer alloc.free(pattern);
+    try std.testing.expectEqualStrings("'%x'' OR 1=1 --%'", pattern);
+
+    const wildcards = try sqlLikePattern(alloc, "100%_a\\b");
+    defer alloc.free(wildcards);
+    try std.testing.expectEqualStrings("'%100\\%\\_a\\\\b%'", wildcards);
+}
+
+test "top-level JSON fields skip nested objects" {
+    const alloc = std.testing.allocator;
+    const response =
+        \\{"id":1,"owner":{"login":"team","description":"Owner bio \"quoted\""},"name":"lib","description":"A Zig library"}
+    ;
+
+    const description = extractTopLevelJsonField(alloc, response, "description").?;
+    defer alloc.free(description);
+    try std.testing.expectEqualStrings("A Zig library", description);
+
+    const name = extractTopLevelJsonField(alloc, response, "name").?;
+    defer alloc.free(name);
+    try std.testing.expectEqualStrings("lib", name);
+
+    try std.testing.expect(extractTopLevelJsonField(alloc, response, "login") == null);
+}
+
 test "fuzz example" {
     const TestContext = struct {
         fn testOne(context: @This(), input: []const u8) anyerror!void {
@@ -3128,7 +4515,7 @@ fn admin_trigger_build_handler(ctx: *const Context, _: void) !Respond {
         return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = 
             \\{
             \\  "error": "Request body is required",
-            \\  "expected": "{ \"package_id\": number } or { \"package_name\": \"string\" }"
+            \\  "expected": "{ \"package_id\": number } or { \"package_name\": \"string\" }, with optional \"zig_version\""
             \\}
         });
     };
@@ -3150,6 +4537,19 @@ fn admin_trigger_build_handler(ctx: *const Context, _: void) !Respond {
         });
     }
 
+    // Optionally restrict the rebuild to a single Zig version
+    const zig_version_str = extractJsonField(ctx.allocator, body, "zig_version");
+    defer if (zig_version_str) |s| ctx.allocator.free(s);
+
+    var requested_version: [1]build_system.ZigVersion = undefined;
+    var versions: []const build_system.ZigVersion = &build_system.ZigVersion.all;
+    if (zig_version_str) |version_str| {
+        requested_version[0] = build_system.ZigVersion.fromString(version_str) orelse {
+            return ctx.response.apply(.{ .status = .@"Bad Request", .mime = http.Mime.JSON, .body = "{\n  \"error\": \"Unsupported zig_version. Use one of: " ++ build_system.ZigVersion.all_names ++ "\"\n}" });
+        };
+        versions = &requested_version;
+    }
+
     // Get package information
     var package_id: i64 = 0;
     var pkg_name: []const u8 = "";
@@ -3262,37 +4662,33 @@ fn admin_trigger_build_handler(ctx: *const Context, _: void) !Respond {
     defer if (pkg_name.len > 0) ctx.allocator.free(pkg_name);
     defer if (pkg_url.len > 0) ctx.allocator.free(pkg_url);
 
-    log.info("Admin triggering build for package '{s}' (ID: {d})", .{ pkg_name, package_id });
+    log.info("Admin triggering build for package '{s}' (ID: {d}) across {d} Zig version(s)", .{ pkg_name, package_id, versions.len });
 
-    // Start builds for all Zig versions
-    if (global_runtime) |rt| {
-        startPackageBuildsWithRuntime(rt, package_id, pkg_name, pkg_url) catch |err| {
-            log.err("Failed to start builds for package {d}: {}", .{ package_id, err });
-            return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
-                \\{
-                \\  "error": "Failed to start build process"
-                \\}
-            });
-        };
-    } else {
-        build_sys.startPackageBuilds(package_id, pkg_name, pkg_url) catch |err| {
-            log.err("Failed to start builds for package {d}: {}", .{ package_id, err });
-            return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
-                \\{
-                \\  "error": "Failed to start build process"
-                \\}
-            });
-        };
-    }
+    // Start builds for the requested Zig versions
+    if (global_runtime) |rt| build_sys.setRuntime(rt);
+    build_sys.startPackageBuildsForVersions(package_id, pkg_name, pkg_url, versions) catch |err| {
+        log.err("Failed to start builds for package {d}: {}", .{ package_id, err });
+        return ctx.response.apply(.{ .status = .@"Internal Server Error", .mime = http.Mime.JSON, .body = 
+            \\{
+            \\  "error": "Failed to start build process"
+            \\}
+        });
+    };
 
     const response_body = try std.fmt.allocPrint(ctx.allocator,
         \\{{
         \\  "message": "Build triggered successfully",
         \\  "package_id": {d},
         \\  "package_name": "{s}",
-        \\  "status": "Build started for all Zig versions"
+        \\  "zig_version": "{s}",
+        \\  "status": "Build started for {s}"
         \\}}
-    , .{ package_id, pkg_name });
+    , .{
+        package_id,
+        pkg_name,
+        zig_version_str orelse "all",
+        if (zig_version_str != null) "the requested Zig version" else "all Zig versions",
+    });
 
     return ctx.response.apply(.{
         .status = .OK,
@@ -0,0 +1,321 @@
+const std = @import("std");
+const log = std.log.scoped(.repo_hosts);
+const Allocator = std.mem.Allocator;
+
+pub const RepoHostError = error{
+    InvalidUrl,
+    UnsupportedHost,
+    NotZigProject,
+};
+
+/// Where a package repository is hosted, stored in `packages.source_type`
+pub const SourceType = enum {
+    github,
+    codeberg,
+    sourcehut,
+    gitea,
+
+    pub fn fromString(value: []const u8) ?SourceType {
+        return std.meta.stringToEnum(SourceType, value);
+    }
+
+    pub fn toString(self: SourceType) []const u8 {
+        return switch (self) {
+            .github => "github",
+            .codeberg => "codeberg",
+            .sourcehut => "sourcehut",
+            .gitea => "gitea",
+        };
+    }
+
+    pub fn displayName(self: SourceType) []const u8 {
+        return switch (self) {
+            .github => "GitHub",
+            .codeberg => "Codeberg",
+            .sourcehut => "SourceHut",
+            .gitea => "Gitea/Forgejo",
+        };
+    }
+};
+
+/// A repository URL split into its parts. Slices point into the parsed URL.
+pub const RepoRef = struct {
+    source_type: SourceType,
+    host: []const u8,
+    owner: []const u8,
+    repo: []const u8,
+
+    /// The URL the package is stored and cloned under, without `.git` or a trailing slash
+    pub fn canonicalUrl(self: RepoRef, alloc: Allocator) ![]u8 {
+        return std.fmt.allocPrint(alloc, "https://{s}/{s}/{s}", .{ self.host, self.owner, self.repo });
+    }
+
+    /// Where the raw contents of a file on the default branch can be downloaded
+    pub fn rawFileUrl(self: RepoRef, alloc: Allocator, path: []const u8) ![]u8 {
+        return switch (self.source_type) {
+            .github => std.fmt.allocPrint(alloc, "https://raw.githubusercontent.com/{s}/{s}/HEAD/{s}", .{ self.owner, self.repo, path }),
+            .codeberg, .gitea => std.fmt.allocPrint(alloc, "https://{s}/api/v1/repos/{s}/{s}/raw/{s}", .{ self.host, self.owner, self.repo, path }),
+            .sourcehut => std.fmt.allocPrint(alloc, "https://{s}/{s}/{s}/blob/HEAD/{s}", .{ self.host, self.owner, self.repo, path }),
+        };
+    }
+
+    /// Owner without the `~` SourceHut puts in front of user names
+    pub fn ownerName(self: RepoRef) []const u8 {
+        return std.mem.trimLeft(u8, self.owner, "~");
+    }
+};
+
+/// Repository metadata as returned by a host. Every field is owned by the allocator passed to the fetch.
+pub const RepoInfo = struct {
+    source_type: SourceType,
+    name: []const u8,
+    author: []const u8,
+    description: ?[]const u8,
+    license: ?[]const u8,
+    language: ?[]const u8,
+    url: []const u8,
+
+    pub fn deinit(self: RepoInfo, alloc: Allocator) void {
+        alloc.free(self.name);
+        alloc.free(self.author);
+        if (self.description) |desc| alloc.free(desc);
+        if (self.license) |lic| alloc.free(lic);
+        if (self.language) |lang| alloc.free(lang);
+        alloc.free(self.url);
+    }
+};
+
+/// Looks up the metadata of one repository and checks that it is a Zig project
+pub const FetchFn = *const fn (alloc: Allocator, ref: RepoRef) anyerror!RepoInfo;
+
+/// Parses `https://<host>/<owner>/<repo>` with an optional `.git` suffix or trailing slash.
+/// Hosts other than GitHub, Codeberg and SourceHut are only accepted when listed in
+/// `gitea_hosts`, so submissions cannot make the server fetch from arbitrary hosts.
+pub fn parseRepoUrl(url: []const u8, gitea_hosts: []const []const u8) RepoHostError!RepoRef {
+    const prefix = "https://";
+    if (!std.mem.startsWith(u8, url, prefix)) return error.InvalidUrl;
+
+    var rest = url[prefix.len..];
+    if (std.mem.endsWith(u8, rest, "/")) rest = rest[0 .. rest.len - 1];
+    if (std.mem.endsWith(u8, rest, ".git")) rest = rest[0 .. rest.len - ".git".len];
+
+    var parts = std.mem.splitScalar(u8, rest, '/');
+    const host = parts.next() orelse return error.InvalidUrl;
+    const owner = parts.next() orelse return error.InvalidUrl;
+    const repo = parts.next() orelse return error.InvalidUrl;
+    if (parts.next() != null) return error.InvalidUrl;
+
+    if (!isValidPathSegment(owner) or !isValidPathSegment(repo)) return error.InvalidUrl;
+
+    const source_type = sourceTypeForHost(host, gitea_hosts) orelse return error.UnsupportedHost;
+
+    // SourceHut user names always start with "~", other hosts never use it
+    const tilde_owner = owner[0] == '~';
+    if (tilde_owner != (source_type == .sourcehut) or (tilde_owner and owner.len == 1)) return error.InvalidUrl;
+
+    return RepoRef{ .source_type = source_type, .host = host, .owner = owner, .repo = repo };
+}
+
+/// Finds the repository behind a build.zig.zon dependency URL, such as
+/// `git+https://github.com/owner/repo#<commit>` or a `.tar.gz` archive of a tag.
+/// Anything after `<owner>/<repo>` in the path is ignored.
+pub fn parseDependencyUrl(url: []const u8, gitea_hosts: []const []const u8) RepoHostError!RepoRef {
+    var rest = url;
+    if (std.mem.startsWith(u8, rest, "git+")) rest = rest["git+".len..];
+    if (std.mem.indexOfAny(u8, rest, "#?")) |end| rest = rest[0..end];
+
+    const prefix = "https://";
+    if (!std.mem.startsWith(u8, rest, prefix)) return error.InvalidUrl;
+
+    var parts = std.mem.splitScalar(u8, rest[prefix.len..], '/');
+    var host = parts.next() orelse return error.InvalidUrl;
+    const owner = parts.next() orelse return error.InvalidUrl;
+    var repo = parts.next() orelse return error.InvalidUrl;
+    if (std.mem.endsWith(u8, repo, ".git")) repo = repo[0 .. repo.len - ".git".len];
+
+    // Tarballs from codeload.github.com use the same owner/repo prefix as github.com
+    if (std.ascii.eqlIgnoreCase(host, "codeload.github.com")) host = "github.com";
+
+    if (!isValidPathSegment(owner) or !isValidPathSegment(repo)) return error.InvalidUrl;
+
+    const source_type = sourceTypeForHost(host, gitea_hosts) orelse return error.UnsupportedHost;
+
+    const tilde_owner = owner[0] == '~';
+    if (tilde_owner != (source_type == .sourcehut) or (tilde_owner and owner.len == 1)) return error.InvalidUrl;
+
+    return RepoRef{ .source_type = source_type, .host = host, .owner = owner, .repo = repo };
+}
+
+/// Splits a comma-separated host list, such as the `GITEA_HOSTS` environment variable.
+/// Blank entries are skipped; the returned slices point into `value`.
+pub fn parseHostList(alloc: Allocator, value: []const u8) Allocator.Error![]const []const u8 {
+    var hosts = std.ArrayList([]const u8).init(alloc);
+    errdefer hosts.deinit();
+
+    var entries = std.mem.tokenizeScalar(u8, value, ',');
+    while (entries.next()) |entry| {
+        const host = std.mem.trim(u8, entry, " \t");
+        if (host.len > 0) try hosts.append(host);
+    }
+    return hosts.toOwnedSlice();
+}
+
+fn sourceTypeForHost(host: []const u8, gitea_hosts: []const []const u8) ?SourceType {
+    if (std.ascii.eqlIgnoreCase(host, "github.com")) return .github;
+    if (std.ascii.eqlIgnoreCase(host, "codeberg.org")) return .codeberg;
+    if (std.ascii.eqlIgnoreCase(host, "git.sr.ht")) return .sourcehut;
+
+    for (gitea_hosts) |gitea_host| {
+        if (std.ascii.eqlIgnoreCase(host, gitea_host)) return .gitea;
+    }
+    return null;
+}
+
+fn isValidPathSegment(segment: []const u8) bool {
+    if (segment.len == 0 or std.mem.eql(u8, segment, ".") or std.mem.eql(u8, segment, "..")) return false;
+
+    for (segment) |c| {
+        if (!std.ascii.isAlphanumeric(c) and c != '-' and c != '_' and c != '.' and c != '~') return false;
+    }
+    return true;
+}
+
+/// Metadata lookups per host. The server registers the real API clients;
+/// tests register stand-ins so no network access is needed.
+pub const Registry = struct {
+    providers: std.EnumArray(SourceType, ?FetchFn) = std.EnumArray(SourceType, ?FetchFn).initFill(null),
+    gitea_hosts: []const []const u8 = &.{},
+
+    const Self = @This();
+
+    pub fn register(self: *Self, source_type: SourceType, fetch_fn: FetchFn) void {
+        self.providers.set(source_type, fetch_fn);
+    }
+
+    pub fn parse(self: *const Self, url: []const u8) RepoHostError!RepoRef {
+        return parseRepoUrl(url, self.gitea_hosts);
+    }
+
+    pub fn parseDependency(self: *const Self, url: []const u8) RepoHostError!RepoRef {
+        return parseDependencyUrl(url, self.gitea_hosts);
+    }
+
+    /// Asks the provider registered for the repository's host
+    pub fn fetchRepoInfo(self: *const Self, alloc: Allocator, ref: RepoRef) !RepoInfo {
+        const fetch_fn = self.providers.get(ref.source_type) orelse {
+            log.warn("No metadata provider registered for {s}", .{ref.source_type.toString()});
+            return error.UnsupportedHost;
+        };
+
+        log.debug("Fetching {s} repository info for {s}/{s}", .{ ref.source_type.displayName(), ref.owner, ref.repo });
+        return fetch_fn(alloc, ref);
+    }
+};
+
+test "parse repository URLs per host" {
+    const gitea_hosts = [_][]const u8{"git.example.org"};
+
+    const github = try parseRepoUrl("https://github.com/ziglang/zig", &gitea_hosts);
+    try std.testing.expectEqual(SourceType.github, github.source_type);
+    try std.testing.expectEqualStrings("ziglang", github.owner);
+    try std.testing.expectEqualStrings("zig", github.repo);
+
+    const codeberg = try parseRepoUrl("https://codeberg.org/ziglang/zig.git", &gitea_hosts);
+    try std.testing.expectEqual(SourceType.codeberg, codeberg.source_type);
+    try std.testing.expectEqualStrings("zig", codeberg.repo);
+
+    const sourcehut = try parseRepoUrl("https://git.sr.ht/~user/project/", &gitea_hosts);
+    try std.testing.expectEqual(SourceType.sourcehut, sourcehut.source_type);
+    try std.testing.expectEqualStrings("user", sourcehut.ownerName());
+
+    const gitea = try parseRepoUrl("https://git.example.org/team/lib", &gitea_hosts);
+    try std.testing.expectEqual(SourceType.gitea, gitea.source_type);
+
+    const canonical = try codeberg.canonicalUrl(std.testing.allocator);
+    defer std.testing.allocator.free(canonical);
+    try std.testing.expectEqualStrings("https://codeberg.org/ziglang/zig", canonical);
+}
+
+test "reject malformed and unknown repository URLs" {
+    const gitea_hosts = [_][]const u8{"git.example.org"};
+
+    try std.testing.expectError(error.InvalidUrl, parseRepoUrl("http://github.com/a/b", &gitea_hosts));
+    try std.testing.expectError(error.InvalidUrl, parseRepoUrl("https://github.com/a", &gitea_hosts));
+    try std.testing.expectError(error.InvalidUrl, parseRepoUrl("https://github.com/a/b/tree/main", &gitea_hosts));
+    try std.testing.expectError(error.InvalidUrl, parseRepoUrl("https://github.com/../b", &gitea_hosts));
+    try std.testing.expectError(error.InvalidUrl, parseRepoUrl("https://git.sr.ht/user/project", &gitea_hosts));
+    try std.testing.expectError(error.InvalidUrl, parseRepoUrl("https://codeberg.org/~user/project", &gitea_hosts));
+    try std.testing.expectError(error.UnsupportedHost, parseRepoUrl("https://gitlab.com/a/b", &gitea_hosts));
+}
+
+test "resolve dependency URLs to repositories" {
+    const gitea_hosts = [_][]const u8{"git.example.org"};
+
+    const git = try parseDependencyUrl("git+https://github.com/tardy-org/zzz.git#a6a4a4b5", &gitea_hosts);
+    try std.testing.expectEqual(SourceType.github, git.source_type);
+    try std.testing.expectEqualStrings("tardy-org", git.owner);
+    try std.testing.expectEqualStrings("zzz", git.repo);
+
+    const archive = try parseDependencyUrl("https://github.com/nDimensional/zig-sqlite/archive/refs/tags/v0.3.1.tar.gz", &gitea_hosts);
+    try std.testing.expectEqualStrings("zig-sqlite", archive.repo);
+
+    const codeload = try parseDependencyUrl("https://codeload.github.com/owner/lib/tar.gz/main", &gitea_hosts);
+    const canonical = try codeload.canonicalUrl(std.testing.allocator);
+    defer std.testing.allocator.free(canonical);
+    try std.testing.expectEqualStrings("https://github.com/owner/lib", canonical);
+
+    const sourcehut = try parseDependencyUrl("https://git.sr.ht/~user/project/archive/v1.0.tar.gz", &gitea_hosts);
+    try std.testing.expectEqual(SourceType.sourcehut, sourcehut.source_type);
+
+    try std.testing.expectError(error.UnsupportedHost, parseDependencyUrl("https://example.com/files/lib.tar.gz", &gitea_hosts));
+    try std.testing.expectError(error.InvalidUrl, parseDependencyUrl("file:///tmp/lib", &gitea_hosts));
+
+    const raw = try git.rawFileUrl(std.testing.allocator, "build.zig.zon");
+    defer std.testing.allocator.free(raw);
+    try std.testing.expectEqualStrings("https://raw.githubusercontent.com/tardy-org/zzz/HEAD/build.zig.zon", raw);
+}
+
+test "configure self-hosted Gitea hosts" {
+    const hosts = try parseHostList(std.testing.allocator, " gitea.com, git.example.org ,,");
+    defer std.testing.allocator.free(hosts);
+
+    try std.testing.expectEqual(@as(usize, 2), hosts.len);
+    try std.testing.expectEqualStrings("gitea.com", hosts[0]);
+    try std.testing.expectEqualStrings("git.example.org", hosts[1]);
+
+    const registry = Registry{ .gitea_hosts = hosts };
+    const ref = try registry.parse("https://git.example.org/team/lib");
+    try std.testing.expectEqual(SourceType.gitea, ref.source_type);
+    try std.testing.expectError(error.UnsupportedHost, registry.parse("https://git.other.org/team/lib"));
+
+    const empty = try parseHostList(std.testing.allocator, "");
+    defer std.testing.allocator.free(empty);
+    try std.testing.expectError(error.UnsupportedHost, (Registry{ .gitea_hosts = empty }).parse("https://gitea.com/team/lib"));
+}
+
+test "registry dispatches to the provider for the host" {
+    const StandIn = struct {
+        fn fetch(alloc: Allocator, ref: RepoRef) anyerror!RepoInfo {
+            return RepoInfo{
+                .source_type = ref.source_type,
+                .name = try alloc.dupe(u8, ref.repo),
+                .author = try alloc.dupe(u8, ref.ownerName()),
+                .description = null,
+                .license = null,
+                .language = null,
+                .url = try ref.canonicalUrl(alloc),
+            };
+        }
+    };
+
+    var registry = Registry{};
+    registry.register(.codeberg, StandIn.fetch);
+
+    const info = try registry.fetchRepoInfo(std.testing.allocator, try registry.parse("https://codeberg.org/owner/pkg/"));
+    defer info.deinit(std.testing.allocator);
+    try std.testing.expectEqual(SourceType.codeberg, info.source_type);
+    try std.testing.expectEqualStrings("pkg", info.name);
+    try std.testing.expectEqualStrings("https://codeberg.org/owner/pkg", info.url);
+
+    try std.testing.expectError(error.UnsupportedHost, registry.fetchRepoInfo(std.testing.allocator, try registry.parse("https://github.com/owner/pkg")));
+}
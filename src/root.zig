@@ -45,6 +45,27 @@ pub const db = struct {
         created_at: sqlite.Text,
     };
 
+    pub const PackageDependency = struct {
+        id: i64,
+        package_id: i64,
+        name: sqlite.Text,
+        url: ?sqlite.Text,
+        hash: ?sqlite.Text,
+        path: ?sqlite.Text,
+        lazy: i32, // boolean as integer
+        repo_url: ?sqlite.Text, // canonical repository URL, matched against packages.url
+    };
+
+    pub const DependencyScan = struct {
+        package_id: i64,
+        scan_status: ?sqlite.Text, // 'ok', 'missing', 'invalid'; null until a read completes
+        scanned_at: ?sqlite.Text,
+        queued_at: ?sqlite.Text, // set while the package waits for the dependency scanner
+        failed_attempts: i32, // failed reads since the last completed one
+        last_error: ?sqlite.Text,
+        retry_after: ?sqlite.Text, // the scanner leaves the package alone until then
+    };
+
     pub fn initDatabase(db_conn: *sqlite.Database) !void {
         // Create packages table
         try db_conn.exec(
@@ -92,10 +113,44 @@ pub const db = struct {
             \\)
         , .{});
 
+        // Create package_dependencies table, filled from each package's build.zig.zon
+        try db_conn.exec(
+            \\CREATE TABLE IF NOT EXISTS package_dependencies (
+            \\    id INTEGER PRIMARY KEY AUTOINCREMENT,
+            \\    package_id INTEGER NOT NULL,
+            \\    name TEXT NOT NULL,
+            \\    url TEXT,
+            \\    hash TEXT,
+            \\    path TEXT,
+            \\    lazy INTEGER DEFAULT 0,
+            \\    repo_url TEXT,
+            \\    FOREIGN KEY (package_id) REFERENCES packages (id),
+            \\    UNIQUE(package_id, name)
+            \\)
+        , .{});
+
+        // Create dependency_scans table, one row per package whose build.zig.zon was read or is queued to be
+        try db_conn.exec(
+            \\CREATE TABLE IF NOT EXISTS dependency_scans (
+            \\    package_id INTEGER PRIMARY KEY,
+            \\    scan_status TEXT,
+            \\    scanned_at TEXT,
+            \\    queued_at TEXT,
+            \\    failed_attempts INTEGER NOT NULL DEFAULT 0,
+            \\    last_error TEXT,
+            \\    retry_after TEXT,
+            \\    FOREIGN KEY (package_id) REFERENCES packages (id)
+            \\)
+        , .{});
+
         // Create indexes for better performance
         try db_conn.exec("CREATE INDEX IF NOT EXISTS idx_packages_name ON packages(name)", .{});
         try db_conn.exec("CREATE INDEX IF NOT EXISTS idx_build_results_package_version ON build_results(package_id, zig_version)", .{});
         try db_conn.exec("CREATE INDEX IF NOT EXISTS idx_issues_package ON issues(package_id)", .{});
+        // Repository URLs are matched case-insensitively; NOCASE lets those lookups use the indexes
+        try db_conn.exec("CREATE INDEX IF NOT EXISTS idx_packages_url ON packages(url COLLATE NOCASE)", .{});
+        try db_conn.exec("CREATE INDEX IF NOT EXISTS idx_package_dependencies_repo_url ON package_dependencies(repo_url COLLATE NOCASE)", .{});
+        try db_conn.exec("CREATE INDEX IF NOT EXISTS idx_dependency_scans_queued ON dependency_scans(queued_at)", .{});
     }
 };
 
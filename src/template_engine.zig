@@ -12,6 +12,7 @@ pub const TemplateError = error{
 pub const TokenType = enum {
     text,
     variable,
+    raw_variable,
     block_start,
     block_end,
     else_block,
@@ -28,6 +29,7 @@ pub const Token = struct {
 pub const NodeType = enum {
     text,
     variable,
+    raw_variable,
     each_block,
     if_block,
     unless_block,
@@ -294,9 +296,14 @@ pub const Lexer = struct {
         const start_line = self.line;
         const start_column = self.column;
 
-        // Skip opening {{
-        self.position += 2;
-        self.column += 2;
+        // {{{name}}} inserts the value without escaping
+        const raw = self.peekString("{{{");
+        const delimiter_len: usize = if (raw) 3 else 2;
+        const closing = if (raw) "}}}" else "}}";
+
+        // Skip opening {{ or {{{
+        self.position += delimiter_len;
+        self.column += delimiter_len;
 
         // Skip whitespace
         while (self.position < self.input.len and std.ascii.isWhitespace(self.input[self.position])) {
@@ -305,9 +312,9 @@ pub const Lexer = struct {
 
         const content_start = self.position;
 
-        // Find closing }}
+        // Find closing }} or }}}
         while (self.position < self.input.len) {
-            if (self.peekString("}}")) {
+            if (self.peekString(closing)) {
                 break;
             }
             self.advance();
@@ -319,14 +326,16 @@ pub const Lexer = struct {
 
         const content_end = self.position;
 
-        // Skip closing }}
-        self.position += 2;
-        self.column += 2;
+        // Skip closing }} or }}}
+        self.position += delimiter_len;
+        self.column += delimiter_len;
 
         const content = std.mem.trim(u8, self.input[content_start..content_end], " \t\n\r");
 
         // Determine token type
-        const token_type = if (content.len > 0 and content[0] == '#')
+        const token_type = if (raw)
+            TokenType.raw_variable
+        else if (content.len > 0 and content[0] == '#')
             TokenType.block_start
         else if (content.len > 0 and content[0] == '/')
             TokenType.block_end
@@ -425,10 +434,10 @@ pub const Parser = struct {
                     .else_block = null,
                 };
             },
-            .variable => {
+            .variable, .raw_variable => {
                 self.position += 1;
                 return ASTNode{
-                    .type = .variable,
+                    .type = if (token.type == .raw_variable) .raw_variable else .variable,
                     .content = token.content,
                     .children = &[_]ASTNode{},
                     .helper_args = &[_][]const u8{},
@@ -587,7 +596,8 @@ pub const Renderer = struct {
     pub fn render(self: Self, node: ASTNode, context: Context) TemplateError![]const u8 {
         switch (node.type) {
             .text => return self.allocator.dupe(u8, node.content) catch return TemplateError.OutOfMemory,
-            .variable => return self.renderVariable(node.content, context),
+            .variable => return self.renderEscapedVariable(node.content, context),
+            .raw_variable => return self.renderVariable(node.content, context),
             .each_block => return self.renderEach(node, context),
             .if_block => return self.renderIf(node, context),
             .unless_block => return self.renderUnless(node, context),
@@ -596,6 +606,22 @@ pub const Renderer = struct {
         }
     }
 
+    /// `{{name}}` is HTML-escaped, which makes it safe in text and in quoted attribute values.
+    /// `{{safe_url name}}` is for href/src values and replaces script URLs with "#".
+    fn renderEscapedVariable(self: Self, expression: []const u8, context: Context) TemplateError![]const u8 {
+        const url_prefix = "safe_url ";
+        const is_url = std.mem.startsWith(u8, expression, url_prefix);
+        const variable_name = if (is_url) std.mem.trim(u8, expression[url_prefix.len..], " ") else expression;
+
+        const value = try self.renderVariable(variable_name, context);
+        defer self.allocator.free(value);
+
+        if (is_url and !isSafeUrl(value)) {
+            return self.allocator.dupe(u8, "#") catch return TemplateError.OutOfMemory;
+        }
+        return escapeHtml(self.allocator, value) catch return TemplateError.OutOfMemory;
+    }
+
     fn renderVariable(self: Self, variable_name: []const u8, context: Context) TemplateError![]const u8 {
         std.log.debug("renderVariable: Looking for variable '{s}'", .{variable_name});
 
@@ -806,6 +832,56 @@ pub const Renderer = struct {
     }
 };
 
+/// Escapes text for HTML element content and quoted attribute values
+pub fn escapeHtml(allocator: Allocator, text: []const u8) ![]u8 {
+    var result = std.ArrayList(u8).init(allocator);
+    errdefer result.deinit();
+
+    for (text) |c| {
+        switch (c) {
+            '&' => try result.appendSlice("&amp;"),
+            '<' => try result.appendSlice("&lt;"),
+            '>' => try result.appendSlice("&gt;"),
+            '"' => try result.appendSlice("&quot;"),
+            '\'' => try result.appendSlice("&#39;"),
+            else => try result.append(c),
+        }
+    }
+
+    return result.toOwnedSlice();
+}
+
+/// Relative URLs and http, https and mailto URLs are safe to put in an href;
+/// javascript:, data: and other schemes are not
+pub fn isSafeUrl(url: []const u8) bool {
+    // Browsers skip leading control characters and spaces
+    var start: usize = 0;
+    while (start < url.len and url[start] <= ' ') start += 1;
+
+    var scheme_buf: [16]u8 = undefined;
+    var scheme_len: usize = 0;
+
+    for (url[start..]) |c| {
+        switch (c) {
+            // Tabs and newlines inside the scheme are ignored too, so "java\tscript:" still runs
+            '\t', '\n', '\r' => continue,
+            ':' => {
+                const scheme = scheme_buf[0..scheme_len];
+                return std.mem.eql(u8, scheme, "http") or std.mem.eql(u8, scheme, "https") or std.mem.eql(u8, scheme, "mailto");
+            },
+            // A path, query or fragment before any colon means a relative URL
+            '/', '?', '#' => return true,
+            else => {
+                if (scheme_len == scheme_buf.len) return false;
+                scheme_buf[scheme_len] = std.ascii.toLower(c);
+                scheme_len += 1;
+            },
+        }
+    }
+
+    return true;
+}
+
 pub const TemplateEngine = struct {
     allocator: Allocator,
 
@@ -836,3 +912,62 @@ pub const TemplateEngine = struct {
         return template.render(self.allocator, data);
     }
 };
+
+test "variables are HTML-escaped" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const engine = TemplateEngine.init(arena.allocator());
+
+    const output = try engine.renderTemplate(
+        \\<div data-name="{{name}}"><p>{{description}}</p></div>
+    , .{
+        .name = "pkg\" onmouseover=\"alert(1)",
+        .description = "<script>alert('xss')</script>",
+    });
+
+    try std.testing.expectEqualStrings(
+        \\<div data-name="pkg&quot; onmouseover=&quot;alert(1)"><p>&lt;script&gt;alert(&#39;xss&#39;)&lt;/script&gt;</p></div>
+    , output);
+}
+
+test "each block items are escaped" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const engine = TemplateEngine.init(arena.allocator());
+
+    const Package = struct { name: []const u8 };
+    const packages = [_]Package{ .{ .name = "ok" }, .{ .name = "<img src=x onerror=alert(1)>" } };
+
+    const output = try engine.renderTemplate("{{#each packages}}<h3>{{name}}</h3>{{/each}}", .{ .packages = @as([]const Package, &packages) });
+
+    try std.testing.expectEqualStrings("<h3>ok</h3><h3>&lt;img src=x onerror=alert(1)&gt;</h3>", output);
+}
+
+test "safe_url rejects script URLs" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const engine = TemplateEngine.init(arena.allocator());
+
+    const template = "<a href=\"{{safe_url url}}\">repo</a>";
+
+    const malicious = [_][]const u8{ "javascript:alert(1)", " JavaScript:alert(1)", "java\tscript:alert(1)", "data:text/html,<script>alert(1)</script>", "vbscript:msgbox(1)" };
+    for (malicious) |url| {
+        const output = try engine.renderTemplate(template, .{ .url = url });
+        try std.testing.expectEqualStrings("<a href=\"#\">repo</a>", output);
+    }
+
+    const quoted = try engine.renderTemplate(template, .{ .url = "https://github.com/a/b\" onclick=\"alert(1)" });
+    try std.testing.expectEqualStrings("<a href=\"https://github.com/a/b&quot; onclick=&quot;alert(1)\">repo</a>", quoted);
+
+    const relative = try engine.renderTemplate(template, .{ .url = "/packages/zap/builds" });
+    try std.testing.expectEqualStrings("<a href=\"/packages/zap/builds\">repo</a>", relative);
+}
+
+test "triple braces insert raw HTML" {
+    var arena = std.heap.ArenaAllocator.init(std.testing.allocator);
+    defer arena.deinit();
+    const engine = TemplateEngine.init(arena.allocator());
+
+    const output = try engine.renderTemplate("<main>{{{content}}}</main>", .{ .content = "<p>page</p>" });
+    try std.testing.expectEqualStrings("<main><p>page</p></main>", output);
+}
@@ -0,0 +1,285 @@
+const std = @import("std");
+const Allocator = std.mem.Allocator;
+
+pub const ZonError = error{ InvalidZon, OutOfMemory };
+
+/// One entry of the `.dependencies` table in a build.zig.zon.
+/// Slices point into the parsed source; string escapes are kept as written.
+pub const Dependency = struct {
+    name: []const u8,
+    url: ?[]const u8 = null,
+    hash: ?[]const u8 = null,
+    path: ?[]const u8 = null,
+    lazy: bool = false,
+};
+
+/// Reads the `.dependencies` of a build.zig.zon. Every other field is skipped, so
+/// manifests from any Zig version parse as long as they are well-formed ZON.
+pub fn parseDependencies(alloc: Allocator, source: []const u8) ZonError![]Dependency {
+    var tokens = Tokenizer{ .source = source };
+    try tokens.expect(.open);
+
+    var dependencies = std.ArrayList(Dependency).init(alloc);
+    errdefer dependencies.deinit();
+
+    while (true) {
+        switch (tokens.next()) {
+            .close => break,
+            .comma => continue,
+            .field => |name| {
+                try tokens.expect(.equal);
+                if (std.mem.eql(u8, name, "dependencies")) {
+                    try parseDependencyTable(&tokens, &dependencies);
+                } else {
+                    try tokens.skipValue();
+                }
+            },
+            else => return error.InvalidZon,
+        }
+    }
+    return dependencies.toOwnedSlice();
+}
+
+fn parseDependencyTable(tokens: *Tokenizer, dependencies: *std.ArrayList(Dependency)) ZonError!void {
+    try tokens.expect(.open);
+
+    while (true) {
+        switch (tokens.next()) {
+            .close => return,
+            .comma => continue,
+            .field => |name| {
+                try tokens.expect(.equal);
+                try tokens.expect(.open);
+                try dependencies.append(try parseDependency(tokens, name));
+            },
+            else => return error.InvalidZon,
+        }
+    }
+}
+
+fn parseDependency(tokens: *Tokenizer, name: []const u8) ZonError!Dependency {
+    var dependency = Dependency{ .name = name };
+
+    while (true) {
+        switch (tokens.next()) {
+            .close => return dependency,
+            .comma => continue,
+            .field => |key| {
+                try tokens.expect(.equal);
+                if (std.mem.eql(u8, key, "url")) {
+                    dependency.url = try tokens.expectString();
+                } else if (std.mem.eql(u8, key, "hash")) {
+                    dependency.hash = try tokens.expectString();
+                } else if (std.mem.eql(u8, key, "path")) {
+                    dependency.path = try tokens.expectString();
+                } else if (std.mem.eql(u8, key, "lazy")) {
+                    dependency.lazy = switch (tokens.next()) {
+                        .literal => |value| std.mem.eql(u8, value, "true"),
+                        else => return error.InvalidZon,
+                    };
+                } else {
+                    try tokens.skipValue();
+                }
+            },
+            else => return error.InvalidZon,
+        }
+    }
+}
+
+/// Splits ZON into the handful of tokens a manifest uses. Anything else,
+/// such as multiline strings, is reported as `invalid`.
+const Tokenizer = struct {
+    source: []const u8,
+    index: usize = 0,
+
+    const Token = union(enum) {
+        /// `.{`
+        open,
+        close,
+        equal,
+        comma,
+        /// `.name` or `.@"name"`: a field name, or an enum literal in value position
+        field: []const u8,
+        string: []const u8,
+        /// Numbers and bare words such as `true`
+        literal: []const u8,
+        end,
+        invalid,
+    };
+
+    fn next(self: *Tokenizer) Token {
+        self.skipWhitespaceAndComments();
+        if (self.index >= self.source.len) return .end;
+
+        const c = self.source[self.index];
+        switch (c) {
+            '.' => {
+                self.index += 1;
+                if (self.peek() == '{') {
+                    self.index += 1;
+                    return .open;
+                }
+                if (self.peek() == '@') {
+                    self.index += 1;
+                    const name = self.string() orelse return .invalid;
+                    return .{ .field = name };
+                }
+                const name = self.word();
+                return if (name.len > 0) .{ .field = name } else .invalid;
+            },
+            '}' => {
+                self.index += 1;
+                return .close;
+            },
+            '=' => {
+                self.index += 1;
+                return .equal;
+            },
+            ',' => {
+                self.index += 1;
+                return .comma;
+            },
+            '"' => {
+                const value = self.string() orelse return .invalid;
+                return .{ .string = value };
+            },
+            else => {
+                const value = self.word();
+                return if (value.len > 0) .{ .literal = value } else .invalid;
+            },
+        }
+    }
+
+    fn expect(self: *Tokenizer, tag: std.meta.Tag(Token)) ZonError!void {
+        if (std.meta.activeTag(self.next()) != tag) return error.InvalidZon;
+    }
+
+    fn expectString(self: *Tokenizer) ZonError![]const u8 {
+        return switch (self.next()) {
+            .string => |value| value,
+            else => error.InvalidZon,
+        };
+    }
+
+    /// Skips one value, including nested `.{ ... }` structs and tuples
+    fn skipValue(self: *Tokenizer) ZonError!void {
+        switch (self.next()) {
+            .string, .literal, .field => {},
+            .open => {
+                var depth: usize = 1;
+                while (depth > 0) {
+                    switch (self.next()) {
+                        .open => depth += 1,
+                        .close => depth -= 1,
+                        .end, .invalid => return error.InvalidZon,
+                        else => {},
+                    }
+                }
+            },
+            else => return error.InvalidZon,
+        }
+    }
+
+    fn peek(self: *const Tokenizer) ?u8 {
+        return if (self.index < self.source.len) self.source[self.index] else null;
+    }
+
+    fn skipWhitespaceAndComments(self: *Tokenizer) void {
+        while (self.index < self.source.len) {
+            const c = self.source[self.index];
+            if (c == ' ' or c == '\t' or c == '\r' or c == '\n') {
+                self.index += 1;
+            } else if (std.mem.startsWith(u8, self.source[self.index..], "//")) {
+                const line_end = std.mem.indexOfScalarPos(u8, self.source, self.index, '\n') orelse self.source.len;
+                self.index = line_end;
+            } else {
+                return;
+            }
+        }
+    }
+
+    /// Reads a `"..."` string at the current position and returns its contents
+    fn string(self: *Tokenizer) ?[]const u8 {
+        if (self.peek() != '"') return null;
+        const start = self.index + 1;
+
+        var i = start;
+        while (i < self.source.len) : (i += 1) {
+            switch (self.source[i]) {
+                '\\' => i += 1,
+                '\n' => return null,
+                '"' => {
+                    self.index = i + 1;
+                    return self.source[start..i];
+                },
+                else => {},
+            }
+        }
+        return null;
+    }
+
+    fn word(self: *Tokenizer) []const u8 {
+        const start = self.index;
+        while (self.peek()) |c| {
+            if (!std.ascii.isAlphanumeric(c) and c != '_') break;
+            self.index += 1;
+        }
+        return self.source[start..self.index];
+    }
+};
+
+test "parse dependencies from a build.zig.zon" {
+    const source =
+        \\.{
+        \\    .name = .example,
+        \\    .version = "0.1.0",
+        \\    .fingerprint = 0x9d2b1c0e4f3a7b21, // changing this has security consequences
+        \\    .minimum_zig_version = "0.14.0",
+        \\    .dependencies = .{
+        \\        .zzz = .{
+        \\            .url = "git+https://github.com/tardy-org/zzz#a6a4a4b5",
+        \\            .hash = "zzz-0.3.0-AAAA",
+        \\        },
+        \\        .@"zig-sqlite" = .{
+        \\            // .url = "https://example.com/old.tar.gz",
+        \\            .url = "https://github.com/nDimensional/zig-sqlite/archive/refs/tags/v0.3.1.tar.gz",
+        \\            .hash = "1220abcd",
+        \\            .lazy = true,
+        \\        },
+        \\        .local = .{ .path = "libs/local" },
+        \\    },
+        \\    .paths = .{ "build.zig", "build.zig.zon", "src" },
+        \\}
+    ;
+
+    const dependencies = try parseDependencies(std.testing.allocator, source);
+    defer std.testing.allocator.free(dependencies);
+
+    try std.testing.expectEqual(@as(usize, 3), dependencies.len);
+
+    try std.testing.expectEqualStrings("zzz", dependencies[0].name);
+    try std.testing.expectEqualStrings("git+https://github.com/tardy-org/zzz#a6a4a4b5", dependencies[0].url.?);
+    try std.testing.expectEqualStrings("zzz-0.3.0-AAAA", dependencies[0].hash.?);
+    try std.testing.expect(!dependencies[0].lazy);
+
+    try std.testing.expectEqualStrings("zig-sqlite", dependencies[1].name);
+    try std.testing.expectEqualStrings("https://github.com/nDimensional/zig-sqlite/archive/refs/tags/v0.3.1.tar.gz", dependencies[1].url.?);
+    try std.testing.expect(dependencies[1].lazy);
+
+    try std.testing.expectEqualStrings("local", dependencies[2].name);
+    try std.testing.expectEqualStrings("libs/local", dependencies[2].path.?);
+    try std.testing.expect(dependencies[2].url == null);
+}
+
+test "manifest without dependencies" {
+    const dependencies = try parseDependencies(std.testing.allocator, ".{ .name = \"example\", .version = \"0.0.1\", .paths = .{\"\"} }");
+    defer std.testing.allocator.free(dependencies);
+    try std.testing.expectEqual(@as(usize, 0), dependencies.len);
+}
+
+test "reject malformed manifests" {
+    try std.testing.expectError(error.InvalidZon, parseDependencies(std.testing.allocator, ""));
+    try std.testing.expectError(error.InvalidZon, parseDependencies(std.testing.allocator, ".{ .dependencies = .{ .a = .{ .url = \"x } } }"));
+    try std.testing.expectError(error.InvalidZon, parseDependencies(std.testing.allocator, ".{ .dependencies = .{ .a = .{ .url = 1 } } }"));
+    try std.testing.expectError(error.InvalidZon, parseDependencies(std.testing.allocator, ".{ .dependencies = .{"));
+}
@@ -6,23 +6,50 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize features
     initializePackageSearch();
     initializeSubmissionForm();
+    initializeBulkSubmission();
     initializePackageFilters();
     initializeAdminFeatures();
+    initializeZigVersions();
+    initializeComparison();
+    initializeStatsCharts();
+    initializeWatchlist();
+    initializeWatchNotifications();
+    initializeBuildsPage();
+    initializeExportMenus();
+    initializeLiveBuildUpdates();
+    initializeBuildLogDiff(); // reads the raw logs before the viewer replaces them
+    initializeBuildLogViewer();
+    initializeBuildResultsActions();
+    initializeDependencyGraph();
+    initializeBadgeBuilder();
+    initializeApiConsole();
 });
 
 // Package filtering and search functionality
-let currentFilters = {
+const defaultFilters = {
     search: '',
     zig_version: '',
     status: '',
     license: '',
     author: '',
+    rules: '', // comma-separated "version:status" pairs that must all hold
+    view: '', // 'mine' limits the list to watched packages
     sort: 'updated',
     page: 1,
     limit: 20
 };
 
-let isLoading = false;
+let currentFilters = { ...defaultFilters };
+
+// Maps filter control ids on the packages page to their currentFilters key
+const filterControls = {
+    'package-search': 'search',
+    'version-filter': 'zig_version',
+    'status-filter': 'status',
+    'license-filter': 'license',
+    'author-filter': 'author',
+    'sort-filter': 'sort'
+};
 
 function initializePackageFilters() {
     // Only initialize on packages page
@@ -38,69 +65,413 @@ function initializePackageFilters() {
     const authorFilter = document.getElementById('author-filter');
     const sortFilter = document.getElementById('sort-filter');
     
+    // Restore the filtered view from the query string so links and bookmarks work
+    readFiltersFromUrl();
+    applyFiltersToControls();
+    
     // Set up event listeners with debouncing for search
     let searchTimeout;
     if (searchInput) {
         searchInput.addEventListener('input', function() {
             clearTimeout(searchTimeout);
             searchTimeout = setTimeout(() => {
-                currentFilters.search = this.value;
-                currentFilters.page = 1; // Reset to first page
-                loadPackages();
+                if (this.value !== currentFilters.search) {
+                    updateFilter('search', this.value);
+                }
             }, 300); // 300ms debounce
         });
+        initializeSearchSuggestions(searchInput);
     }
     
     // Set up immediate event listeners for filters
     if (versionFilter) {
         versionFilter.addEventListener('change', function() {
-            currentFilters.zig_version = this.value;
-            currentFilters.page = 1;
-            loadPackages();
+            addFilterValue('zig_version', this.value);
+            this.value = '';
         });
     }
     
     if (statusFilter) {
         statusFilter.addEventListener('change', function() {
-            currentFilters.status = this.value;
-            currentFilters.page = 1;
-            loadPackages();
+            addFilterValue('status', this.value);
+            this.value = '';
         });
     }
     
     if (licenseFilter) {
         licenseFilter.addEventListener('change', function() {
-            currentFilters.license = this.value;
-            currentFilters.page = 1;
-            loadPackages();
+            addFilterValue('license', this.value);
+            this.value = '';
         });
     }
     
     if (authorFilter) {
         authorFilter.addEventListener('change', function() {
-            currentFilters.author = this.value;
-            currentFilters.page = 1;
-            loadPackages();
+            addFilterValue('author', this.value);
+            this.value = '';
         });
     }
     
     if (sortFilter) {
         sortFilter.addEventListener('change', function() {
-            currentFilters.sort = this.value;
-            currentFilters.page = 1;
-            loadPackages();
+            updateFilter('sort', this.value);
+        });
+    }
+    
+    const addRuleButton = document.getElementById('add-rule-button');
+    if (addRuleButton) {
+        addRuleButton.addEventListener('click', function() {
+            const version = document.getElementById('rule-version-filter').value;
+            const status = document.getElementById('rule-status-filter').value;
+            if (version) {
+                addVersionRule(version, status);
+            }
         });
     }
     
+    // Restore the full view when navigating with the back/forward buttons
+    window.addEventListener('popstate', function() {
+        readFiltersFromUrl();
+        applyFiltersToControls();
+        loadPackages();
+    });
+    
+    initializeInfiniteScroll();
+    
+    // The server renders the unfiltered list, so reload when the URL asks for more
+    if (infiniteScroll) {
+        restorePackagesScrollState();
+    } else if (window.location.search) {
+        loadPackages();
+    }
+    
     // Load initial data and populate author and license filters
     loadAuthors();
     loadLicenses();
 }
 
+function updateFilter(key, value) {
+    currentFilters[key] = value;
+    currentFilters.page = 1; // Reset to first page
+    updateFiltersUrl();
+    renderActiveFilters();
+    loadPackages();
+}
+
+// Multi-value filters are kept as comma-separated strings, the format /api/packages expects
+const multiValueFilters = ['zig_version', 'status', 'license', 'author', 'rules'];
+
+function filterValues(key) {
+    return (currentFilters[key] || '').split(',').filter(Boolean);
+}
+
+function addFilterValue(key, value) {
+    const values = filterValues(key);
+    if (!value || values.includes(value)) return;
+    
+    updateFilter(key, [...values, value].join(','));
+}
+
+function removeFilterValue(key, value) {
+    updateFilter(key, filterValues(key).filter(existing => existing !== value).join(','));
+}
+
+function addVersionRule(version, status) {
+    // One rule per version; a new rule replaces the old one
+    const rules = filterValues('rules').filter(rule => !rule.startsWith(`${version}:`));
+    updateFilter('rules', [...rules, `${version}:${status}`].join(','));
+}
+
+function clearAllFilters() {
+    const { sort, limit, view } = currentFilters;
+    currentFilters = { ...defaultFilters, sort, limit, view };
+    applyFiltersToControls();
+    updateFiltersUrl();
+    loadPackages();
+}
+
+function renderActiveFilters() {
+    const container = document.getElementById('active-filters');
+    if (!container) return;
+    
+    const statusLabels = { success: 'Working', failed: 'Failing', pending: 'Pending' };
+    const ruleLabels = { success: 'succeeds', failed: 'fails', pending: 'is pending' };
+    const pills = [];
+    
+    if (currentFilters.search) {
+        pills.push({ key: 'search', value: currentFilters.search, label: `Search: ${currentFilters.search}` });
+    }
+    filterValues('zig_version').forEach(value => pills.push({ key: 'zig_version', value, label: `Zig ${value}` }));
+    filterValues('status').forEach(value => pills.push({ key: 'status', value, label: `Status: ${statusLabels[value] || value}` }));
+    filterValues('license').forEach(value => pills.push({ key: 'license', value, label: `License: ${value}` }));
+    filterValues('author').forEach(value => pills.push({ key: 'author', value, label: `Author: ${value}` }));
+    filterValues('rules').forEach(value => {
+        const [version, status] = value.split(':');
+        pills.push({ key: 'rules', value, label: `Zig ${version} ${ruleLabels[status] || status}` });
+    });
+    
+    container.classList.toggle('hidden', pills.length === 0);
+    container.classList.toggle('flex', pills.length > 0);
+    container.innerHTML = pills.map((pill, index) => `
+        <span class="inline-flex items-center gap-2 px-3 py-1 bg-orange-50 text-orange-800 border border-orange-200 rounded-full text-sm">
+            ${escapeHtml(pill.label)}
+            <button data-pill-index="${index}" class="hover:text-orange-600" aria-label="Remove filter ${escapeHtml(pill.label)}">
+                <i class="fas fa-times"></i>
+            </button>
+        </span>
+    `).join('') + (pills.length > 1 ? `
+        <button id="clear-all-filters" class="text-sm text-gray-600 hover:text-zig-orange underline">Clear all</button>
+    ` : '');
+    
+    container.querySelectorAll('[data-pill-index]').forEach(button => {
+        button.addEventListener('click', () => {
+            const pill = pills[Number(button.getAttribute('data-pill-index'))];
+            if (pill.key === 'search') {
+                document.getElementById('package-search').value = '';
+                updateFilter('search', '');
+            } else {
+                removeFilterValue(pill.key, pill.value);
+            }
+        });
+    });
+    
+    const clearAll = document.getElementById('clear-all-filters');
+    if (clearAll) {
+        clearAll.addEventListener('click', clearAllFilters);
+    }
+}
+
+function readFiltersFromUrl() {
+    currentFilters = filtersFromParams(new URLSearchParams(window.location.search));
+}
+
+function filtersFromParams(urlParams) {
+    const filters = { ...defaultFilters };
+    Object.keys(defaultFilters).forEach(key => {
+        const value = urlParams.get(key);
+        if (value === null) return;
+        
+        if (key === 'page' || key === 'limit') {
+            const number = parseInt(value, 10);
+            if (number > 0) {
+                filters[key] = number;
+            }
+        } else {
+            filters[key] = value;
+        }
+    });
+    return filters;
+}
+
+function filtersToUrlParams() {
+    // Only non-default values go into the URL to keep shared links short
+    const params = new URLSearchParams();
+    Object.keys(defaultFilters).forEach(key => {
+        if (currentFilters[key] && currentFilters[key] !== defaultFilters[key]) {
+            params.set(key, currentFilters[key]);
+        }
+    });
+    return params;
+}
+
+function updateFiltersUrl() {
+    const query = filtersToUrlParams().toString();
+    const url = query ? `${window.location.pathname}?${query}` : window.location.pathname;
+    
+    if (url !== window.location.pathname + window.location.search) {
+        history.pushState({ filters: { ...currentFilters } }, '', url);
+    }
+}
+
+function applyFiltersToControls() {
+    Object.keys(filterControls).forEach(id => {
+        const control = document.getElementById(id);
+        if (!control) return;
+        
+        const key = filterControls[id];
+        if (multiValueFilters.includes(key)) {
+            // These selects only add values; the chosen ones show up as pills
+            control.value = '';
+        } else if (control.tagName === 'SELECT') {
+            selectFilterOption(control, currentFilters[key]);
+        } else {
+            control.value = currentFilters[key];
+        }
+    });
+    
+    renderActiveFilters();
+    renderPackagesViewTabs();
+}
+
+function selectFilterOption(select, value) {
+    // Values from a shared URL may not be in the list yet (authors load asynchronously)
+    if (value && !Array.from(select.options).some(option => option.value === value)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    }
+    select.value = value;
+}
+
+// API data access
+// Responses are cached by URL; identical requests in flight share one fetch. A ttl of 0 skips the cache.
+const apiCacheTtl = 60000; // 1 minute
+
+const apiCache = new Map();
+const apiRequestsInFlight = new Map();
+
+function fetchJson(url, { ttl = apiCacheTtl, signal } = {}) {
+    const cached = ttl > 0 && apiCache.get(url);
+    if (cached && cached.expires > Date.now()) {
+        return Promise.resolve(cached.data);
+    }
+    
+    let request = apiRequestsInFlight.get(url);
+    if (!request) {
+        const controller = new AbortController();
+        request = { controller, subscribers: 0 };
+        request.promise = fetch(url, { signal: controller.signal })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                if (ttl > 0) {
+                    apiCache.set(url, { data, expires: Date.now() + ttl });
+                }
+                return data;
+            })
+            .finally(() => {
+                if (apiRequestsInFlight.get(url) === request) {
+                    apiRequestsInFlight.delete(url);
+                }
+            });
+        apiRequestsInFlight.set(url, request);
+    }
+    
+    // Callers without a signal keep the shared request alive for good
+    request.subscribers++;
+    if (!signal) {
+        return request.promise;
+    }
+    
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            // Only cancel the network request once every caller has given up on it
+            request.subscribers--;
+            if (request.subscribers === 0) {
+                request.controller.abort();
+            }
+            reject(new DOMException('Request aborted', 'AbortError'));
+        };
+        
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        
+        signal.addEventListener('abort', onAbort, { once: true });
+        request.promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+function invalidateApiCache(prefix = '') {
+    Array.from(apiCache.keys())
+        .filter(url => url.startsWith(prefix))
+        .forEach(url => apiCache.delete(url));
+}
+
+// Every package matching `params` (the whole catalogue by default), a page at a time,
+// so nothing is cut off at a fixed limit
+async function fetchAllPackages(params = new URLSearchParams(), fetchOptions = {}) {
+    const pageParams = new URLSearchParams(params);
+    pageParams.set('limit', '100');
+    
+    const packages = [];
+    for (let page = 1; ; page++) {
+        pageParams.set('page', page);
+        
+        const data = await fetchJson(`/api/packages?${pageParams.toString()}`, fetchOptions);
+        packages.push(...data.packages);
+        
+        if (data.packages.length === 0 || packages.length >= data.total) {
+            return packages;
+        }
+    }
+}
+
+// Build events arrive in batches on every reconnect; the cache is updated once per batch
+let pendingCacheBuildEvents = [];
+let cacheBuildEventsTimer = null;
+
+function queueCacheBuildEvent(event) {
+    pendingCacheBuildEvents.push(event);
+    if (!cacheBuildEventsTimer) {
+        cacheBuildEventsTimer = setTimeout(applyCacheBuildEvents, 250);
+    }
+}
+
+function applyCacheBuildEvents() {
+    const events = pendingCacheBuildEvents;
+    pendingCacheBuildEvents = [];
+    cacheBuildEventsTimer = null;
+    
+    apiCache.forEach((entry, url) => {
+        const [path, query = ''] = url.split('?');
+        const params = new URLSearchParams(query);
+        
+        if (path === '/api/packages') {
+            // Which packages match, and in what order, can depend on build status
+            if (params.has('status') || params.has('rules') || params.get('sort') === 'compatibility') {
+                apiCache.delete(url);
+            } else {
+                events.forEach(event => patchCachedPackageBuild(entry.data, event));
+            }
+        } else if (path === '/api/builds') {
+            // Counts and last_checked ordering move with every new result
+            apiCache.delete(url);
+        }
+    });
+}
+
+function patchCachedPackageBuild(data, event) {
+    (data.packages || []).filter(pkg => pkg.name === event.package_name).forEach(pkg => {
+        const results = pkg.build_results || (pkg.build_results = []);
+        const result = results.find(entry => entry.zig_version === event.zig_version);
+        if (result) {
+            result.build_status = event.build_status;
+            result.test_status = event.test_status;
+            result.last_checked = event.last_checked;
+        } else {
+            results.push({
+                zig_version: event.zig_version,
+                build_status: event.build_status,
+                test_status: event.test_status,
+                last_checked: event.last_checked
+            });
+        }
+    });
+}
+
+let packagesRequestController = null;
+
 async function loadPackages() {
-    if (isLoading) return;
+    // Abort the previous request so the latest filter change always wins
+    if (packagesRequestController) {
+        packagesRequestController.abort();
+    }
+    if (loadMoreController) {
+        loadMoreController.abort();
+        loadMoreController = null;
+    }
+    const controller = new AbortController();
+    packagesRequestController = controller;
     
-    isLoading = true;
     showLoading(true);
     
     try {
@@ -114,34 +485,40 @@ async function loadPackages() {
         
         console.log('Loading packages with filters:', currentFilters);
         
-        const response = await fetch(`/api/packages?${params.toString()}`);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        // An empty watchlist has nothing to ask the server for
+        const data = currentFilters.view === 'mine' && watchedPackageNames().length === 0
+            ? { packages: [], total: 0, page: 1, limit: currentFilters.limit }
+            : await fetchJson(`/api/packages?${packagesApiParams(params).toString()}`, { signal: controller.signal });
         console.log('Loaded packages:', data);
         
+        await loadZigVersions();
+        if (controller.signal.aborted) return;
+        mergeZigVersionsFromPackages(data.packages);
+        
+        lastPackagesTotal = data.total;
+        trackLoadedPackages(data, false);
         renderPackages(data.packages);
         renderPagination(data.total, data.page, data.limit);
+        renderBulkActionsBar();
         
     } catch (error) {
+        if (error.name === 'AbortError') return;
+        
         console.error('Error loading packages:', error);
         showError('Failed to load packages. Please try again.');
     } finally {
-        isLoading = false;
-        showLoading(false);
+        if (packagesRequestController === controller) {
+            packagesRequestController = null;
+            showLoading(false);
+        }
     }
 }
 
 async function loadAuthors() {
     try {
-        // Load all packages to get unique authors
-        const response = await fetch('/api/packages?limit=1000');
-        if (!response.ok) return;
-        
-        const data = await response.json();
-        const authors = [...new Set(data.packages.map(pkg => pkg.author).filter(Boolean))].sort();
+        // Load all packages to get unique authors (shared with the other filter list)
+        const packages = await fetchAllPackages();
+        const authors = [...new Set(packages.map(pkg => pkg.author).filter(Boolean))].sort();
         
         const authorFilter = document.getElementById('author-filter');
         if (authorFilter && authors.length > 0) {
@@ -165,12 +542,9 @@ async function loadAuthors() {
 
 async function loadLicenses() {
     try {
-        // Load all packages to get unique licenses
-        const response = await fetch('/api/packages?limit=1000');
-        if (!response.ok) return;
-        
-        const data = await response.json();
-        const licenses = [...new Set(data.packages.map(pkg => pkg.license).filter(Boolean))].sort();
+        // Load all packages to get unique licenses (shared with the other filter list)
+        const packages = await fetchAllPackages();
+        const licenses = [...new Set(packages.map(pkg => pkg.license).filter(Boolean))].sort();
         
         const licenseFilter = document.getElementById('license-filter');
         if (licenseFilter && licenses.length > 0) {
@@ -203,46 +577,178 @@ async function loadLicenses() {
     }
 }
 
+// Zig versions
+// Known versions, kept sorted by compareZigVersions (oldest first, master last)
+let zigVersions = [];
+let zigVersionsRequest = null;
+
+const zigVersionFilterIds = ['version-filter', 'zig-version-filter', 'rule-version-filter'];
+
+function initializeZigVersions() {
+    const hasVersionFilter = zigVersionFilterIds.some(id => document.getElementById(id));
+    if (!hasVersionFilter && !document.getElementById('packages-grid')) return;
+    
+    loadZigVersions();
+}
+
+function loadZigVersions() {
+    // One request per page load; callers await the same promise
+    if (!zigVersionsRequest) {
+        zigVersionsRequest = fetch('/api/zig-versions')
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => mergeZigVersions(data.versions || []))
+            .catch(error => console.error('Error loading Zig versions:', error));
+    }
+    return zigVersionsRequest;
+}
+
+function mergeZigVersions(versions) {
+    const added = versions.filter(version => version && !zigVersions.includes(version));
+    if (added.length === 0) return;
+    
+    zigVersions = [...new Set([...zigVersions, ...added])].sort(compareZigVersions);
+    populateZigVersionFilters();
+}
+
+function mergeZigVersionsFromPackages(packages) {
+    // Builds against versions the server list doesn't know about still show up
+    const versions = [];
+    packages.forEach(pkg => {
+        (pkg.build_results || []).forEach(result => versions.push(result.zig_version));
+    });
+    mergeZigVersions(versions);
+}
+
+function compareZigVersions(a, b) {
+    if (a === b) return 0;
+    if (a === 'master') return 1;
+    if (b === 'master') return -1;
+    
+    const [coreA, preA] = a.split('-', 2);
+    const [coreB, preB] = b.split('-', 2);
+    
+    const coreOrder = compareVersionParts(coreA.split('.'), coreB.split('.'));
+    if (coreOrder !== 0) return coreOrder;
+    
+    // A release sorts after its own pre-releases (0.14.0-dev.1 < 0.14.0)
+    if (!preA) return 1;
+    if (!preB) return -1;
+    return compareVersionParts(preA.split(/[.+]/), preB.split(/[.+]/));
+}
+
+function compareVersionParts(partsA, partsB) {
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const partA = partsA[i] || '0';
+        const partB = partsB[i] || '0';
+        const numberA = Number(partA);
+        const numberB = Number(partB);
+        
+        if (!isNaN(numberA) && !isNaN(numberB)) {
+            if (numberA !== numberB) return numberA - numberB;
+        } else if (partA !== partB) {
+            return partA < partB ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+function latestStableZigVersion() {
+    const releases = zigVersions.filter(version => version !== 'master' && !version.includes('-'));
+    return releases[releases.length - 1];
+}
+
+function populateZigVersionFilters() {
+    const stableVersion = latestStableZigVersion();
+    
+    zigVersionFilterIds.forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        // The builds page restores its filter before the options exist, so fall back to the URL
+        const fromUrl = id === 'zig-version-filter' ? new URLSearchParams(window.location.search).get('zig_version') : '';
+        const selected = select.value || fromUrl || '';
+        
+        // Keep the "All versions" option from the template
+        Array.from(select.options)
+            .filter(option => option.value !== '')
+            .forEach(option => option.remove());
+        
+        zigVersions.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version;
+            option.textContent = version === stableVersion ? `${version} (Stable)` : version;
+            select.appendChild(option);
+        });
+        
+        selectFilterOption(select, selected);
+    });
+}
+
 function renderCompatibilityMatrix(buildResults) {
-    // Default Zig versions to show
-    const zigVersions = ['0.12.0', '0.13.0', '0.14.0', 'master'];
+    // Fall back to the package's own results if the version list hasn't loaded
+    const versions = zigVersions.length > 0
+        ? zigVersions
+        : [...new Set(buildResults.map(result => result.zig_version))].sort(compareZigVersions);
     
-    return zigVersions.map(version => {
+    return versions.map(version => {
         // Find build result for this version
         const buildResult = buildResults.find(result => result.zig_version === version);
         const status = buildResult ? buildResult.build_status : 'pending';
         
-        // Determine icon and color based on status
-        let iconClass, bgClass;
-        switch (status) {
-            case 'success':
-                iconClass = 'fas fa-check text-green-600';
-                bgClass = 'bg-green-100';
-                break;
-            case 'failed':
-                iconClass = 'fas fa-times text-red-600';
-                bgClass = 'bg-red-100';
-                break;
-            default:
-                iconClass = 'fas fa-clock text-yellow-600';
-                bgClass = 'bg-yellow-100';
-        }
-        
         return `
-            <div class="flex items-center justify-between p-2 bg-gray-50 rounded">
-                <span class="text-sm font-medium text-gray-700">${version}</span>
-                <span class="flex items-center justify-center w-6 h-6 rounded-full ${bgClass}">
-                    <i class="${iconClass} text-xs"></i>
-                </span>
+            <div class="flex items-center justify-between p-2 bg-gray-50 rounded" data-zig-version="${escapeHtml(version)}">
+                <span class="text-sm font-medium text-gray-700">${escapeHtml(version)}</span>
+                ${renderCompatibilityStatusIcon(status)}
             </div>
         `;
     }).join('');
 }
 
+function renderCompatibilityStatusIcon(status) {
+    // Determine icon and color based on status
+    let iconClass, bgClass;
+    switch (status) {
+        case 'success':
+            iconClass = 'fas fa-check text-green-600';
+            bgClass = 'bg-green-100';
+            break;
+        case 'failed':
+            iconClass = 'fas fa-times text-red-600';
+            bgClass = 'bg-red-100';
+            break;
+        default:
+            iconClass = 'fas fa-clock text-yellow-600';
+            bgClass = 'bg-yellow-100';
+    }
+    
+    return `
+        <span class="flex items-center justify-center w-6 h-6 rounded-full ${bgClass}" data-status-icon="${escapeHtml(status)}">
+            <i class="${iconClass} text-xs"></i>
+        </span>
+    `;
+}
+
 function renderPackages(packages) {
     const grid = document.getElementById('packages-grid');
     if (!grid) return;
     
+    if (packages.length === 0 && currentFilters.view === 'mine') {
+        grid.innerHTML = `
+            <div class="col-span-full text-center py-16">
+                <i class="far fa-star text-6xl text-gray-400 mb-6"></i>
+                <h3 class="text-2xl font-bold text-gray-800 mb-2">No watched packages here</h3>
+                <p class="text-gray-600 mb-6">Use the star on a package card to add it to My packages.</p>
+                <button onclick="setPackagesView('')" class="inline-block bg-zig-orange text-white px-6 py-3 rounded-lg font-semibold hover:bg-orange-600 transition-colors">Browse All Packages</button>
+            </div>
+        `;
+        return;
+    }
+    
     if (packages.length === 0) {
         grid.innerHTML = `
             <div class="col-span-full text-center py-16">
@@ -255,12 +761,40 @@ function renderPackages(packages) {
         return;
     }
     
-    grid.innerHTML = packages.map(pkg => `
-        <div class="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden hover:shadow-lg transition-shadow duration-200" data-name="${pkg.name}" data-author="${pkg.author || ''}">
+    grid.innerHTML = packages.map(renderPackageCard).join('');
+    
+    addCompareButtonsToPackages();
+    addWatchButtonsToPackages();
+    
+    // Add admin buttons if in admin mode
+    if (isAdminMode) {
+        addAdminButtonsToPackages();
+        syncSelectionCheckboxes();
+    }
+}
+
+function appendPackages(packages) {
+    const grid = document.getElementById('packages-grid');
+    if (!grid) return;
+    
+    grid.insertAdjacentHTML('beforeend', packages.map(renderPackageCard).join(''));
+    
+    addCompareButtonsToPackages();
+    addWatchButtonsToPackages();
+    
+    if (isAdminMode) {
+        addAdminButtonsToPackages();
+        syncSelectionCheckboxes();
+    }
+}
+
+function renderPackageCard(pkg) {
+    return `
+        <div class="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden hover:shadow-lg transition-shadow duration-200" data-name="${escapeHtml(pkg.name)}" data-author="${escapeHtml(pkg.author || '')}">
             <!-- Package Header -->
             <div class="p-6 border-b border-gray-100">
                 <h3 class="text-xl font-bold text-gray-900 mb-2">
-                    <a href="/packages/${pkg.name}" class="hover:text-zig-orange transition-colors">${escapeHtml(pkg.name)}</a>
+                    <a href="${packagePath(pkg.name)}" class="hover:text-zig-orange transition-colors">${highlightSearchMatch(pkg.name, { fuzzy: true })}</a>
                 </h3>
                 <div class="flex items-center gap-4 text-sm text-gray-600">
                     <span class="flex items-center gap-1">
@@ -276,7 +810,7 @@ function renderPackages(packages) {
             
             <!-- Package Description -->
             <div class="p-6 border-b border-gray-100">
-                <p class="text-gray-700 leading-relaxed">${escapeHtml(pkg.description || 'No description available')}</p>
+                <p class="text-gray-700 leading-relaxed">${pkg.description ? highlightSearchMatch(pkg.description) : 'No description available'}</p>
             </div>
 
             <!-- Compatibility Matrix -->
@@ -289,11 +823,11 @@ function renderPackages(packages) {
 
             <!-- Package Actions -->
             <div class="p-6 flex gap-3">
-                <a href="${pkg.url}" class="flex-1 text-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium" target="_blank">
+                <a href="${safeUrl(pkg.url)}" class="flex-1 text-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium" target="_blank" rel="noopener noreferrer">
                     <i class="fas fa-external-link-alt mr-2"></i>
                     Repository
                 </a>
-                <a href="/packages/${pkg.name}" class="flex-1 text-center px-4 py-2 bg-zig-orange text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium">
+                <a href="${packagePath(pkg.name)}" class="flex-1 text-center px-4 py-2 bg-zig-orange text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium">
                     View Details
                 </a>
             </div>
@@ -307,18 +841,18 @@ function renderPackages(packages) {
             </div>
             ` : ''}
         </div>
-    `).join('');
-    
-    // Add admin buttons if in admin mode
-    if (isAdminMode) {
-        addAdminButtonsToPackages();
-    }
+    `;
 }
 
 function renderPagination(total, currentPage, limit) {
     const pagination = document.getElementById('pagination');
     if (!pagination) return;
     
+    if (infiniteScroll) {
+        renderLoadMore(false);
+        return;
+    }
+    
     const totalPages = Math.ceil(total / limit);
     if (totalPages <= 1) {
         pagination.innerHTML = '';
@@ -380,6 +914,7 @@ function renderPagination(total, currentPage, limit) {
 
 function changePage(page) {
     currentFilters.page = page;
+    updateFiltersUrl();
     loadPackages();
     
     // Scroll to top of packages grid
@@ -389,6 +924,160 @@ function changePage(page) {
     }
 }
 
+// Infinite scroll
+const packagesViewModeKey = 'packages_view_mode';
+const packagesScrollStateKey = 'packages_scroll_state';
+
+let infiniteScroll = readStorage(packagesViewModeKey) === 'scroll';
+let loadedPackagesPage = 0;
+let loadedPackagesCount = 0;
+let packagesTotal = 0;
+let loadMoreController = null;
+let loadMoreRequest = null;
+let packagesObserver = null;
+
+function initializeInfiniteScroll() {
+    const toggle = document.getElementById('view-mode-toggle');
+    if (toggle) {
+        toggle.addEventListener('click', function() {
+            setInfiniteScroll(!infiniteScroll);
+        });
+    }
+    updateViewModeToggle();
+    
+    const sentinel = document.getElementById('packages-sentinel');
+    if (sentinel && 'IntersectionObserver' in window) {
+        packagesObserver = new IntersectionObserver(entries => {
+            if (infiniteScroll && entries.some(entry => entry.isIntersecting)) {
+                loadMorePackages();
+            }
+        }, { rootMargin: '400px' });
+        packagesObserver.observe(sentinel);
+    }
+    
+    // Remember how far the user got so returning from a package page restores it
+    window.addEventListener('pagehide', savePackagesScrollState);
+    if (infiniteScroll) {
+        history.scrollRestoration = 'manual';
+    }
+}
+
+function setInfiniteScroll(enabled) {
+    infiniteScroll = enabled;
+    writeStorage(packagesViewModeKey, enabled ? 'scroll' : 'pages');
+    history.scrollRestoration = enabled ? 'manual' : 'auto';
+    updateViewModeToggle();
+    
+    // Both modes start over from the first page
+    currentFilters.page = 1;
+    updateFiltersUrl();
+    loadPackages();
+}
+
+function updateViewModeToggle() {
+    const label = document.querySelector('#view-mode-toggle span');
+    if (label) {
+        label.textContent = infiniteScroll ? 'Switch to numbered pages' : 'Switch to infinite scroll';
+    }
+}
+
+function trackLoadedPackages(data, append) {
+    loadedPackagesPage = data.page;
+    loadedPackagesCount = append ? loadedPackagesCount + data.packages.length : data.packages.length;
+    packagesTotal = data.total;
+}
+
+function hasMorePackages() {
+    return loadedPackagesCount < packagesTotal;
+}
+
+function loadMorePackages() {
+    // Overlapping triggers (observer, button, scroll restore) share one request
+    if (!loadMoreRequest && infiniteScroll && !packagesRequestController && hasMorePackages()) {
+        loadMoreRequest = fetchNextPackagesPage().finally(() => {
+            loadMoreRequest = null;
+        });
+    }
+    return loadMoreRequest || Promise.resolve();
+}
+
+async function fetchNextPackagesPage() {
+    const controller = new AbortController();
+    loadMoreController = controller;
+    renderLoadMore(true);
+    
+    try {
+        const params = packagesApiParams(filtersToUrlParams());
+        params.set('page', loadedPackagesPage + 1);
+        params.set('limit', currentFilters.limit);
+        
+        const data = await fetchJson(`/api/packages?${params.toString()}`, { signal: controller.signal });
+        
+        mergeZigVersionsFromPackages(data.packages);
+        appendPackages(data.packages);
+        trackLoadedPackages(data, true);
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        
+        console.error('Error loading more packages:', error);
+        showToast('error', 'Failed to load more packages. Please try again.');
+    } finally {
+        if (loadMoreController === controller) {
+            loadMoreController = null;
+            renderLoadMore(false);
+        }
+    }
+}
+
+function renderLoadMore(loading) {
+    const pagination = document.getElementById('pagination');
+    if (!pagination || !infiniteScroll) return;
+    
+    if (loading) {
+        pagination.innerHTML = '<span class="text-gray-500 text-sm"><i class="fas fa-spinner fa-spin mr-2"></i>Loading more packages...</span>';
+        return;
+    }
+    
+    const summary = `<span class="text-gray-500 text-sm">Showing ${loadedPackagesCount} of ${packagesTotal} packages</span>`;
+    
+    // The button covers browsers without IntersectionObserver and keyboard users
+    pagination.innerHTML = hasMorePackages()
+        ? `<div class="flex flex-col items-center gap-3">
+               ${summary}
+               <button onclick="loadMorePackages()" class="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium">Load more</button>
+           </div>`
+        : summary;
+}
+
+function savePackagesScrollState() {
+    if (!infiniteScroll || loadedPackagesPage === 0) return;
+    
+    sessionStorage.setItem(packagesScrollStateKey, JSON.stringify({
+        search: window.location.search,
+        pages: loadedPackagesPage,
+        scrollY: window.scrollY
+    }));
+}
+
+async function restorePackagesScrollState() {
+    const saved = JSON.parse(sessionStorage.getItem(packagesScrollStateKey) || 'null');
+    sessionStorage.removeItem(packagesScrollStateKey);
+    
+    await loadPackages();
+    
+    // Only back/forward navigation returns to the previous position
+    const navigation = performance.getEntriesByType('navigation')[0];
+    if (!saved || saved.search !== window.location.search || !navigation || navigation.type !== 'back_forward') return;
+    
+    // Reload the pages the user had scrolled through, then jump back to where they were
+    while (loadedPackagesPage < saved.pages && hasMorePackages()) {
+        const page = loadedPackagesPage;
+        await loadMorePackages();
+        if (loadedPackagesPage === page) break;
+    }
+    window.scrollTo(0, saved.scrollY);
+}
+
 function showLoading(show) {
     const loadingIndicator = document.getElementById('loading-indicator');
     const packagesGrid = document.getElementById('packages-grid');
@@ -416,10 +1105,50 @@ function showError(message) {
     }
 }
 
+// Escaping by output context. escapeHtml covers text and quoted attribute values, safeUrl covers
+// href/src values, and packagePath builds links to a package page from its (user-submitted) name.
+const htmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const safeUrlSchemes = ['http', 'https', 'mailto'];
+
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '').replace(/[&<>"']/g, char => htmlEscapes[char]);
+}
+
+function safeUrl(url, fallback = '#') {
+    // Browsers skip leading control characters and tabs or newlines inside the scheme, so "java\tscript:" still runs
+    const value = String(url ?? '').replace(/^[\u0000-\u0020]+/, '');
+    const scheme = value.replace(/[\t\n\r]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !safeUrlSchemes.includes(scheme[1].toLowerCase())) {
+        return fallback;
+    }
+    return escapeHtml(value);
+}
+
+function packagePath(name, suffix = '') {
+    return escapeHtml(`/packages/${encodeURIComponent(name)}${suffix}`);
+}
+
+// localStorage throws when storage is blocked (privacy modes, disabled cookies); a setting
+// that can't be read falls back to its default instead of stopping the script
+function readStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return null;
+    }
+}
+
+// localStorage writes throw when the quota is used up or storage is disabled; a setting that
+// can't be persisted should not break the action that changed it
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, value);
+        return true;
+    } catch (error) {
+        console.error(`Error saving ${key}:`, error);
+        return false;
+    }
 }
 
 function formatDate(dateString) {
@@ -431,24 +1160,4051 @@ function formatDate(dateString) {
     }
 }
 
-function initializePackageSearch() {
-    // This function is now handled by initializePackageFilters
-    // Keep for backward compatibility
+function initializePackageSearch() {
+    // This function is now handled by initializePackageFilters
+    // Keep for backward compatibility
+}
+
+
+// Package submission form
+// Errors are rendered from the stable `code` the API sends; its message text is only ever displayed
+const duplicateCheckDelay = 400;
+
+let submissionRepository = null;
+let submissionPreview = null;
+let duplicateCheck = null;
+let duplicateCheckTimer = null;
+
+function initializeSubmissionForm() {
+    const form = document.getElementById('submit-form');
+    if (!form) return;
+    
+    const urlInput = document.getElementById('package-url');
+    const previewButton = document.getElementById('preview-btn');
+    
+    urlInput.addEventListener('input', () => {
+        hideSubmissionError();
+        submissionPreview = null;
+        document.getElementById('repo-preview').classList.add('hidden');
+        document.getElementById('submit-btn').disabled = true;
+        
+        updateDetectedRepository(urlInput.value);
+        
+        // The check runs while typing so a duplicate shows up before anyone clicks Preview
+        clearTimeout(duplicateCheckTimer);
+        duplicateCheckTimer = setTimeout(() => startDuplicateCheck(), duplicateCheckDelay);
+    });
+    
+    // Pasted links to a file, a branch or a clone URL are reduced to the repository itself
+    urlInput.addEventListener('change', () => {
+        const normalized = normalizeRepositoryUrl(urlInput.value.trim());
+        if (normalized && normalized !== urlInput.value) {
+            urlInput.value = normalized;
+            updateDetectedRepository(normalized);
+            startDuplicateCheck();
+        }
+    });
+    
+    document.getElementById('error-close').addEventListener('click', hideSubmissionError);
+    previewButton.addEventListener('click', previewSubmission);
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        submitSubmission();
+    });
+    
+    // Browsers may restore the field after navigating back
+    if (urlInput.value) {
+        updateDetectedRepository(urlInput.value);
+        startDuplicateCheck();
+    }
+}
+
+function updateDetectedRepository(value) {
+    const normalized = normalizeRepositoryUrl(value.trim());
+    submissionRepository = normalized ? detectRepositoryHost(normalized) : null;
+    
+    // A well-formed URL on a host the server does not accept is called out before submitting
+    const unsupportedHost = submissionRepository ? null : unsupportedRepositoryHost(value.trim());
+    
+    const detected = document.getElementById('detected-host');
+    detected.classList.toggle('hidden', !submissionRepository && !unsupportedHost);
+    detected.classList.toggle('text-red-600', Boolean(unsupportedHost));
+    detected.classList.toggle('text-gray-700', !unsupportedHost);
+    
+    let label = '';
+    if (submissionRepository) {
+        label = submissionRepository.sourceType === 'gitea' ? `${submissionRepository.label} (${submissionRepository.host})` : submissionRepository.label;
+    } else if (unsupportedHost) {
+        label = `Unsupported host (${unsupportedHost})`;
+    }
+    document.getElementById('detected-host-name').textContent = label;
+}
+
+function startDuplicateCheck() {
+    clearTimeout(duplicateCheckTimer);
+    
+    const repository = submissionRepository;
+    renderDuplicateWarning(null);
+    if (!repository) {
+        duplicateCheck = null;
+        return null;
+    }
+    
+    const check = findDuplicatePackage(repository).catch(error => {
+        // The server still rejects duplicates on submit
+        console.error('Error checking for duplicate packages:', error);
+        return null;
+    });
+    duplicateCheck = { repository, promise: check };
+    
+    check.then(duplicate => {
+        // Ignore results for a URL that has been edited since
+        if (duplicateCheck && duplicateCheck.promise === check) {
+            renderDuplicateWarning(duplicate);
+        }
+    });
+    return check;
+}
+
+// Finds a package with the same repository, or with the name the server would store it under
+async function findDuplicatePackage(repository) {
+    const params = new URLSearchParams({ search: repository.repo, limit: 100 });
+    const data = await fetchJson(`/api/packages?${params.toString()}`);
+    const packages = data.packages || [];
+    
+    const url = repository.url.toLowerCase();
+    const sameRepository = packages.find(pkg => (normalizeRepositoryUrl(pkg.url) || pkg.url).toLowerCase() === url);
+    if (sameRepository) {
+        return { code: 'duplicate_package', package: sameRepository };
+    }
+    
+    const sameName = packages.find(pkg => pkg.name === repository.repo);
+    if (sameName) {
+        return { code: 'package_name_taken', package: sameName };
+    }
+    return null;
+}
+
+function renderDuplicateWarning(duplicate) {
+    const warning = document.getElementById('duplicate-warning');
+    if (!warning) return;
+    
+    warning.classList.toggle('hidden', !duplicate);
+    warning.innerHTML = duplicate ? renderSubmissionErrorContent(duplicate, submissionRepository) : '';
+}
+
+async function previewSubmission() {
+    hideSubmissionError();
+    
+    const urlInput = document.getElementById('package-url');
+    if (!urlInput.value.trim()) {
+        showSubmissionError({ code: 'missing_url' });
+        return;
+    }
+    
+    updateDetectedRepository(urlInput.value);
+    const repository = submissionRepository;
+    if (!repository) {
+        showSubmissionError({ code: 'invalid_url' });
+        return;
+    }
+    urlInput.value = repository.url;
+    
+    const previewButton = document.getElementById('preview-btn');
+    const submitButton = document.getElementById('submit-btn');
+    previewButton.disabled = true;
+    previewButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Loading...';
+    
+    try {
+        // Reuse the check started while typing when it was for this repository
+        const check = duplicateCheck && duplicateCheck.repository.url === repository.url
+            ? duplicateCheck.promise
+            : startDuplicateCheck();
+        const duplicate = await check;
+        if (!isCurrentSubmission(repository)) return;
+        if (duplicate) {
+            showSubmissionError(duplicate, repository);
+            return;
+        }
+        
+        const result = await postSubmissionRequest('/api/github-info', { url: repository.url, source_type: repository.sourceType });
+        // The URL may have been edited while the lookup ran; its answer belongs to the old one
+        if (!isCurrentSubmission(repository)) return;
+        if (!result.ok) {
+            showSubmissionError(result.error, repository);
+            return;
+        }
+        
+        submissionPreview = result.data;
+        renderSubmissionPreview(result.data, repository);
+        submitButton.disabled = false;
+    } finally {
+        previewButton.disabled = false;
+        previewButton.innerHTML = '<i class="fas fa-eye mr-2"></i>Preview Repository';
+    }
+}
+
+function isCurrentSubmission(repository) {
+    return Boolean(submissionRepository) && submissionRepository.url === repository.url;
+}
+
+function renderSubmissionPreview(data, repository) {
+    const fields = {
+        'preview-host': `${repository.label} (${data.host || repository.host})`,
+        'preview-name': data.name || 'N/A',
+        'preview-author': data.author || 'N/A',
+        'preview-description': data.description || 'No description available',
+        'preview-license': data.license || 'No license detected',
+        'preview-language': data.language || 'N/A'
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+        document.getElementById(id).textContent = value;
+    });
+    
+    document.getElementById('repo-preview').classList.remove('hidden');
+}
+
+async function submitSubmission() {
+    hideSubmissionError();
+    
+    if (!document.getElementById('agree-terms').checked) {
+        showSubmissionError({ code: 'terms_not_accepted' });
+        return;
+    }
+    if (!submissionPreview || !submissionRepository) {
+        showSubmissionError({ code: 'preview_required' });
+        return;
+    }
+    
+    const previewButton = document.getElementById('preview-btn');
+    const submitButton = document.getElementById('submit-btn');
+    submitButton.disabled = true;
+    submitButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Submitting...';
+    previewButton.disabled = true;
+    
+    const result = await postSubmissionRequest('/api/packages', {
+        url: submissionRepository.url,
+        source_type: submissionPreview.source_type || submissionRepository.sourceType
+    });
+    
+    if (result.ok) {
+        invalidateApiCache('/api/packages');
+        window.location.href = '/packages';
+        return;
+    }
+    
+    showSubmissionError(result.error, submissionRepository);
+    submitButton.disabled = false;
+    submitButton.innerHTML = '<i class="fas fa-rocket mr-2"></i>Submit Package';
+    previewButton.disabled = false;
+}
+
+// POSTs JSON and turns any failure into { code, message, status }
+async function postSubmissionRequest(url, body) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        
+        if (response.ok) {
+            return { ok: true, data };
+        }
+        return {
+            ok: false,
+            error: {
+                code: data.code || (response.status === 409 ? 'duplicate_package' : 'http_error'),
+                message: data.error || `HTTP ${response.status}`,
+                status: response.status
+            }
+        };
+    } catch (error) {
+        console.error(`Error posting to ${url}:`, error);
+        return { ok: false, error: { code: 'network_error', message: 'Could not reach the server', status: 0 } };
+    }
+}
+
+function showSubmissionError(error, repository = null) {
+    document.getElementById('error-text').innerHTML = renderSubmissionErrorContent(error, repository);
+    document.getElementById('error-message').classList.remove('hidden');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function hideSubmissionError() {
+    document.getElementById('error-message').classList.add('hidden');
+}
+
+// Short text for places without room for the full explanation, such as bulk rows
+function submissionErrorSummary(error) {
+    const summaries = {
+        not_zig_project: 'Not a Zig project',
+        duplicate_package: 'Already submitted',
+        package_name_taken: 'A package with this name already exists',
+        unsupported_host: 'Unsupported repository host',
+        invalid_url: 'Invalid repository URL',
+        network_error: 'Could not reach the server'
+    };
+    return summaries[error.code] || error.message || 'Something went wrong';
+}
+
+function renderSubmissionErrorContent(error, repository) {
+    const hostName = repository ? `${repository.label} (${repository.host})` : 'the repository host';
+    const packageLink = error.package
+        ? `<a href="${packagePath(error.package.name, '/builds')}" class="underline font-medium">${escapeHtml(error.package.name)}</a>`
+        : '';
+    
+    const renderers = {
+        missing_url: () => 'Please enter a repository URL.',
+        invalid_url: () => `
+            <p>Please enter a valid repository URL, for example:</p>
+            <ul class="text-sm mt-2 space-y-1 font-mono">
+                <li>https://github.com/username/repository</li>
+                <li>https://codeberg.org/username/repository</li>
+                <li>https://git.sr.ht/~username/repository</li>
+            </ul>
+        `,
+        unsupported_host: () => `
+            <p>${escapeHtml(repository ? repository.host : 'This host')} is not a supported repository host.</p>
+            <p class="text-sm mt-2">Packages can be submitted from GitHub, Codeberg, SourceHut or a supported Gitea/Forgejo instance.</p>
+        `,
+        source_type_mismatch: () => 'The detected host does not match the repository URL. Please preview the repository again.',
+        terms_not_accepted: () => 'Please confirm that you have the right to submit this package.',
+        preview_required: () => 'Please preview the repository first.',
+        duplicate_package: () => `This repository has already been submitted${packageLink ? ` as ${packageLink}` : ''}.`,
+        package_name_taken: () => `A package named ${packageLink} already exists, so this repository cannot be added under the same name.`,
+        fetch_failed: () => `
+            <p>Failed to fetch repository information from ${escapeHtml(hostName)}.</p>
+            <p class="text-sm mt-2">Make sure the URL is correct and the repository is public.</p>
+        `,
+        network_error: () => 'Could not reach the server. Please check your connection and try again.',
+        not_zig_project: () => `
+            <div class="space-y-3">
+                <div class="flex items-center">
+                    <i class="fas fa-exclamation-triangle text-red-500 mr-2"></i>
+                    <span class="font-semibold">Not a Zig Project</span>
+                </div>
+                <p class="text-sm">The submitted repository is not recognized as a valid Zig project.</p>
+                <div class="bg-red-50 p-3 rounded border-l-4 border-red-400">
+                    <p class="text-sm font-medium text-red-800 mb-2">To be accepted, your repository must meet one of these requirements:</p>
+                    <ul class="text-sm text-red-700 space-y-1">
+                        <li class="flex items-start">
+                            <i class="fas fa-check-circle text-red-500 mr-2 mt-0.5 text-xs"></i>
+                            Have <strong>Zig</strong> as the primary language (detected on GitHub only)
+                        </li>
+                        <li class="flex items-start">
+                            <i class="fas fa-check-circle text-red-500 mr-2 mt-0.5 text-xs"></i>
+                            Contain a <code class="bg-red-100 px-1 rounded text-red-800">build.zig</code> file in the root directory
+                        </li>
+                    </ul>
+                </div>
+                <div class="bg-blue-50 p-3 rounded border-l-4 border-blue-400">
+                    <p class="text-sm text-blue-800">
+                        <i class="fas fa-lightbulb mr-1"></i>
+                        <strong>Tip:</strong> If your repository is a Zig project but not detected correctly, make sure you have a <code class="bg-blue-100 px-1 rounded">build.zig</code> file in the root directory.
+                    </p>
+                </div>
+            </div>
+        `
+    };
+    
+    const render = renderers[error.code];
+    return render ? render() : escapeHtml(error.message || 'Something went wrong. Please try again.');
+}
+
+// Repository hosts
+
+// Hosts with their own source type. Self-hosted Gitea/Forgejo instances are only recognized when
+// they are on the server's allowlist, which the submit form lists in data-gitea-hosts.
+const repositoryHosts = {
+    'github.com': { sourceType: 'github', label: 'GitHub' },
+    'codeberg.org': { sourceType: 'codeberg', label: 'Codeberg' },
+    'git.sr.ht': { sourceType: 'sourcehut', label: 'SourceHut' }
+};
+const selfHostedRepositoryHost = { sourceType: 'gitea', label: 'Gitea/Forgejo' };
+const reservedGitHubOwners = ['about', 'collections', 'explore', 'features', 'login', 'marketplace', 'orgs', 'settings', 'sponsors', 'topics', 'trending'];
+
+function allowedGiteaHosts() {
+    const form = document.getElementById('submit-form');
+    const hosts = form ? form.getAttribute('data-gitea-hosts') || '' : '';
+    return hosts.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// The host of a repository-like URL that the server would reject as unsupported, otherwise null
+function unsupportedRepositoryHost(rawUrl) {
+    const withoutPrefix = rawUrl.replace(/^git\+/, '');
+    const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(withoutPrefix) ? withoutPrefix : `https://${withoutPrefix}`;
+    
+    let url;
+    try {
+        url = new URL(withScheme);
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'https:' || url.pathname.split('/').filter(Boolean).length < 2) return null;
+    
+    const host = url.host.toLowerCase().replace(/^www\./, '');
+    return repositoryHosts[host] || allowedGiteaHosts().includes(host) ? null : host;
+}
+
+// Mirrors the server's URL check: https://host/owner/repo with an optional .git or trailing slash
+function detectRepositoryHost(rawUrl) {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'https:' || url.search || url.hash) return null;
+    
+    const parts = url.pathname.replace(/\/$/, '').replace(/\.git$/, '').split('/').slice(1);
+    if (parts.length !== 2 || parts.some(part => !/^[\w.~-]+$/.test(part) || part === '.' || part === '..')) return null;
+    
+    const [owner, repo] = parts;
+    const host = url.host.toLowerCase();
+    const known = repositoryHosts[host] || (allowedGiteaHosts().includes(host) ? selfHostedRepositoryHost : null);
+    if (!known) return null;
+    
+    // SourceHut user names start with "~", other hosts never use it
+    if (owner.startsWith('~') !== (known.sourceType === 'sourcehut') || owner === '~') return null;
+    if (known.sourceType === 'github' && reservedGitHubOwners.includes(owner.toLowerCase())) return null;
+    
+    return { ...known, host, owner, repo, url: `https://${host}/${owner}/${repo}` };
+}
+
+// Bulk package submission
+// Entries come from pasted URLs, markdown lists or a build.zig.zon; each is previewed before it is queued
+const bulkSubmitConcurrency = 2;
+
+let bulkEntries = [];
+let bulkRunning = false;
+
+function initializeBulkSubmission() {
+    const panel = document.getElementById('bulk-submit-panel');
+    if (!panel) return;
+    
+    document.querySelectorAll('[data-submit-mode]').forEach(button => {
+        button.addEventListener('click', () => setSubmitMode(button.getAttribute('data-submit-mode')));
+    });
+    
+    document.getElementById('bulk-zon-file').addEventListener('change', async function() {
+        const file = this.files[0];
+        this.value = '';
+        if (!file) return;
+        
+        try {
+            const urls = extractZonDependencyUrls(await file.text());
+            if (urls.length === 0) {
+                showToast('error', `No dependency URLs found in ${file.name}`);
+                return;
+            }
+            
+            const textarea = document.getElementById('bulk-urls');
+            textarea.value = [textarea.value.trim(), ...urls].filter(Boolean).join('\n');
+            showToast('success', `Added ${urls.length} dependenc${urls.length === 1 ? 'y' : 'ies'} from ${file.name}`);
+        } catch (error) {
+            console.error('Error reading build.zig.zon:', error);
+            showToast('error', 'Could not read that file.');
+        }
+    });
+    
+    document.getElementById('bulk-preview-btn').addEventListener('click', previewBulkEntries);
+    document.getElementById('bulk-submit-btn').addEventListener('click', submitBulkEntries);
+}
+
+function setSubmitMode(mode) {
+    document.getElementById('submit-form').classList.toggle('hidden', mode !== 'single');
+    document.getElementById('bulk-submit-panel').classList.toggle('hidden', mode !== 'bulk');
+    
+    document.querySelectorAll('[data-submit-mode]').forEach(button => {
+        const active = button.getAttribute('data-submit-mode') === mode;
+        button.classList.toggle('bg-zig-orange', active);
+        button.classList.toggle('text-white', active);
+        button.classList.toggle('text-gray-700', !active);
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+}
+
+function extractZonDependencyUrls(text) {
+    // Only the .dependencies block is searched; .path dependencies have no URL to submit
+    // Zig comments run to the end of the line; the "//" in "https://" follows a colon
+    const withoutComments = text.replace(/(^|[^:])\/\/[^\n]*/g, '$1');
+    const dependenciesStart = withoutComments.indexOf('.dependencies');
+    if (dependenciesStart === -1) return [];
+    
+    const urls = [];
+    const pattern = /\.url\s*=\s*"([^"]+)"/g;
+    let match;
+    while ((match = pattern.exec(withoutComments.slice(dependenciesStart))) !== null) {
+        urls.push(match[1]);
+    }
+    return urls;
+}
+
+function extractSubmissionUrls(text) {
+    if (/\.dependencies\s*=/.test(text)) {
+        return extractZonDependencyUrls(text);
+    }
+    
+    // Works for one URL per line as well as markdown lists like awesome-zig
+    return text.match(/(?:git\+)?https?:\/\/[^\s<>()[\]"'`]+/g) || [];
+}
+
+function normalizeRepositoryUrl(rawUrl) {
+    // Zig fetches git dependencies as git+https://...#ref; typed URLs often leave out the scheme
+    const withoutPrefix = rawUrl.replace(/^git\+/, '').split('#')[0];
+    const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(withoutPrefix) ? withoutPrefix : `https://${withoutPrefix}`;
+    
+    let url;
+    try {
+        url = new URL(withScheme);
+    } catch {
+        return null;
+    }
+    
+    // Tarballs from codeload.github.com use the same owner/repo prefix as github.com
+    const host = url.host.replace(/^www\./, '').replace(/^codeload\.github\.com$/, 'github.com');
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts.length < 2) return null;
+    
+    // Archive and tree links keep the repository in their first two path segments
+    const repository = detectRepositoryHost(`https://${host}/${parts[0]}/${parts[1]}`);
+    return repository ? repository.url : null;
+}
+
+async function previewBulkEntries() {
+    if (bulkRunning) return;
+    
+    const inputs = extractSubmissionUrls(document.getElementById('bulk-urls').value);
+    if (inputs.length === 0) {
+        showToast('error', 'Paste some repository URLs or upload a build.zig.zon first.');
+        return;
+    }
+    
+    let existingUrls = new Set();
+    try {
+        const packages = await fetchAllPackages();
+        existingUrls = new Set(packages.map(pkg => (normalizeRepositoryUrl(pkg.url) || pkg.url).toLowerCase()));
+    } catch (error) {
+        // The server still rejects duplicates on submit
+        console.error('Error loading existing packages:', error);
+    }
+    
+    const seen = new Set();
+    bulkEntries = inputs.map((input, index) => {
+        const url = normalizeRepositoryUrl(input);
+        const repository = url && detectRepositoryHost(url);
+        
+        const entry = { id: index, input, url: repository ? url : null, repository, status: 'pending', message: '', info: null };
+        const key = entry.url && entry.url.toLowerCase();
+        
+        if (!entry.url) {
+            entry.status = 'skipped';
+            entry.message = 'Not a repository URL on a supported host';
+        } else if (seen.has(key)) {
+            entry.status = 'skipped';
+            entry.message = 'Listed more than once';
+        } else if (existingUrls.has(key)) {
+            entry.status = 'skipped';
+            entry.message = 'Already submitted';
+        }
+        
+        if (key) seen.add(key);
+        return entry;
+    });
+    
+    bulkRunning = true;
+    renderBulkEntries();
+    
+    await runBulkQueue(bulkEntries.filter(entry => entry.status === 'pending'), async entry => {
+        setBulkEntryStatus(entry, 'checking');
+        
+        const result = await postSubmissionRequest('/api/github-info', { url: entry.url, source_type: entry.repository.sourceType });
+        if (result.ok) {
+            entry.info = result.data;
+            setBulkEntryStatus(entry, 'ready');
+        } else {
+            setBulkEntryStatus(entry, 'rejected', submissionErrorSummary(result.error));
+        }
+    });
+    
+    bulkRunning = false;
+    renderBulkEntries();
+}
+
+async function submitBulkEntries() {
+    if (bulkRunning) return;
+    
+    if (!document.getElementById('bulk-agree-terms').checked) {
+        showToast('error', 'Please confirm that these packages can be submitted for testing.');
+        return;
+    }
+    
+    const ready = bulkEntries.filter(entry => entry.status === 'ready' || entry.status === 'failed');
+    if (ready.length === 0) return;
+    
+    bulkRunning = true;
+    renderBulkEntries();
+    
+    await runBulkQueue(ready, async entry => {
+        setBulkEntryStatus(entry, 'submitting');
+        
+        const result = await postSubmissionRequest('/api/packages', { url: entry.url, source_type: entry.repository.sourceType });
+        if (result.ok) {
+            setBulkEntryStatus(entry, 'submitted');
+        } else if (result.error.code === 'duplicate_package') {
+            setBulkEntryStatus(entry, 'skipped', 'Already submitted');
+        } else {
+            setBulkEntryStatus(entry, 'failed', `Submission failed: ${submissionErrorSummary(result.error)}`);
+        }
+    });
+    
+    bulkRunning = false;
+    invalidateApiCache('/api/packages');
+    renderBulkEntries();
+    
+    const submitted = bulkEntries.filter(entry => entry.status === 'submitted').length;
+    const failed = bulkEntries.filter(entry => entry.status === 'failed').length;
+    showToast(failed > 0 ? 'error' : 'success', `${submitted} package${submitted === 1 ? '' : 's'} submitted${failed > 0 ? `, ${failed} failed` : ''}`);
+}
+
+async function runBulkQueue(entries, task) {
+    const queue = [...entries];
+    
+    // Each worker pulls the next entry until the queue is empty
+    const worker = async () => {
+        while (queue.length > 0) {
+            await task(queue.shift());
+        }
+    };
+    
+    const workers = [];
+    for (let i = 0; i < Math.min(bulkSubmitConcurrency, entries.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+}
+
+function setBulkEntryStatus(entry, status, message = '') {
+    entry.status = status;
+    entry.message = message;
+    
+    const row = document.querySelector(`#bulk-results [data-entry-id="${entry.id}"]`);
+    if (row) {
+        row.outerHTML = renderBulkEntryRow(entry);
+    }
+}
+
+function renderBulkEntries() {
+    const results = document.getElementById('bulk-results');
+    const submitButton = document.getElementById('bulk-submit-btn');
+    const previewButton = document.getElementById('bulk-preview-btn');
+    
+    results.classList.toggle('hidden', bulkEntries.length === 0);
+    results.innerHTML = `
+        <table class="w-full text-sm">
+            <thead class="bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <tr>
+                    <th class="px-4 py-2">Repository</th>
+                    <th class="px-4 py-2">Details</th>
+                    <th class="px-4 py-2">Status</th>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200">
+                ${bulkEntries.map(renderBulkEntryRow).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    const submittable = bulkEntries.filter(entry => entry.status === 'ready' || entry.status === 'failed').length;
+    submitButton.disabled = bulkRunning || submittable === 0;
+    submitButton.innerHTML = `<i class="fas fa-rocket mr-2"></i>Submit ${submittable} Package${submittable === 1 ? '' : 's'}`;
+    previewButton.disabled = bulkRunning;
+}
+
+function renderBulkEntryRow(entry) {
+    const statuses = {
+        pending: { classes: 'text-gray-500', icon: 'fa-clock', label: 'Waiting' },
+        checking: { classes: 'text-blue-600', icon: 'fa-spinner fa-spin', label: 'Checking...' },
+        ready: { classes: 'text-green-700', icon: 'fa-check', label: 'Ready' },
+        rejected: { classes: 'text-red-600', icon: 'fa-times-circle', label: 'Rejected' },
+        skipped: { classes: 'text-gray-500', icon: 'fa-forward', label: 'Skipped' },
+        submitting: { classes: 'text-blue-600', icon: 'fa-spinner fa-spin', label: 'Submitting...' },
+        submitted: { classes: 'text-green-700', icon: 'fa-check-circle', label: 'Submitted' },
+        failed: { classes: 'text-red-600', icon: 'fa-exclamation-circle', label: 'Failed' }
+    };
+    const status = statuses[entry.status] || statuses.pending;
+    
+    const details = entry.info
+        ? `<span class="font-medium text-gray-900">${escapeHtml(entry.info.name || '')}</span>
+           <span class="text-gray-500">${escapeHtml(entry.info.description || '')}</span>`
+        : '';
+    
+    return `
+        <tr data-entry-id="${entry.id}">
+            <td class="px-4 py-2 align-top break-all">
+                <div class="text-gray-900">${escapeHtml(entry.url || entry.input)}</div>
+                ${entry.url ? `<div class="text-xs text-gray-500">${escapeHtml(entry.repository.label)}</div>` : ''}
+                ${entry.url && entry.url !== entry.input ? `<div class="text-xs text-gray-400">from ${escapeHtml(entry.input)}</div>` : ''}
+            </td>
+            <td class="px-4 py-2 align-top">${details}</td>
+            <td class="px-4 py-2 align-top whitespace-nowrap ${status.classes}">
+                <i class="fas ${status.icon} mr-1"></i>${status.label}
+                ${entry.message ? `<div class="text-xs whitespace-normal">${escapeHtml(entry.message)}</div>` : ''}
+            </td>
+        </tr>
+    `;
+}
+
+// Search suggestions
+const maxSearchSuggestions = 8;
+
+let searchIndex = [];
+let searchSuggestions = [];
+let activeSuggestion = -1;
+
+function initializeSearchSuggestions(searchInput) {
+    if (!searchInput) return;
+    
+    const list = document.createElement('ul');
+    list.id = 'search-suggestions';
+    list.className = 'hidden absolute left-0 right-0 top-full mt-1 z-30 bg-white border border-gray-200 rounded-lg shadow-lg max-h-80 overflow-y-auto';
+    list.setAttribute('role', 'listbox');
+    searchInput.parentNode.appendChild(list);
+    
+    searchInput.setAttribute('role', 'combobox');
+    searchInput.setAttribute('aria-autocomplete', 'list');
+    searchInput.setAttribute('aria-controls', 'search-suggestions');
+    searchInput.setAttribute('aria-expanded', 'false');
+    searchInput.setAttribute('autocomplete', 'off');
+    searchInput.placeholder = 'Search packages... (press / to focus)';
+    
+    searchInput.addEventListener('input', () => updateSearchSuggestions(searchInput.value));
+    searchInput.addEventListener('focus', () => updateSearchSuggestions(searchInput.value));
+    searchInput.addEventListener('blur', () => hideSearchSuggestions());
+    searchInput.addEventListener('keydown', event => handleSearchKeydown(event, searchInput));
+    
+    // Keep focus in the input while a suggestion is clicked
+    list.addEventListener('mousedown', event => event.preventDefault());
+    list.addEventListener('click', event => {
+        const item = event.target.closest('[data-suggestion-index]');
+        if (item) {
+            openSuggestion(searchSuggestions[Number(item.getAttribute('data-suggestion-index'))], searchInput);
+        }
+    });
+    
+    document.addEventListener('keydown', function(event) {
+        if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey) return;
+        
+        const target = event.target;
+        const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        if (!isTyping) {
+            event.preventDefault();
+            searchInput.focus();
+            searchInput.select();
+        }
+    });
+    
+    loadSearchIndex();
+}
+
+async function loadSearchIndex() {
+    try {
+        // Same requests as the author and license filters, so these are served from the cache
+        const packages = await fetchAllPackages();
+        const authors = [...new Set(packages.map(pkg => pkg.author).filter(Boolean))];
+        
+        searchIndex = [
+            ...packages.map(pkg => ({ type: 'package', label: pkg.name, detail: pkg.author || '' })),
+            ...authors.map(author => ({ type: 'author', label: author, detail: 'Author' }))
+        ];
+    } catch (error) {
+        console.error('Error loading search suggestions:', error);
+    }
+}
+
+function updateSearchSuggestions(query) {
+    if (!query.trim()) {
+        hideSearchSuggestions();
+        return;
+    }
+    
+    searchSuggestions = searchIndex
+        .map(entry => ({ ...entry, match: fuzzyMatch(query, entry.label) }))
+        .filter(entry => entry.match)
+        .sort((a, b) => b.match.score - a.match.score || a.label.localeCompare(b.label))
+        .slice(0, maxSearchSuggestions);
+    activeSuggestion = -1;
+    
+    renderSearchSuggestions();
+}
+
+function renderSearchSuggestions() {
+    const list = document.getElementById('search-suggestions');
+    const input = document.getElementById('package-search');
+    if (!list || !input) return;
+    
+    if (searchSuggestions.length === 0) {
+        hideSearchSuggestions();
+        return;
+    }
+    
+    list.innerHTML = searchSuggestions.map((suggestion, index) => `
+        <li id="search-suggestion-${index}" role="option" data-suggestion-index="${index}"
+            aria-selected="${index === activeSuggestion}"
+            class="flex items-center gap-3 px-4 py-2 cursor-pointer text-sm ${index === activeSuggestion ? 'bg-orange-50' : 'hover:bg-gray-50'}">
+            <i class="fas ${suggestion.type === 'author' ? 'fa-user' : 'fa-box'} text-gray-400 w-4"></i>
+            <span class="flex-1 truncate text-gray-900">${highlightIndices(suggestion.label, suggestion.match.indices)}</span>
+            <span class="text-xs text-gray-500 truncate">${escapeHtml(suggestion.detail)}</span>
+        </li>
+    `).join('');
+    
+    list.classList.remove('hidden');
+    input.setAttribute('aria-expanded', 'true');
+    if (activeSuggestion >= 0) {
+        input.setAttribute('aria-activedescendant', `search-suggestion-${activeSuggestion}`);
+        document.getElementById(`search-suggestion-${activeSuggestion}`).scrollIntoView({ block: 'nearest' });
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+function hideSearchSuggestions() {
+    const list = document.getElementById('search-suggestions');
+    const input = document.getElementById('package-search');
+    
+    activeSuggestion = -1;
+    if (list) {
+        list.classList.add('hidden');
+    }
+    if (input) {
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+function handleSearchKeydown(event, searchInput) {
+    const isOpen = !document.getElementById('search-suggestions').classList.contains('hidden');
+    
+    switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (!isOpen) {
+                updateSearchSuggestions(searchInput.value);
+                return;
+            }
+            event.preventDefault();
+            moveActiveSuggestion(event.key === 'ArrowDown' ? 1 : -1);
+            break;
+        case 'Enter':
+            event.preventDefault();
+            if (isOpen && activeSuggestion >= 0) {
+                openSuggestion(searchSuggestions[activeSuggestion], searchInput);
+            } else {
+                // Search right away instead of waiting for the debounce
+                hideSearchSuggestions();
+                if (searchInput.value !== currentFilters.search) {
+                    updateFilter('search', searchInput.value);
+                }
+            }
+            break;
+        case 'Escape':
+            event.preventDefault();
+            hideSearchSuggestions();
+            searchInput.value = '';
+            if (currentFilters.search) {
+                updateFilter('search', '');
+            }
+            break;
+    }
+}
+
+function moveActiveSuggestion(step) {
+    // Cycle through the suggestions plus the "nothing selected" position
+    const positions = searchSuggestions.length + 1;
+    activeSuggestion = (activeSuggestion + 1 + step + positions) % positions - 1;
+    renderSearchSuggestions();
+}
+
+function openSuggestion(suggestion, searchInput) {
+    if (!suggestion) return;
+    
+    hideSearchSuggestions();
+    if (suggestion.type === 'package') {
+        window.location.href = `/packages/${encodeURIComponent(suggestion.label)}/builds`;
+        return;
+    }
+    
+    // Authors narrow the grid through the author filter instead of free-text search
+    searchInput.value = '';
+    currentFilters.search = '';
+    addFilterValue('author', suggestion.label);
+}
+
+function fuzzyMatch(query, text) {
+    const needle = query.trim().toLowerCase();
+    const haystack = (text || '').toLowerCase();
+    if (!needle || !haystack) return null;
+    
+    // Exact substring: best when it starts the name
+    const index = haystack.indexOf(needle);
+    if (index !== -1) {
+        return { score: 300 - index, indices: rangeIndices(index, needle.length) };
+    }
+    
+    // Every character in order, e.g. "zhtp" for "zig-http"
+    const indices = [];
+    let position = 0;
+    for (const char of needle) {
+        const found = haystack.indexOf(char, position);
+        if (found === -1) break;
+        indices.push(found);
+        position = found + 1;
+    }
+    if (indices.length === needle.length) {
+        return { score: 200 - (indices[indices.length - 1] - indices[0]), indices };
+    }
+    
+    // Typos: compare against the start of each word
+    if (needle.length < 3) return null;
+    
+    const maxTypos = needle.length <= 5 ? 1 : 2;
+    let best = null;
+    const wordPattern = /[a-z0-9]+/g;
+    let word;
+    while ((word = wordPattern.exec(haystack)) !== null) {
+        const candidate = word[0].slice(0, needle.length);
+        const distance = Math.min(editDistance(needle, candidate), editDistance(needle, word[0]));
+        if (distance <= maxTypos && (!best || distance < best.distance)) {
+            best = { distance, indices: rangeIndices(word.index, Math.min(word[0].length, needle.length)) };
+        }
+    }
+    
+    return best ? { score: 100 - best.distance * 10, indices: best.indices } : null;
+}
+
+function editDistance(a, b) {
+    // Levenshtein distance counting adjacent transpositions as one edit
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+    
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    
+    return rows[a.length][b.length];
+}
+
+function rangeIndices(start, length) {
+    return Array.from({ length }, (_, offset) => start + offset);
+}
+
+function highlightIndices(text, indices) {
+    const marked = new Set(indices);
+    let html = '';
+    let run = '';
+    let runMarked = false;
+    
+    const flush = () => {
+        if (!run) return;
+        html += runMarked ? `<mark class="bg-yellow-200 rounded-sm">${escapeHtml(run)}</mark>` : escapeHtml(run);
+        run = '';
+    };
+    
+    text.split('').forEach((char, index) => {
+        if (marked.has(index) !== runMarked) {
+            flush();
+            runMarked = marked.has(index);
+        }
+        run += char;
+    });
+    flush();
+    
+    return html;
+}
+
+function highlightSearchMatch(text, { fuzzy = false } = {}) {
+    const query = (currentFilters.search || '').trim().toLowerCase();
+    if (!query || !text) return escapeHtml(text || '');
+    
+    if (fuzzy) {
+        const match = fuzzyMatch(query, text);
+        return highlightIndices(text, match ? match.indices : []);
+    }
+    
+    // Long text only highlights literal occurrences
+    const indices = [];
+    const haystack = text.toLowerCase();
+    let index = haystack.indexOf(query);
+    while (index !== -1) {
+        indices.push(...rangeIndices(index, query.length));
+        index = haystack.indexOf(query, index + query.length);
+    }
+    return highlightIndices(text, indices);
+}
+
+// Package comparison
+const compareStorageKey = 'compare_packages';
+const maxComparedPackages = 4;
+
+let comparedPackages = readComparedPackages();
+let comparisonNames = [];
+let comparisonAllPackages = [];
+
+function readComparedPackages() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(compareStorageKey) || '[]');
+        return Array.isArray(stored) ? stored.slice(0, maxComparedPackages) : [];
+    } catch (error) {
+        console.error('Error reading compared packages:', error);
+        return [];
+    }
+}
+
+function saveComparedPackages() {
+    writeStorage(compareStorageKey, JSON.stringify(comparedPackages));
+}
+
+function comparisonUrl(names) {
+    return `/compare?packages=${names.map(encodeURIComponent).join(',')}`;
+}
+
+function initializeComparison() {
+    if (document.getElementById('packages-grid')) {
+        addCompareButtonsToPackages();
+        renderCompareTray();
+    }
+    
+    if (document.getElementById('package-comparison')) {
+        initializeComparisonPage();
+    }
+}
+
+function addCompareButtonsToPackages() {
+    document.querySelectorAll('#packages-grid [data-name]').forEach(card => {
+        const packageName = card.getAttribute('data-name');
+        const actionsDiv = card.querySelector('.p-6.flex.gap-3');
+        if (!actionsDiv) return;
+        
+        let compareBtn = actionsDiv.querySelector('.compare-toggle-btn');
+        if (!compareBtn) {
+            compareBtn = document.createElement('button');
+            compareBtn.onclick = () => toggleComparedPackage(packageName);
+            actionsDiv.appendChild(compareBtn);
+        }
+        
+        const selected = comparedPackages.includes(packageName);
+        compareBtn.className = `compare-toggle-btn px-3 py-2 border rounded-lg transition-colors text-sm font-medium ${
+            selected ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+        }`;
+        compareBtn.title = selected ? 'Remove from comparison' : 'Add to comparison';
+        compareBtn.innerHTML = `<i class="fas ${selected ? 'fa-check' : 'fa-columns'}"></i>`;
+    });
+}
+
+function toggleComparedPackage(packageName) {
+    if (comparedPackages.includes(packageName)) {
+        comparedPackages = comparedPackages.filter(name => name !== packageName);
+    } else if (comparedPackages.length >= maxComparedPackages) {
+        showToast('error', `You can compare up to ${maxComparedPackages} packages at a time`);
+        return;
+    } else {
+        comparedPackages.push(packageName);
+    }
+    
+    saveComparedPackages();
+    addCompareButtonsToPackages();
+    renderCompareTray();
+}
+
+function clearComparedPackages() {
+    comparedPackages = [];
+    saveComparedPackages();
+    addCompareButtonsToPackages();
+    renderCompareTray();
+}
+
+function renderCompareTray() {
+    let tray = document.getElementById('compare-tray');
+    if (comparedPackages.length === 0) {
+        if (tray) tray.remove();
+        return;
+    }
+    
+    if (!tray) {
+        tray = document.createElement('div');
+        tray.id = 'compare-tray';
+        tray.className = 'fixed bottom-4 left-4 right-4 sm:right-auto sm:max-w-md z-40 bg-white border border-gray-300 rounded-lg shadow-lg p-4';
+        document.body.appendChild(tray);
+    }
+    
+    tray.innerHTML = `
+        <div class="flex items-center justify-between gap-3 mb-2">
+            <span class="text-sm font-medium text-gray-900">Compare ${comparedPackages.length} of ${maxComparedPackages}</span>
+            <button onclick="clearComparedPackages()" class="text-sm text-gray-500 hover:text-gray-700">Clear</button>
+        </div>
+        <div class="flex flex-wrap gap-2 mb-3">
+            ${comparedPackages.map(name => `
+                <span class="px-2 py-1 bg-gray-100 text-gray-800 rounded-full text-xs">${escapeHtml(name)}</span>
+            `).join('')}
+        </div>
+        <a href="${escapeHtml(comparisonUrl(comparedPackages))}" class="block text-center px-4 py-2 bg-zig-orange text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium ${
+            comparedPackages.length < 2 ? 'pointer-events-none opacity-50' : ''
+        }">
+            <i class="fas fa-columns mr-2"></i>Compare Packages
+        </a>
+    `;
+}
+
+function comparisonNamesFromUrl() {
+    const param = new URLSearchParams(window.location.search).get('packages');
+    if (!param) return null;
+    return [...new Set(param.split(',').map(name => name.trim()).filter(Boolean))];
+}
+
+async function initializeComparisonPage() {
+    comparisonNames = comparisonNamesFromUrl() || [...comparedPackages];
+    
+    const copyButton = document.getElementById('compare-copy-link');
+    if (copyButton) {
+        copyButton.addEventListener('click', async function() {
+            try {
+                await navigator.clipboard.writeText(window.location.href);
+                showToast('success', 'Comparison link copied');
+            } catch (error) {
+                console.error('Error copying comparison link:', error);
+                showToast('error', 'Could not copy the link. Copy it from the address bar instead.');
+            }
+        });
+    }
+    
+    const addSelect = document.getElementById('compare-add-package');
+    if (addSelect) {
+        addSelect.addEventListener('change', function() {
+            if (this.value) {
+                setComparisonNames([...comparisonNames, this.value]);
+            }
+        });
+    }
+    
+    window.addEventListener('popstate', function() {
+        comparisonNames = comparisonNamesFromUrl() || [];
+        renderComparisonPage();
+    });
+    
+    try {
+        // The whole catalogue, so every saved package can be shown and offered in the add list
+        const [packages] = await Promise.all([fetchAllPackages(), loadZigVersions()]);
+        comparisonAllPackages = packages;
+        mergeZigVersionsFromPackages(comparisonAllPackages);
+        
+        history.replaceState(null, '', comparisonNames.length > 0 ? comparisonUrl(comparisonNames) : '/compare');
+        renderComparisonPage();
+    } catch (error) {
+        console.error('Error loading comparison:', error);
+        document.getElementById('package-comparison').innerHTML = `
+            <div class="text-center py-16 text-red-600">
+                <i class="fas fa-exclamation-circle text-3xl mb-4"></i>
+                <p>Failed to load packages. Please try again.</p>
+            </div>
+        `;
+    }
+}
+
+function setComparisonNames(names) {
+    comparisonNames = names;
+    
+    // The URL is the source of truth so the comparison can be shared
+    history.pushState(null, '', names.length > 0 ? comparisonUrl(names) : '/compare');
+    renderComparisonPage();
+}
+
+function removeFromComparison(name) {
+    setComparisonNames(comparisonNames.filter(existing => existing !== name));
+}
+
+function renderComparisonPage() {
+    comparedPackages = comparisonNames.slice(0, maxComparedPackages);
+    saveComparedPackages();
+    
+    const addSelect = document.getElementById('compare-add-package');
+    if (addSelect) {
+        const available = comparisonAllPackages
+            .map(pkg => pkg.name)
+            .filter(name => !comparisonNames.includes(name))
+            .sort();
+        addSelect.innerHTML = '<option value="">Add a package...</option>' +
+            available.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        addSelect.disabled = comparisonNames.length >= maxComparedPackages;
+    }
+    
+    renderComparison(comparisonAllPackages, comparisonNames);
+}
+
+function renderComparison(allPackages, names) {
+    const container = document.getElementById('package-comparison');
+    if (!container) return;
+    
+    if (names.length === 0) {
+        container.innerHTML = `
+            <div class="text-center py-16">
+                <i class="fas fa-columns text-6xl text-gray-400 mb-6"></i>
+                <h3 class="text-2xl font-bold text-gray-800 mb-2">Nothing to compare yet</h3>
+                <p class="text-gray-600">Add packages above, or pick them on the packages page with the <i class="fas fa-columns"></i> button.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const packages = names.map(name => allPackages.find(pkg => pkg.name === name) || { name, missing: true });
+    const versions = zigVersions.length > 0 ? zigVersions : ['master'];
+    
+    const cell = content => `<td class="px-6 py-4 text-sm text-gray-700 align-top">${content}</td>`;
+    const labelCell = label => `<th class="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider bg-gray-50 whitespace-nowrap">${label}</th>`;
+    const row = (label, render) => `
+        <tr>
+            ${labelCell(label)}
+            ${packages.map(pkg => cell(pkg.missing ? '<span class="text-gray-400">—</span>' : render(pkg))).join('')}
+        </tr>
+    `;
+    
+    const lastChecked = pkg => (pkg.build_results || [])
+        .map(result => result.last_checked)
+        .filter(Boolean)
+        .sort()
+        .pop();
+    const compatibleCount = pkg => (pkg.build_results || []).filter(result => result.build_status === 'success').length;
+    
+    container.innerHTML = `
+        <table class="w-full divide-y divide-gray-200">
+            <thead>
+                <tr>
+                    <th class="px-6 py-4 bg-gray-50"></th>
+                    ${packages.map(pkg => `
+                        <th class="px-6 py-4 text-left align-top">
+                            <div class="flex items-start justify-between gap-2">
+                                ${pkg.missing
+                                    ? `<span class="text-lg font-bold text-gray-400">${escapeHtml(pkg.name)}</span>`
+                                    : `<a href="${packagePath(pkg.name, '/builds')}" class="text-lg font-bold text-gray-900 hover:text-zig-orange transition-colors">${escapeHtml(pkg.name)}</a>`}
+                                <button data-remove-package="${escapeHtml(pkg.name)}" class="text-gray-400 hover:text-red-600" title="Remove from comparison">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </div>
+                            ${pkg.missing ? '<div class="text-xs text-red-600 mt-1">Package not found</div>' : ''}
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200">
+                ${row('Author', pkg => escapeHtml(pkg.author || 'Unknown'))}
+                ${row('License', pkg => escapeHtml(pkg.license || 'Not specified'))}
+                ${row('Compatible', pkg => `${compatibleCount(pkg)} of ${versions.length} versions`)}
+                ${row('Last checked', pkg => escapeHtml(lastChecked(pkg) || 'Never'))}
+                ${versions.map(version => row(`Zig ${escapeHtml(version)}`, pkg => {
+                    const result = (pkg.build_results || []).find(entry => entry.zig_version === version);
+                    if (!result) {
+                        return '<span class="text-gray-400 text-sm">Not built</span>';
+                    }
+                    return `
+                        <div class="flex flex-wrap gap-2">
+                            ${renderBuildStatusBadge(result.build_status)}
+                            ${renderTestStatusBadge(result.test_status)}
+                        </div>
+                        <div class="text-xs text-gray-400 mt-1">${escapeHtml(result.last_checked || '')}</div>
+                    `;
+                })).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    container.querySelectorAll('[data-remove-package]').forEach(button => {
+        button.addEventListener('click', () => removeFromComparison(button.getAttribute('data-remove-package')));
+    });
+}
+
+// Watchlist and saved views
+// Both live in localStorage; each watched package keeps the build statuses seen last
+const watchlistStorageKey = 'watched_packages';
+const savedViewsStorageKey = 'saved_views';
+const watchlistExportVersion = 1;
+
+let watchedPackages = readWatchedPackages();
+let savedViews = readSavedViews();
+let watchedStatusesNow = {};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Keyed by package or version names from storage and imported files; without a prototype,
+// a "__proto__" key is just another entry
+function toNameMap(entries) {
+    const map = Object.create(null);
+    entries.forEach(([key, value]) => {
+        map[key] = value;
+    });
+    return map;
+}
+
+function isValidSavedView(view) {
+    return isPlainObject(view) && typeof view.name === 'string' && view.name.trim() !== '' && typeof view.query === 'string';
+}
+
+function readWatchedPackages() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(watchlistStorageKey) || '{}');
+        return toNameMap(isPlainObject(stored) ? Object.entries(stored) : []);
+    } catch (error) {
+        console.error('Error reading watched packages:', error);
+        return toNameMap([]);
+    }
+}
+
+function saveWatchedPackages() {
+    writeStorage(watchlistStorageKey, JSON.stringify(watchedPackages));
+}
+
+function readSavedViews() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(savedViewsStorageKey) || '[]');
+        return Array.isArray(stored) ? stored.filter(isValidSavedView) : [];
+    } catch (error) {
+        console.error('Error reading saved views:', error);
+        return [];
+    }
+}
+
+function saveSavedViews() {
+    writeStorage(savedViewsStorageKey, JSON.stringify(savedViews));
+}
+
+function watchedPackageNames() {
+    return Object.keys(watchedPackages).sort();
+}
+
+function packagesApiParams(params) {
+    // The watchlist only exists in the browser, so the server is sent the names instead
+    if (params.get('view') === 'mine') {
+        params.set('names', watchedPackageNames().join(','));
+    }
+    params.delete('view');
+    return params;
+}
+
+function packageStatusSnapshot(pkg) {
+    const statuses = {};
+    (pkg.build_results || []).forEach(result => {
+        statuses[result.zig_version] = result.build_status;
+    });
+    return statuses;
+}
+
+function initializeWatchlist() {
+    if (!document.getElementById('packages-grid')) return;
+    
+    addWatchButtonsToPackages();
+    
+    document.querySelectorAll('[data-packages-view]').forEach(button => {
+        button.addEventListener('click', () => setPackagesView(button.getAttribute('data-packages-view')));
+    });
+    renderPackagesViewTabs();
+    
+    initializeSavedViews();
+    checkWatchedStatusChanges();
+}
+
+function addWatchButtonsToPackages() {
+    document.querySelectorAll('#packages-grid [data-name]').forEach(card => {
+        const packageName = card.getAttribute('data-name');
+        const actionsDiv = card.querySelector('.p-6.flex.gap-3');
+        if (!actionsDiv) return;
+        
+        let watchBtn = actionsDiv.querySelector('.watch-toggle-btn');
+        if (!watchBtn) {
+            watchBtn = document.createElement('button');
+            watchBtn.onclick = () => toggleWatchedPackage(packageName);
+            actionsDiv.appendChild(watchBtn);
+        }
+        
+        const watched = Boolean(watchedPackages[packageName]);
+        watchBtn.className = `watch-toggle-btn px-3 py-2 border rounded-lg transition-colors text-sm font-medium ${
+            watched ? 'bg-yellow-400 border-yellow-400 text-white hover:bg-yellow-500' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+        }`;
+        watchBtn.title = watched ? 'Remove from My packages' : 'Add to My packages';
+        watchBtn.setAttribute('aria-pressed', watched ? 'true' : 'false');
+        watchBtn.innerHTML = `<i class="${watched ? 'fas' : 'far'} fa-star"></i>`;
+    });
+}
+
+function toggleWatchedPackage(packageName) {
+    if (watchedPackages[packageName]) {
+        delete watchedPackages[packageName];
+    } else {
+        // The snapshot is taken from the API so only later changes are reported
+        watchedPackages[packageName] = { statuses: null, watched_at: new Date().toISOString() };
+    }
+    
+    saveWatchedPackages();
+    addWatchButtonsToPackages();
+    renderPackagesViewTabs();
+    checkWatchedStatusChanges();
+    syncNotificationWorker();
+    
+    if (currentFilters.view === 'mine') {
+        loadPackages();
+    }
+}
+
+function setPackagesView(view) {
+    updateFilter('view', view);
+    renderPackagesViewTabs();
+}
+
+function renderPackagesViewTabs() {
+    document.querySelectorAll('[data-packages-view]').forEach(button => {
+        const active = button.getAttribute('data-packages-view') === currentFilters.view;
+        button.classList.toggle('bg-zig-orange', active);
+        button.classList.toggle('text-white', active);
+        button.classList.toggle('text-gray-700', !active);
+        button.classList.toggle('hover:bg-gray-50', !active);
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    
+    const count = document.getElementById('watched-count');
+    if (count) {
+        count.textContent = watchedPackageNames().length;
+    }
+}
+
+async function checkWatchedStatusChanges() {
+    const names = watchedPackageNames();
+    if (names.length === 0) {
+        watchedStatusesNow = {};
+        renderWatchBanner([]);
+        return;
+    }
+    
+    try {
+        const params = new URLSearchParams({ names: names.join(','), limit: names.length });
+        const data = await fetchJson(`/api/packages?${params.toString()}`);
+        
+        const changes = [];
+        let snapshotsTaken = false;
+        watchedStatusesNow = {};
+        
+        data.packages.forEach(pkg => {
+            const watched = watchedPackages[pkg.name];
+            if (!watched) return;
+            
+            const current = packageStatusSnapshot(pkg);
+            watchedStatusesNow[pkg.name] = current;
+            
+            if (!isPlainObject(watched.statuses)) {
+                watched.statuses = current;
+                snapshotsTaken = true;
+                return;
+            }
+            
+            // A queued rebuild is not news yet; it is reported once it finishes
+            Object.keys(current).forEach(version => {
+                const previous = watched.statuses[version];
+                if (previous && previous !== current[version] && current[version] !== 'pending') {
+                    changes.push({ name: pkg.name, version, from: previous, to: current[version] });
+                }
+            });
+        });
+        
+        if (snapshotsTaken) {
+            saveWatchedPackages();
+        }
+        renderWatchBanner(changes);
+    } catch (error) {
+        console.error('Error checking watched packages:', error);
+    }
+}
+
+function renderWatchBanner(changes) {
+    const banner = document.getElementById('watch-banner');
+    if (!banner) return;
+    
+    banner.classList.toggle('hidden', changes.length === 0);
+    if (changes.length === 0) {
+        banner.innerHTML = '';
+        return;
+    }
+    
+    const statusLabels = { success: 'working', failed: 'failing', pending: 'pending' };
+    banner.innerHTML = `
+        <div class="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4" role="status">
+            <div>
+                <h3 class="font-semibold text-yellow-900 mb-2">
+                    <i class="fas fa-bell mr-2"></i>
+                    Watched packages changed since your last visit
+                </h3>
+                <ul class="text-sm text-yellow-900 space-y-1">
+                    ${changes.map(change => `
+                        <li>
+                            <a href="${packagePath(change.name, '/builds')}" class="font-medium underline hover:text-zig-orange">${escapeHtml(change.name)}</a>
+                            on Zig ${escapeHtml(change.version)}:
+                            ${escapeHtml(statusLabels[change.from] || change.from)} → <strong>${escapeHtml(statusLabels[change.to] || change.to)}</strong>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+            <button onclick="markWatchedChangesSeen()" class="px-4 py-2 border border-yellow-300 text-yellow-900 rounded-lg hover:bg-yellow-100 transition-colors text-sm font-medium whitespace-nowrap">
+                <i class="fas fa-check mr-2"></i>Mark as seen
+            </button>
+        </div>
+    `;
+}
+
+function markWatchedChangesSeen() {
+    Object.keys(watchedStatusesNow).forEach(name => {
+        if (watchedPackages[name]) {
+            watchedPackages[name].statuses = watchedStatusesNow[name];
+        }
+    });
+    
+    saveWatchedPackages();
+    renderWatchBanner([]);
+}
+
+function initializeSavedViews() {
+    renderSavedViews();
+    
+    const nameInput = document.getElementById('saved-view-name');
+    const saveButton = document.getElementById('save-view-button');
+    if (saveButton && nameInput) {
+        saveButton.addEventListener('click', () => saveCurrentView(nameInput.value));
+        nameInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                saveCurrentView(nameInput.value);
+            }
+        });
+    }
+    
+    const exportButton = document.getElementById('export-views-button');
+    if (exportButton) {
+        exportButton.addEventListener('click', exportWatchlistData);
+    }
+    
+    const importButton = document.getElementById('import-views-button');
+    const importFile = document.getElementById('import-views-file');
+    if (importButton && importFile) {
+        importButton.addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            if (importFile.files.length > 0) {
+                importWatchlistData(importFile.files[0]);
+            }
+            importFile.value = '';
+        });
+    }
+}
+
+function renderSavedViews() {
+    const container = document.getElementById('saved-views');
+    if (!container) return;
+    
+    if (savedViews.length === 0) {
+        container.innerHTML = '<span class="text-sm text-gray-500">No saved views yet</span>';
+        return;
+    }
+    
+    container.innerHTML = savedViews.map((view, index) => `
+        <span class="inline-flex items-center gap-2 px-3 py-1 bg-gray-100 text-gray-800 border border-gray-200 rounded-full text-sm">
+            <button data-apply-view="${index}" class="hover:text-zig-orange" title="Apply this view">${escapeHtml(view.name)}</button>
+            <button data-delete-view="${index}" class="text-gray-500 hover:text-red-600" aria-label="Delete view ${escapeHtml(view.name)}">
+                <i class="fas fa-times"></i>
+            </button>
+        </span>
+    `).join('');
+    
+    container.querySelectorAll('[data-apply-view]').forEach(button => {
+        button.addEventListener('click', () => applySavedView(savedViews[Number(button.getAttribute('data-apply-view'))]));
+    });
+    container.querySelectorAll('[data-delete-view]').forEach(button => {
+        button.addEventListener('click', () => deleteSavedView(savedViews[Number(button.getAttribute('data-delete-view'))]));
+    });
+}
+
+function saveCurrentView(name) {
+    name = name.trim();
+    if (!name) {
+        showToast('error', 'Enter a name for the view first.');
+        return;
+    }
+    
+    // Views always open on their first page
+    const query = filtersToUrlParams();
+    query.delete('page');
+    
+    // Saving under an existing name replaces that view
+    const view = { name, query: query.toString() };
+    const index = savedViews.findIndex(existing => existing.name === name);
+    if (index >= 0) {
+        savedViews[index] = view;
+    } else {
+        savedViews.push(view);
+    }
+    
+    saveSavedViews();
+    renderSavedViews();
+    document.getElementById('saved-view-name').value = '';
+    showToast('success', `Saved view "${name}"`);
+}
+
+function applySavedView(view) {
+    if (!view) return;
+    
+    currentFilters = filtersFromParams(new URLSearchParams(view.query));
+    applyFiltersToControls();
+    updateFiltersUrl();
+    loadPackages();
+}
+
+async function deleteSavedView(view) {
+    if (!view) return;
+    
+    const confirmed = await showConfirmDialog(`Delete the saved view "${view.name}"?`, 'Delete');
+    if (!confirmed) return;
+    
+    savedViews = savedViews.filter(existing => existing !== view);
+    saveSavedViews();
+    renderSavedViews();
+}
+
+function exportWatchlistData() {
+    const data = {
+        version: watchlistExportVersion,
+        exported_at: new Date().toISOString(),
+        watched: watchedPackages,
+        views: savedViews
+    };
+    
+    downloadFile(JSON.stringify(data, null, 2), 'zig-packages-watchlist.json', 'application/json');
+}
+
+async function importWatchlistData(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        console.error('Error reading watchlist file:', error);
+        showToast('error', 'That file is not valid JSON.');
+        return;
+    }
+    
+    if (!isPlainObject(data) || (!isPlainObject(data.watched) && !Array.isArray(data.views))) {
+        showToast('error', 'That file is not a watchlist export.');
+        return;
+    }
+    
+    // Imports merge: packages already watched keep their own snapshot
+    let importedPackages = 0;
+    Object.entries(isPlainObject(data.watched) ? data.watched : {}).forEach(([name, entry]) => {
+        if (!name || watchedPackages[name]) return;
+        
+        // Only version -> status strings are kept from the file
+        const statuses = isPlainObject(entry) && isPlainObject(entry.statuses)
+            ? toNameMap(Object.entries(entry.statuses).filter(([, status]) => typeof status === 'string'))
+            : null;
+        
+        watchedPackages[name] = {
+            statuses,
+            watched_at: isPlainObject(entry) && typeof entry.watched_at === 'string' ? entry.watched_at : new Date().toISOString()
+        };
+        importedPackages++;
+    });
+    
+    // Views with the same name are replaced by the imported ones
+    const importedViews = (Array.isArray(data.views) ? data.views : []).filter(isValidSavedView);
+    importedViews.forEach(view => {
+        const imported = { name: view.name.trim(), query: view.query };
+        const index = savedViews.findIndex(existing => existing.name === imported.name);
+        if (index >= 0) {
+            savedViews[index] = imported;
+        } else {
+            savedViews.push(imported);
+        }
+    });
+    
+    saveWatchedPackages();
+    saveSavedViews();
+    renderSavedViews();
+    addWatchButtonsToPackages();
+    renderPackagesViewTabs();
+    checkWatchedStatusChanges();
+    syncNotificationWorker();
+    
+    if (currentFilters.view === 'mine' && importedPackages > 0) {
+        loadPackages();
+    }
+    
+    showToast('success', `Imported ${importedPackages} watched package${importedPackages === 1 ? '' : 's'} and ${importedViews.length} view${importedViews.length === 1 ? '' : 's'}`);
+}
+
+// Notifications for watched packages
+// A service worker does the checks so they keep running while the tab is in the background
+const notificationSettingsKey = 'watch_notifications';
+const notificationWorkerUrl = '/static/js/notifications-sw.js';
+const notificationCheckInterval = 5 * 60 * 1000; // 5 minutes
+const notificationPeriodicSyncTag = 'watched-packages-check'; // must match the service worker
+
+let notificationSettings = readNotificationSettings();
+let notificationWorker = null;
+let notificationCheckTimer = null;
+let notificationCheckDebounce = null;
+
+function notificationsSupported() {
+    return 'serviceWorker' in navigator && 'Notification' in window;
+}
+
+function readNotificationSettings() {
+    const defaults = { enabled: false, versions: [], muted: [] };
+    try {
+        const stored = JSON.parse(localStorage.getItem(notificationSettingsKey) || '{}');
+        return {
+            enabled: stored.enabled === true,
+            versions: Array.isArray(stored.versions) ? stored.versions : defaults.versions,
+            muted: Array.isArray(stored.muted) ? stored.muted : defaults.muted
+        };
+    } catch (error) {
+        console.error('Error reading notification settings:', error);
+        return defaults;
+    }
+}
+
+function saveNotificationSettings() {
+    writeStorage(notificationSettingsKey, JSON.stringify(notificationSettings));
+    syncNotificationWorker();
+    renderNotificationButton();
+}
+
+function notifiedPackageNames() {
+    return watchedPackageNames().filter(name => !notificationSettings.muted.includes(name));
+}
+
+function initializeWatchNotifications() {
+    const settingsButton = document.getElementById('notification-settings-button');
+    if (settingsButton) {
+        settingsButton.addEventListener('click', showNotificationSettings);
+        renderNotificationButton();
+    }
+    
+    // Permission can be revoked from the browser UI between visits
+    if (notificationsSupported() && notificationSettings.enabled && Notification.permission === 'granted') {
+        startNotificationWorker();
+    }
+}
+
+async function startNotificationWorker() {
+    try {
+        const registration = await navigator.serviceWorker.register(notificationWorkerUrl);
+        notificationWorker = await activeServiceWorker(registration);
+        
+        // Only some browsers allow periodic sync, and only for installed sites
+        if ('periodicSync' in registration) {
+            registration.periodicSync.register(notificationPeriodicSyncTag, { minInterval: 60 * 60 * 1000 })
+                .catch(() => {});
+        }
+    } catch (error) {
+        console.error('Error starting notification worker:', error);
+        return;
+    }
+    
+    syncNotificationWorker();
+    
+    if (!notificationCheckTimer) {
+        notificationCheckTimer = setInterval(syncNotificationWorker, notificationCheckInterval);
+    }
+}
+
+function activeServiceWorker(registration) {
+    // The worker's scope doesn't cover the pages, so navigator.serviceWorker.ready never resolves
+    if (registration.active) {
+        return Promise.resolve(registration.active);
+    }
+    
+    const worker = registration.installing || registration.waiting;
+    return new Promise(resolve => {
+        worker.addEventListener('statechange', function() {
+            if (worker.state === 'activated') {
+                resolve(worker);
+            }
+        });
+    });
+}
+
+async function stopNotificationWorker() {
+    clearInterval(notificationCheckTimer);
+    notificationCheckTimer = null;
+    notificationWorker = null;
+    
+    try {
+        const registration = await navigator.serviceWorker.getRegistration(notificationWorkerUrl);
+        if (registration) {
+            await registration.unregister();
+        }
+    } catch (error) {
+        console.error('Error stopping notification worker:', error);
+    }
+}
+
+function syncNotificationWorker() {
+    if (!notificationWorker) return;
+    
+    notificationWorker.postMessage({
+        type: 'sync',
+        config: {
+            enabled: notificationSettings.enabled,
+            packages: notifiedPackageNames(),
+            versions: notificationSettings.versions
+        }
+    });
+}
+
+function notifyBuildEvent(event) {
+    // Live build events trigger an early check for watched packages
+    if (!notificationWorker || !notifiedPackageNames().includes(event.package_name)) return;
+    if (event.build_status !== 'success' && event.build_status !== 'failed') return;
+    
+    clearTimeout(notificationCheckDebounce);
+    notificationCheckDebounce = setTimeout(syncNotificationWorker, 2000);
+}
+
+function renderNotificationButton() {
+    const button = document.getElementById('notification-settings-button');
+    if (!button) return;
+    
+    const on = notificationSettings.enabled && notificationsSupported() && Notification.permission === 'granted';
+    button.innerHTML = `<i class="fas ${on ? 'fa-bell' : 'fa-bell-slash'} mr-2"></i>Notifications ${on ? 'On' : 'Off'}`;
+}
+
+async function showNotificationSettings() {
+    if (!notificationsSupported()) {
+        showToast('error', 'This browser does not support notifications.');
+        return;
+    }
+    
+    let modal = document.getElementById('notification-settings-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'notification-settings-modal';
+        modal.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4';
+        modal.addEventListener('click', function(event) {
+            if (event.target === modal) {
+                closeNotificationSettings();
+            }
+        });
+        document.body.appendChild(modal);
+    }
+    
+    await loadZigVersions();
+    renderNotificationSettings();
+    modal.classList.remove('hidden');
+}
+
+function closeNotificationSettings() {
+    const modal = document.getElementById('notification-settings-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+function renderNotificationSettings() {
+    const modal = document.getElementById('notification-settings-modal');
+    if (!modal) return;
+    
+    const names = watchedPackageNames();
+    const blocked = Notification.permission === 'denied';
+    
+    modal.innerHTML = `
+        <div class="bg-white rounded-lg shadow-xl w-full max-w-lg p-6 max-h-full overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="notification-settings-title">
+            <h3 id="notification-settings-title" class="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                <i class="fas fa-bell text-zig-orange"></i>
+                Build Notifications
+            </h3>
+            <label class="flex items-start gap-3 mb-2">
+                <input type="checkbox" id="notifications-enabled" class="mt-1" ${notificationSettings.enabled && !blocked ? 'checked' : ''} ${blocked ? 'disabled' : ''}>
+                <span class="text-sm text-gray-700">Notify me when a watched package starts failing or builds again on a Zig version</span>
+            </label>
+            ${blocked ? `
+                <p class="text-sm text-red-600 mb-2">Notifications are blocked for this site. Allow them in your browser settings to turn this on.</p>
+            ` : ''}
+            
+            <h4 class="text-sm font-semibold text-gray-900 mt-6 mb-2">Zig versions</h4>
+            <p class="text-xs text-gray-500 mb-2">Leave all unchecked to hear about every version.</p>
+            <div class="flex flex-wrap gap-3">
+                ${zigVersions.map(version => `
+                    <label class="flex items-center gap-2 text-sm text-gray-700">
+                        <input type="checkbox" data-notify-version="${escapeHtml(version)}" ${notificationSettings.versions.includes(version) ? 'checked' : ''}>
+                        ${escapeHtml(version)}
+                    </label>
+                `).join('')}
+            </div>
+            
+            <h4 class="text-sm font-semibold text-gray-900 mt-6 mb-2">Watched packages</h4>
+            ${names.length === 0 ? `
+                <p class="text-sm text-gray-500">Star packages on the packages page to watch them.</p>
+            ` : `
+                <ul class="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                    ${names.map((name, index) => {
+                        const muted = notificationSettings.muted.includes(name);
+                        return `
+                            <li class="flex items-center justify-between gap-3 px-3 py-2">
+                                <span class="text-sm text-gray-900 truncate">${escapeHtml(name)}</span>
+                                <button data-mute-package="${index}" class="px-3 py-1 border rounded-lg text-xs font-medium transition-colors ${
+                                    muted ? 'border-gray-300 text-gray-500 hover:bg-gray-50' : 'border-green-300 text-green-700 hover:bg-green-50'
+                                }">
+                                    <i class="fas ${muted ? 'fa-bell-slash' : 'fa-bell'} mr-1"></i>${muted ? 'Muted' : 'Notifying'}
+                                </button>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            `}
+            
+            <div class="flex justify-end mt-6">
+                <button onclick="closeNotificationSettings()" class="px-4 py-2 bg-zig-orange text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium">
+                    Done
+                </button>
+            </div>
+        </div>
+    `;
+    
+    const enabledCheckbox = document.getElementById('notifications-enabled');
+    enabledCheckbox.addEventListener('change', () => setNotificationsEnabled(enabledCheckbox.checked));
+    
+    modal.querySelectorAll('[data-notify-version]').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            const version = checkbox.getAttribute('data-notify-version');
+            const versions = notificationSettings.versions.filter(existing => existing !== version);
+            notificationSettings.versions = checkbox.checked ? [...versions, version] : versions;
+            saveNotificationSettings();
+        });
+    });
+    
+    modal.querySelectorAll('[data-mute-package]').forEach(button => {
+        button.addEventListener('click', function() {
+            toggleMutedPackage(names[Number(button.getAttribute('data-mute-package'))]);
+        });
+    });
+}
+
+async function setNotificationsEnabled(enabled) {
+    if (enabled && Notification.permission !== 'granted') {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showToast('error', 'Notifications were not allowed, so they stay off.');
+            renderNotificationSettings();
+            return;
+        }
+    }
+    
+    notificationSettings.enabled = enabled;
+    saveNotificationSettings();
+    
+    if (enabled) {
+        await startNotificationWorker();
+        showToast('success', 'Notifications are on for your watched packages.');
+    } else {
+        await stopNotificationWorker();
+    }
+    renderNotificationSettings();
+}
+
+function toggleMutedPackage(packageName) {
+    if (!packageName) return;
+    
+    const muted = notificationSettings.muted.filter(name => name !== packageName);
+    if (muted.length === notificationSettings.muted.length) {
+        muted.push(packageName);
+    }
+    
+    notificationSettings.muted = muted;
+    saveNotificationSettings();
+    renderNotificationSettings();
+}
+
+// Stats page charts
+// Plain SVG built from /api/packages, so the page needs no chart library
+const chartColors = { success: '#10b981', failed: '#ef4444', pending: '#f59e0b', bar: '#f7a41d' };
+const chartStatusLabels = { success: 'Successful', failed: 'Failed', pending: 'Pending' };
+const maxDistributionBars = 8;
+
+// Hover and click targets refer to entries here by index
+let chartSegments = [];
+
+async function initializeStatsCharts() {
+    const charts = document.getElementById('stats-charts');
+    if (!charts) return;
+    
+    charts.addEventListener('mousemove', function(event) {
+        const target = event.target.closest('[data-chart-segment]');
+        if (target) {
+            showChartTooltip(chartSegments[Number(target.getAttribute('data-chart-segment'))], event.clientX, event.clientY);
+        } else {
+            hideChartTooltip();
+        }
+    });
+    charts.addEventListener('mouseleave', hideChartTooltip);
+    charts.addEventListener('click', function(event) {
+        openChartSegment(event.target.closest('[data-chart-segment]'));
+    });
+    charts.addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            openChartSegment(event.target.closest('[data-chart-segment]'));
+        }
+    });
+    charts.addEventListener('focusin', function(event) {
+        const target = event.target.closest('[data-chart-segment]');
+        if (target) {
+            const box = target.getBoundingClientRect();
+            showChartTooltip(chartSegments[Number(target.getAttribute('data-chart-segment'))], box.left + box.width / 2, box.top);
+        }
+    });
+    charts.addEventListener('focusout', hideChartTooltip);
+    
+    try {
+        const [packages] = await Promise.all([fetchAllPackages(), loadZigVersions()]);
+        const chartData = computeStatsChartData(packages);
+        
+        chartSegments = [];
+        renderSuccessRateChart(document.getElementById('chart-success-rate'), chartData.versions);
+        renderBuildBreakdownChart(document.getElementById('chart-build-breakdown'), chartData.versions);
+        renderDistributionChart(document.getElementById('chart-licenses'), chartData.licenses, label => `/packages?license=${encodeURIComponent(label)}`);
+        renderDistributionChart(document.getElementById('chart-authors'), chartData.authors, label => `/packages?author=${encodeURIComponent(label)}`);
+    } catch (error) {
+        console.error('Error loading chart data:', error);
+        charts.querySelectorAll('[data-chart]').forEach(chart => {
+            chart.innerHTML = '<p class="text-center text-red-600 py-16">Failed to load chart data.</p>';
+        });
+    }
+}
+
+function computeStatsChartData(packages) {
+    const versions = new Map();
+    const licenses = new Map();
+    const authors = new Map();
+    
+    packages.forEach(pkg => {
+        (pkg.build_results || []).forEach(result => {
+            if (!versions.has(result.zig_version)) {
+                versions.set(result.zig_version, { version: result.zig_version, success: 0, failed: 0, pending: 0, total: 0 });
+            }
+            const counts = versions.get(result.zig_version);
+            if (counts[result.build_status] !== undefined) {
+                counts[result.build_status]++;
+            }
+            counts.total++;
+        });
+        
+        if (pkg.license) licenses.set(pkg.license, (licenses.get(pkg.license) || 0) + 1);
+        if (pkg.author) authors.set(pkg.author, (authors.get(pkg.author) || 0) + 1);
+    });
+    
+    const byCount = (a, b) => b.count - a.count || a.label.localeCompare(b.label);
+    const toItems = counts => Array.from(counts, ([label, count]) => ({ label, count })).sort(byCount);
+    
+    return {
+        versions: Array.from(versions.values()).sort((a, b) => compareZigVersions(a.version, b.version)),
+        licenses: toItems(licenses),
+        authors: toItems(authors)
+    };
+}
+
+function addChartSegment(tooltip, href) {
+    chartSegments.push({ tooltip, href });
+    return `data-chart-segment="${chartSegments.length - 1}" tabindex="0" role="link" aria-label="${escapeHtml(tooltip)}" class="cursor-pointer hover:opacity-80 focus:opacity-80 outline-none"`;
+}
+
+function renderEmptyChart(container, message) {
+    container.innerHTML = `
+        <div class="h-64 flex items-center justify-center text-gray-500">
+            <div class="text-center">
+                <i class="fas fa-chart-bar text-4xl mb-4 opacity-30"></i>
+                <p>${escapeHtml(message)}</p>
+            </div>
+        </div>
+    `;
+}
+
+function renderSuccessRateChart(container, versions) {
+    if (!container) return;
+    if (versions.length === 0) {
+        renderEmptyChart(container, 'Chart will appear when builds have run');
+        return;
+    }
+    
+    const width = 600;
+    const height = 260;
+    const top = 20;
+    const bottom = 40;
+    const left = 40;
+    const plotHeight = height - top - bottom;
+    const slot = (width - left) / versions.length;
+    const barWidth = Math.min(60, slot * 0.6);
+    
+    const gridLines = [0, 25, 50, 75, 100].map(percent => {
+        const y = top + plotHeight - (percent / 100) * plotHeight;
+        return `
+            <line x1="${left}" x2="${width}" y1="${y}" y2="${y}" stroke="#e5e7eb"></line>
+            <text x="${left - 6}" y="${y + 4}" text-anchor="end" font-size="11" fill="#6b7280">${percent}%</text>
+        `;
+    }).join('');
+    
+    const bars = versions.map((counts, index) => {
+        const rate = counts.total > 0 ? (counts.success / counts.total) * 100 : 0;
+        const barHeight = Math.max((rate / 100) * plotHeight, 1);
+        const x = left + index * slot + (slot - barWidth) / 2;
+        const y = top + plotHeight - barHeight;
+        const tooltip = `Zig ${counts.version}: ${rate.toFixed(1)}% success (${counts.success} of ${counts.total} builds)`;
+        
+        return `
+            <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3" fill="${chartColors.bar}"
+                  ${addChartSegment(tooltip, `/packages?rules=${encodeURIComponent(`${counts.version}:success`)}`)}></rect>
+            <text x="${x + barWidth / 2}" y="${height - bottom + 18}" text-anchor="middle" font-size="12" fill="#374151">${escapeHtml(counts.version)}</text>
+        `;
+    }).join('');
+    
+    container.innerHTML = `<svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="Build success rate by Zig version">${gridLines}${bars}</svg>`;
+}
+
+function renderBuildBreakdownChart(container, versions) {
+    if (!container) return;
+    if (versions.length === 0) {
+        renderEmptyChart(container, 'Chart will appear when builds have run');
+        return;
+    }
+    
+    const width = 600;
+    const rowHeight = 34;
+    const left = 90;
+    const right = 10;
+    const legendHeight = 30;
+    const height = legendHeight + versions.length * rowHeight;
+    const plotWidth = width - left - right;
+    const statuses = ['success', 'failed', 'pending'];
+    
+    const legend = statuses.map((status, index) => `
+        <rect x="${left + index * 120}" y="6" width="12" height="12" rx="2" fill="${chartColors[status]}"></rect>
+        <text x="${left + index * 120 + 18}" y="16" font-size="12" fill="#374151">${chartStatusLabels[status]}</text>
+    `).join('');
+    
+    const rows = versions.map((counts, index) => {
+        const y = legendHeight + index * rowHeight;
+        let x = left;
+        
+        const segments = statuses.map(status => {
+            if (counts[status] === 0 || counts.total === 0) return '';
+            
+            const segmentWidth = (counts[status] / counts.total) * plotWidth;
+            const percent = ((counts[status] / counts.total) * 100).toFixed(1);
+            const tooltip = `Zig ${counts.version}: ${counts[status]} ${chartStatusLabels[status].toLowerCase()} build${counts[status] === 1 ? '' : 's'} (${percent}%)`;
+            const params = new URLSearchParams({ zig_version: counts.version, status });
+            const segment = `
+                <rect x="${x}" y="${y + 4}" width="${segmentWidth}" height="${rowHeight - 10}" fill="${chartColors[status]}"
+                      ${addChartSegment(tooltip, `/builds?${params.toString()}`)}></rect>
+            `;
+            x += segmentWidth;
+            return segment;
+        }).join('');
+        
+        return `
+            <text x="${left - 8}" y="${y + rowHeight / 2 + 3}" text-anchor="end" font-size="12" fill="#374151">${escapeHtml(counts.version)}</text>
+            ${segments}
+        `;
+    }).join('');
+    
+    container.innerHTML = `<svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="Build results by Zig version">${legend}${rows}</svg>`;
+}
+
+function renderDistributionChart(container, items, hrefFor) {
+    if (!container) return;
+    if (items.length === 0) {
+        renderEmptyChart(container, 'Chart will appear when packages are submitted');
+        return;
+    }
+    
+    // The long tail is folded into one "Other" bar, which has no single filter to link to
+    const shown = items.slice(0, maxDistributionBars);
+    const rest = items.slice(maxDistributionBars);
+    if (rest.length > 0) {
+        shown.push({ label: `Other (${rest.length})`, count: rest.reduce((sum, item) => sum + item.count, 0), other: true });
+    }
+    
+    const width = 600;
+    const rowHeight = 30;
+    const left = 150;
+    const right = 40;
+    const height = shown.length * rowHeight;
+    const plotWidth = width - left - right;
+    const maxCount = Math.max(...shown.map(item => item.count));
+    const total = items.reduce((sum, item) => sum + item.count, 0);
+    
+    const rows = shown.map((item, index) => {
+        const y = index * rowHeight;
+        const barWidth = Math.max((item.count / maxCount) * plotWidth, 2);
+        const label = item.label.length > 22 ? `${item.label.slice(0, 21)}…` : item.label;
+        const tooltip = `${item.label}: ${item.count} package${item.count === 1 ? '' : 's'} (${((item.count / total) * 100).toFixed(1)}%)`;
+        const attributes = item.other
+            ? `aria-label="${escapeHtml(tooltip)}"`
+            : addChartSegment(tooltip, hrefFor(item.label));
+        
+        return `
+            <text x="${left - 8}" y="${y + rowHeight / 2 + 4}" text-anchor="end" font-size="12" fill="#374151">${escapeHtml(label)}</text>
+            <rect x="${left}" y="${y + 5}" width="${barWidth}" height="${rowHeight - 10}" rx="3" fill="${item.other ? '#9ca3af' : chartColors.bar}" ${attributes}></rect>
+            <text x="${left + barWidth + 6}" y="${y + rowHeight / 2 + 4}" font-size="12" fill="#6b7280">${item.count}</text>
+        `;
+    }).join('');
+    
+    container.innerHTML = `<svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img">${rows}</svg>`;
+}
+
+function showChartTooltip(segment, clientX, clientY) {
+    if (!segment) return;
+    
+    let tooltip = document.getElementById('chart-tooltip');
+    if (!tooltip) {
+        tooltip = document.createElement('div');
+        tooltip.id = 'chart-tooltip';
+        tooltip.className = 'fixed z-50 pointer-events-none px-3 py-2 rounded-lg shadow-lg bg-gray-900 text-white text-xs max-w-xs';
+        tooltip.setAttribute('role', 'tooltip');
+        document.body.appendChild(tooltip);
+    }
+    
+    tooltip.textContent = segment.tooltip;
+    tooltip.classList.remove('hidden');
+    
+    // Keep the tooltip inside the viewport near the pointer
+    const box = tooltip.getBoundingClientRect();
+    tooltip.style.left = `${Math.min(clientX + 12, window.innerWidth - box.width - 8)}px`;
+    tooltip.style.top = `${Math.max(clientY - box.height - 12, 8)}px`;
+}
+
+function hideChartTooltip() {
+    const tooltip = document.getElementById('chart-tooltip');
+    if (tooltip) {
+        tooltip.classList.add('hidden');
+    }
+}
+
+function openChartSegment(target) {
+    if (!target) return;
+    
+    const segment = chartSegments[Number(target.getAttribute('data-chart-segment'))];
+    if (segment && segment.href) {
+        window.location.href = segment.href;
+    }
+}
+
+// All builds page
+// The server renders the first page; later filter, sort and page changes load /api/builds
+// and re-render the table in place, with the filters kept in the URL
+const defaultBuildFilters = {
+    search: '',
+    zig_version: '',
+    status: '',
+    sort: 'last_checked_desc',
+    page: 1
+};
+
+// Maps filter control ids on the builds page to their buildFilters key
+const buildFilterControls = {
+    'package-search': 'search',
+    'zig-version-filter': 'zig_version',
+    'status-filter': 'status',
+    'sort-filter': 'sort'
+};
+
+let buildFilters = { ...defaultBuildFilters };
+let buildsRequestController = null;
+
+function initializeBuildsPage() {
+    const tableBody = document.getElementById('builds-table-body');
+    if (!tableBody) return;
+    
+    buildFilters = buildFiltersFromParams(new URLSearchParams(window.location.search));
+    applyBuildFiltersToControls();
+    
+    let searchTimeout;
+    document.getElementById('package-search').addEventListener('input', function() {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+            if (this.value !== buildFilters.search) {
+                updateBuildFilter('search', this.value);
+            }
+        }, 300); // 300ms debounce
+    });
+    
+    ['zig-version-filter', 'status-filter', 'sort-filter'].forEach(id => {
+        document.getElementById(id).addEventListener('change', function() {
+            updateBuildFilter(buildFilterControls[id], this.value);
+        });
+    });
+    
+    document.querySelectorAll('[data-clear-build-filters]').forEach(button => {
+        button.addEventListener('click', clearBuildFilters);
+    });
+    
+    tableBody.addEventListener('click', function(event) {
+        const toggle = event.target.closest('[data-error-log-toggle]');
+        if (toggle) {
+            toggleErrorLog(toggle.getAttribute('data-error-log-toggle'));
+        }
+    });
+    
+    const pagination = document.getElementById('builds-pagination');
+    pagination.addEventListener('click', function(event) {
+        const button = event.target.closest('[data-builds-page]');
+        if (button) {
+            changeBuildsPage(Number(button.getAttribute('data-builds-page')));
+        }
+    });
+    renderBuildsPagination(
+        Number(pagination.getAttribute('data-current-page')) || 1,
+        Number(pagination.getAttribute('data-total-pages')) || 0
+    );
+    
+    window.addEventListener('popstate', function() {
+        buildFilters = buildFiltersFromParams(new URLSearchParams(window.location.search));
+        applyBuildFiltersToControls();
+        loadBuilds();
+    });
+}
+
+function buildFiltersFromParams(urlParams) {
+    const filters = { ...defaultBuildFilters };
+    Object.keys(defaultBuildFilters).forEach(key => {
+        const value = urlParams.get(key);
+        if (value === null) return;
+        
+        if (key === 'page') {
+            const number = parseInt(value, 10);
+            if (number > 0) {
+                filters.page = number;
+            }
+        } else {
+            filters[key] = value;
+        }
+    });
+    return filters;
+}
+
+function buildFiltersToUrlParams() {
+    // Only non-default values go into the URL to keep shared links short
+    const params = new URLSearchParams();
+    Object.keys(defaultBuildFilters).forEach(key => {
+        if (buildFilters[key] && buildFilters[key] !== defaultBuildFilters[key]) {
+            params.set(key, buildFilters[key]);
+        }
+    });
+    return params;
+}
+
+function applyBuildFiltersToControls() {
+    Object.keys(buildFilterControls).forEach(id => {
+        const control = document.getElementById(id);
+        if (!control) return;
+        
+        const value = buildFilters[buildFilterControls[id]];
+        if (control.tagName === 'SELECT') {
+            selectFilterOption(control, value);
+        } else {
+            control.value = value;
+        }
+    });
+}
+
+function updateBuildFilter(key, value) {
+    buildFilters[key] = value;
+    buildFilters.page = 1;
+    updateBuildsUrl();
+    loadBuilds();
+}
+
+function clearBuildFilters() {
+    buildFilters = { ...defaultBuildFilters };
+    applyBuildFiltersToControls();
+    updateBuildsUrl();
+    loadBuilds();
+}
+
+function changeBuildsPage(page) {
+    buildFilters.page = page;
+    updateBuildsUrl();
+    loadBuilds();
+    
+    const table = document.getElementById('builds-table');
+    if (table) {
+        table.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+function updateBuildsUrl() {
+    const query = buildFiltersToUrlParams().toString();
+    const url = query ? `${window.location.pathname}?${query}` : window.location.pathname;
+    
+    if (url !== window.location.pathname + window.location.search) {
+        history.pushState({ buildFilters: { ...buildFilters } }, '', url);
+    }
+}
+
+// Every build matching the current filters, not just the shown page
+async function fetchAllMatchingBuilds() {
+    const params = buildFiltersToUrlParams();
+    params.delete('page');
+    params.set('limit', '100');
+    
+    const builds = [];
+    for (let page = 1; ; page++) {
+        params.set('page', page);
+        
+        // Every page comes fresh from the server, so cached pages from before a build finished are not mixed in
+        const data = await fetchJson(`/api/builds?${params.toString()}`, { ttl: 0 });
+        builds.push(...data.builds);
+        
+        if (data.builds.length === 0 || page >= data.total_pages) {
+            return builds;
+        }
+    }
+}
+
+async function loadBuilds() {
+    // Abort the previous request so the latest filter change always wins
+    if (buildsRequestController) {
+        buildsRequestController.abort();
+    }
+    const controller = new AbortController();
+    buildsRequestController = controller;
+    
+    const tableBody = document.getElementById('builds-table-body');
+    tableBody.style.opacity = '0.5';
+    
+    try {
+        const params = new URLSearchParams();
+        Object.keys(buildFilters).forEach(key => {
+            if (buildFilters[key]) {
+                params.append(key, buildFilters[key]);
+            }
+        });
+        
+        const data = await fetchJson(`/api/builds?${params.toString()}`, { signal: controller.signal });
+        
+        await loadZigVersions();
+        if (controller.signal.aborted) return;
+        
+        renderBuilds(data.builds);
+        renderBuildCounts(data.counts);
+        renderBuildsPagination(data.page, data.total_pages);
+        
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        
+        console.error('Error loading builds:', error);
+        showToast('error', 'Failed to load build results. Please try again.');
+    } finally {
+        if (buildsRequestController === controller) {
+            buildsRequestController = null;
+            tableBody.style.opacity = '1';
+        }
+    }
+}
+
+function renderBuilds(builds) {
+    const tableBody = document.getElementById('builds-table-body');
+    
+    // Viewers of the rows being replaced would otherwise be reused for detached elements
+    buildLogViewers.forEach((viewer, logId) => {
+        if (tableBody.contains(viewer.element)) {
+            buildLogViewers.delete(logId);
+        }
+    });
+    
+    tableBody.innerHTML = builds.map(renderBuildRow).join('');
+    document.getElementById('builds-empty').classList.toggle('hidden', builds.length > 0);
+}
+
+function renderBuildRow(build) {
+    const logId = `${build.package_name}-${build.zig_version}`;
+    const buildsUrl = packagePath(build.package_name, '/builds');
+    
+    let versionBadge = '';
+    if (build.zig_version === 'master') {
+        versionBadge = '<span class="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Latest</span>';
+    } else if (build.zig_version === latestStableZigVersion()) {
+        versionBadge = '<span class="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Stable</span>';
+    }
+    
+    return `
+        <tr class="hover:bg-gray-50" data-package="${escapeHtml(build.package_name)}" data-zig-version="${escapeHtml(build.zig_version)}">
+            <td class="px-6 py-4 whitespace-nowrap">
+                <div class="text-sm font-medium text-gray-900">
+                    <a href="${buildsUrl}" class="text-zig-orange hover:text-orange-600">${escapeHtml(build.package_name)}</a>
+                </div>
+                ${build.package_description ? `<div class="text-sm text-gray-500 truncate max-w-xs">${escapeHtml(build.package_description)}</div>` : ''}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${escapeHtml(build.package_author)}</td>
+            <td class="px-6 py-4 whitespace-nowrap">
+                <div class="flex items-center">
+                    <div class="text-sm font-medium text-gray-900">${escapeHtml(build.zig_version)}</div>
+                    ${versionBadge}
+                </div>
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap" data-build-status-cell>${renderBuildStatusBadge(build.build_status)}</td>
+            <td class="px-6 py-4 whitespace-nowrap" data-test-status-cell>${renderTestStatusBadge(build.test_status)}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500" data-last-checked-cell>${escapeHtml(build.last_checked)}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                <a href="${buildsUrl}" class="text-zig-orange hover:text-orange-600 mr-3">
+                    <i class="fas fa-eye mr-1"></i>
+                    View Details
+                </a>
+                ${build.error_log ? `
+                <button data-error-log-toggle="${escapeHtml(logId)}" class="text-red-600 hover:text-red-900">
+                    <i class="fas fa-exclamation-triangle mr-1"></i>
+                    Error
+                </button>
+                ` : ''}
+            </td>
+        </tr>
+        ${build.error_log ? `
+        <tr id="error-log-${escapeHtml(logId)}" class="hidden">
+            <td colspan="7" class="px-6 py-4 bg-red-50">
+                <div class="border-l-4 border-red-400 pl-4">
+                    <h4 class="text-sm font-medium text-red-800 mb-2">
+                        <i class="fas fa-bug mr-1"></i>
+                        Build Error Log for ${escapeHtml(build.package_name)} (${escapeHtml(build.zig_version)})
+                    </h4>
+                    <pre data-build-log class="text-xs text-red-700 bg-red-100 p-3 rounded overflow-x-auto whitespace-pre-wrap">${escapeHtml(build.error_log)}</pre>
+                </div>
+            </td>
+        </tr>
+        ` : ''}
+    `;
+}
+
+function renderBuildCounts(counts) {
+    document.querySelectorAll('[data-build-count]').forEach(element => {
+        const value = counts[element.getAttribute('data-build-count')];
+        if (value !== undefined) {
+            element.textContent = value;
+        }
+    });
+}
+
+function renderBuildsPagination(currentPage, totalPages) {
+    const pagination = document.getElementById('builds-pagination');
+    if (totalPages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+    
+    const buttonClass = 'px-3 py-2 text-sm font-medium border rounded-md';
+    const idleClass = 'text-gray-500 bg-white border-gray-300 hover:bg-gray-50';
+    
+    // Show up to 5 page numbers around the current page, like the server does
+    const startPage = Math.max(1, Math.min(currentPage - 2, totalPages - 4));
+    const endPage = Math.min(totalPages, startPage + 4);
+    
+    let paginationHTML = '<nav class="flex items-center space-x-2">';
+    
+    if (currentPage > 1) {
+        paginationHTML += `
+            <button data-builds-page="${currentPage - 1}" class="${buttonClass} ${idleClass}" aria-label="Previous page">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+        `;
+    }
+    
+    for (let i = startPage; i <= endPage; i++) {
+        const isActive = i === currentPage;
+        paginationHTML += `
+            <button data-builds-page="${i}" class="${buttonClass} ${isActive ? 'text-white bg-zig-orange border-zig-orange' : idleClass}"${isActive ? ' aria-current="page"' : ''}>${i}</button>
+        `;
+    }
+    
+    if (currentPage < totalPages) {
+        paginationHTML += `
+            <button data-builds-page="${currentPage + 1}" class="${buttonClass} ${idleClass}" aria-label="Next page">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        `;
+    }
+    
+    paginationHTML += '</nav>';
+    pagination.innerHTML = paginationHTML;
+}
+
+// Data export
+// Downloads everything matching the current filters, fetched page by page, so it matches what's on screen
+const exportFormats = {
+    csv: { extension: 'csv', type: 'text/csv' },
+    json: { extension: 'json', type: 'application/json' },
+    markdown: { extension: 'md', type: 'text/markdown' }
+};
+
+// Per page: how to fetch the full result set and turn it into each format
+const exportSources = {
+    packages: {
+        fileName: 'zig-packages',
+        filters: () => packagesApiParams(filtersToUrlParams()),
+        fetchAll: fetchAllMatchingPackages,
+        csv: packagesToCsv,
+        json: packages => ({ packages }),
+        matrix: packages => packages.map(pkg => ({ name: pkg.name, statuses: packageStatusSnapshot(pkg) }))
+    },
+    builds: {
+        fileName: 'zig-builds',
+        filters: buildFiltersToUrlParams,
+        fetchAll: fetchAllMatchingBuilds,
+        csv: buildsToCsv,
+        json: builds => ({ builds }),
+        matrix: buildsToMatrix
+    }
+};
+
+const markdownStatusCells = { success: '✅', failed: '❌', pending: '⏳' };
+
+function initializeExportMenus() {
+    document.querySelectorAll('[data-export-menu]').forEach(menu => {
+        const source = exportSources[menu.getAttribute('data-export-menu')];
+        const toggle = menu.querySelector('[data-export-toggle]');
+        const options = menu.querySelector('[data-export-options]');
+        if (!source || !toggle || !options) return;
+        
+        const setOpen = open => {
+            options.classList.toggle('hidden', !open);
+            toggle.setAttribute('aria-expanded', String(open));
+        };
+        
+        toggle.addEventListener('click', () => setOpen(options.classList.contains('hidden')));
+        document.addEventListener('click', event => {
+            if (!menu.contains(event.target)) setOpen(false);
+        });
+        menu.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                setOpen(false);
+                toggle.focus();
+            }
+        });
+        
+        options.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', async () => {
+                setOpen(false);
+                toggle.disabled = true;
+                try {
+                    await exportData(source, button.getAttribute('data-export-format'));
+                } finally {
+                    toggle.disabled = false;
+                }
+            });
+        });
+    });
+}
+
+async function exportData(source, formatName) {
+    const format = exportFormats[formatName];
+    if (!format) return;
+    
+    let rows;
+    try {
+        rows = await source.fetchAll();
+    } catch (error) {
+        console.error('Error fetching data for export:', error);
+        showToast('error', 'Failed to load the data to export. Please try again.');
+        return;
+    }
+    
+    let content;
+    if (formatName === 'csv') {
+        content = source.csv(rows);
+    } else if (formatName === 'json') {
+        const filters = Object.fromEntries(source.filters());
+        content = JSON.stringify({ exported_at: new Date().toISOString(), filters, ...source.json(rows) }, null, 2);
+    } else {
+        content = compatibilityMarkdown(source.matrix(rows));
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(content, `${source.fileName}-${date}.${format.extension}`, format.type);
+    showToast('success', `Exported ${rows.length} ${rows.length === 1 ? 'row' : 'rows'}`);
+}
+
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking straight after click() can cancel the download before the browser has read the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Spreadsheets run cells starting with these as formulas; user-submitted text must stay text
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function packagesToCsv(packages) {
+    // One column per Zig version, like the compatibility matrix on the cards
+    const versions = exportVersions(packages.map(packageStatusSnapshot));
+    return toCsv(
+        ['name', 'author', 'license', 'url', 'description', 'created_at', ...versions],
+        packages.map(pkg => {
+            const statuses = packageStatusSnapshot(pkg);
+            return [pkg.name, pkg.author, pkg.license, pkg.url, pkg.description, pkg.created_at, ...versions.map(version => statuses[version] || '')];
+        })
+    );
+}
+
+function buildsToCsv(builds) {
+    // Error logs are left out; they are multi-line and belong in the JSON export
+    return toCsv(
+        ['package_name', 'package_author', 'zig_version', 'build_status', 'test_status', 'last_checked'],
+        builds.map(build => [build.package_name, build.package_author, build.zig_version, build.build_status, build.test_status, build.last_checked])
+    );
+}
+
+function buildsToMatrix(builds) {
+    const byPackage = new Map();
+    builds.forEach(build => {
+        if (!byPackage.has(build.package_name)) {
+            byPackage.set(build.package_name, { name: build.package_name, statuses: {} });
+        }
+        byPackage.get(build.package_name).statuses[build.zig_version] = build.build_status;
+    });
+    return Array.from(byPackage.values());
+}
+
+function exportVersions(statusMaps) {
+    const versions = new Set();
+    statusMaps.forEach(statuses => Object.keys(statuses).forEach(version => versions.add(version)));
+    return Array.from(versions).sort(compareZigVersions);
+}
+
+// Package × Zig version table; versions without a result in the export are left out
+function compatibilityMarkdown(rows) {
+    const versions = exportVersions(rows.map(row => row.statuses));
+    const cell = text => String(text).replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+    
+    const lines = [
+        `| Package | ${versions.map(cell).join(' | ')} |`,
+        `| --- | ${versions.map(() => ':---:').join(' | ')} |`,
+        ...rows.map(row => `| ${cell(row.name)} | ${versions.map(version => markdownStatusCells[row.statuses[version]] || '—').join(' | ')} |`)
+    ];
+    return lines.join('\n') + '\n\n✅ builds · ❌ fails · ⏳ pending · — not built\n';
+}
+
+// Live build status updates
+const buildEventsUrl = '/api/builds/events';
+const buildPollInterval = 30000; // 30 seconds
+const maxBuildEventRetries = 5;
+
+let buildEventSource = null;
+let buildEventRetries = 0;
+let buildPollTimer = null;
+
+function initializeLiveBuildUpdates() {
+    // Only pages that show build statuses need the subscription
+    if (!document.getElementById('packages-grid') &&
+        !document.getElementById('builds-table-body') &&
+        !document.getElementById('package-build-results')) return;
+    
+    subscribeToBuildEvents();
+}
+
+function subscribeToBuildEvents() {
+    if (!window.EventSource) {
+        startBuildPolling();
+        return;
+    }
+    
+    buildEventSource = new EventSource(buildEventsUrl);
+    
+    buildEventSource.addEventListener('open', function() {
+        buildEventRetries = 0;
+    });
+    
+    buildEventSource.addEventListener('build', function(event) {
+        try {
+            applyBuildEvent(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error handling build event:', error);
+        }
+    });
+    
+    buildEventSource.addEventListener('error', function() {
+        // The server closes every response after sending it and EventSource reconnects
+        // on its own; only a failed connection (missing stream, bad status) ends up CLOSED
+        if (!buildEventSource || buildEventSource.readyState !== EventSource.CLOSED) return;
+        
+        buildEventSource = null;
+        buildEventRetries++;
+        
+        if (buildEventRetries > maxBuildEventRetries) {
+            console.log('Build event stream unavailable, falling back to polling');
+            startBuildPolling();
+            return;
+        }
+        
+        const delay = Math.min(1000 * Math.pow(2, buildEventRetries), buildPollInterval);
+        setTimeout(subscribeToBuildEvents, delay);
+    });
+}
+
+function startBuildPolling() {
+    if (buildPollTimer) return;
+    
+    buildPollTimer = setInterval(function() {
+        // Don't poll while the tab is in the background
+        if (!document.hidden) {
+            pollBuildStatuses();
+        }
+    }, buildPollInterval);
+}
+
+// Names of the packages whose build statuses the current page shows
+function shownPackageNames() {
+    const names = new Set();
+    
+    const grid = document.getElementById('packages-grid');
+    if (grid) {
+        grid.querySelectorAll('[data-name]').forEach(card => names.add(card.getAttribute('data-name')));
+    }
+    
+    const buildsTableBody = document.getElementById('builds-table-body');
+    if (buildsTableBody) {
+        buildsTableBody.querySelectorAll('[data-package]').forEach(row => names.add(row.getAttribute('data-package')));
+    }
+    
+    const buildResults = document.getElementById('package-build-results');
+    if (buildResults && buildResults.getAttribute('data-package')) {
+        names.add(buildResults.getAttribute('data-package'));
+    }
+    
+    return Array.from(names);
+}
+
+async function pollBuildStatuses() {
+    // Only the packages on the page are asked for, in chunks that keep the URL short
+    const names = shownPackageNames();
+    const chunkSize = 100;
+    
+    try {
+        for (let start = 0; start < names.length; start += chunkSize) {
+            const params = new URLSearchParams({ names: names.slice(start, start + chunkSize).join(',') });
+            const packages = await fetchAllPackages(params, { ttl: 0 });
+            applyPolledBuildStatuses(packages);
+        }
+    } catch (error) {
+        console.error('Error polling build statuses:', error);
+    }
+}
+
+function applyPolledBuildStatuses(packages) {
+    packages.forEach(pkg => {
+        (pkg.build_results || []).forEach(result => {
+            applyBuildEvent({
+                package_name: pkg.name,
+                zig_version: result.zig_version,
+                build_status: result.build_status
+            });
+        });
+    });
+}
+
+function applyBuildEvent(event) {
+    if (!event || !event.package_name || !event.zig_version) return;
+    
+    queueCacheBuildEvent(event);
+    
+    updatePackageCardStatus(event);
+    updateBuildsTableRow(event);
+    updateBuildResultsRow(event);
+    notifyBuildEvent(event);
+}
+
+function findByDataAttribute(root, attribute, value) {
+    // Compare in JS instead of building a selector from user-submitted names
+    return Array.from(root.querySelectorAll(`[${attribute}]`))
+        .filter(element => element.getAttribute(attribute) === value);
+}
+
+function updatePackageCardStatus(event) {
+    const grid = document.getElementById('packages-grid');
+    if (!grid) return;
+    
+    findByDataAttribute(grid, 'data-name', event.package_name).forEach(card => {
+        findByDataAttribute(card, 'data-zig-version', event.zig_version).forEach(entry => {
+            const icon = entry.querySelector('[data-status-icon]');
+            if (icon && icon.getAttribute('data-status-icon') !== event.build_status) {
+                icon.outerHTML = renderCompatibilityStatusIcon(event.build_status);
+            }
+        });
+    });
+}
+
+function updateBuildsTableRow(event) {
+    const tableBody = document.getElementById('builds-table-body');
+    if (!tableBody) return;
+    
+    findByDataAttribute(tableBody, 'data-package', event.package_name)
+        .filter(row => row.getAttribute('data-zig-version') === event.zig_version)
+        .forEach(row => updateBuildRowCells(row, event));
+}
+
+function updateBuildResultsRow(event) {
+    const tableBody = document.getElementById('package-build-results');
+    if (!tableBody || tableBody.getAttribute('data-package') !== event.package_name) return;
+    
+    findByDataAttribute(tableBody, 'data-zig-version', event.zig_version)
+        .forEach(row => updateBuildRowCells(row, event));
+}
+
+function updateBuildRowCells(row, event) {
+    const buildCell = row.querySelector('[data-build-status-cell]');
+    if (buildCell) {
+        buildCell.innerHTML = renderBuildStatusBadge(event.build_status);
+    }
+    
+    const testCell = row.querySelector('[data-test-status-cell]');
+    if (testCell && event.test_status !== undefined) {
+        testCell.innerHTML = renderTestStatusBadge(event.test_status);
+    }
+    
+    const lastCheckedCell = row.querySelector('[data-last-checked-cell]');
+    if (lastCheckedCell && event.last_checked) {
+        lastCheckedCell.textContent = event.last_checked;
+    }
+}
+
+function renderBuildStatusBadge(status) {
+    const badges = {
+        success: '<i class="fas fa-check-circle mr-1"></i>Success',
+        failed: '<i class="fas fa-times-circle mr-1"></i>Failed',
+        pending: '<i class="fas fa-clock mr-1"></i>Pending'
+    };
+    const content = badges[status] || `<i class="fas fa-question-circle mr-1"></i>${escapeHtml(status)}`;
+    
+    return `<span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium build-status-${escapeHtml(status)}">${content}</span>`;
+}
+
+function renderTestStatusBadge(status) {
+    if (!status) {
+        return '<span class="text-gray-400 text-sm">No tests</span>';
+    }
+    
+    const badges = {
+        success: '<i class="fas fa-check-circle mr-1"></i>Passed',
+        failed: '<i class="fas fa-times-circle mr-1"></i>Failed'
+    };
+    const content = badges[status] || `<i class="fas fa-question-circle mr-1"></i>${escapeHtml(status)}`;
+    
+    return `<span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium test-status-${escapeHtml(status)}">${content}</span>`;
+}
+
+// Build log viewer
+// Error logs are rendered on first open: line numbers, ANSI colors, search and a jump list of compile errors
+const ansiColors = ['#4b5563', '#f87171', '#4ade80', '#facc15', '#60a5fa', '#e879f9', '#22d3ee', '#e5e7eb'];
+const ansiBrightColors = ['#9ca3af', '#fca5a5', '#86efac', '#fde047', '#93c5fd', '#f0abfc', '#67e8f9', '#ffffff'];
+const zigErrorLinePattern = /^(.+?):(\d+):(\d+): error: (.*)$/;
+const logLineHashPattern = /^#log-(.+)-L(\d+)$/;
+
+const buildLogViewers = new Map();
+
+function initializeBuildLogViewer() {
+    // Registered on every page: the builds table renders its logs after load
+    openLogFromHash();
+    window.addEventListener('hashchange', openLogFromHash);
+}
+
+function toggleErrorLog(buildId) {
+    const errorLogRow = document.getElementById('error-log-' + buildId);
+    if (!errorLogRow) return;
+    
+    errorLogRow.classList.toggle('hidden');
+    if (!errorLogRow.classList.contains('hidden')) {
+        mountBuildLogViewer(errorLogRow.querySelector('[data-build-log]'), buildId);
+    }
+}
+
+function openLogFromHash() {
+    let hash;
+    try {
+        hash = decodeURIComponent(window.location.hash);
+    } catch {
+        return;
+    }
+    
+    const match = hash.match(logLineHashPattern);
+    if (!match) return;
+    
+    const [, buildId, lineNumber] = match;
+    const errorLogRow = document.getElementById('error-log-' + buildId);
+    if (!errorLogRow) return;
+    
+    errorLogRow.classList.remove('hidden');
+    const viewer = mountBuildLogViewer(errorLogRow.querySelector('[data-build-log]'), buildId);
+    if (viewer) {
+        jumpToLogLine(viewer, Number(lineNumber));
+    }
+}
+
+function mountBuildLogViewer(pre, logId) {
+    if (buildLogViewers.has(logId)) return buildLogViewers.get(logId);
+    if (!pre) return null;
+    
+    const lines = parseAnsiLog(pre.textContent);
+    const viewer = {
+        id: logId,
+        lines,
+        errors: findLogErrors(lines),
+        matches: [],
+        currentMatch: -1,
+        targetLine: null
+    };
+    
+    viewer.element = document.createElement('div');
+    viewer.element.className = 'rounded-lg overflow-hidden border border-gray-700';
+    viewer.element.innerHTML = renderBuildLogViewer(viewer);
+    pre.replaceWith(viewer.element);
+    
+    viewer.linesElement = viewer.element.querySelector('[data-log-lines]');
+    renderBuildLogLines(viewer);
+    bindBuildLogViewer(viewer);
+    
+    buildLogViewers.set(logId, viewer);
+    return viewer;
+}
+
+function renderBuildLogViewer(viewer) {
+    const buttonClass = 'px-2 py-1 rounded border border-gray-600 hover:bg-gray-700 transition-colors';
+    
+    return `
+        <div class="flex flex-wrap items-center gap-2 px-3 py-2 bg-gray-800 text-gray-100 text-xs">
+            <input type="search" data-log-search placeholder="Search log..." aria-label="Search log"
+                   class="px-2 py-1 rounded bg-gray-900 border border-gray-600 text-gray-100 w-48 outline-none focus:border-zig-orange">
+            <span data-log-match-count class="text-gray-400 min-w-[4rem]"></span>
+            <button data-log-prev class="${buttonClass}" title="Previous match (Shift+Enter)" aria-label="Previous match">
+                <i class="fas fa-chevron-up"></i>
+            </button>
+            <button data-log-next class="${buttonClass}" title="Next match (Enter)" aria-label="Next match">
+                <i class="fas fa-chevron-down"></i>
+            </button>
+            <span class="flex-1"></span>
+            ${viewer.errors.length > 0 ? `
+                <button data-log-errors-toggle class="${buttonClass} text-red-300" aria-expanded="false">
+                    <i class="fas fa-bug mr-1"></i>${viewer.errors.length} error${viewer.errors.length === 1 ? '' : 's'}
+                </button>
+            ` : ''}
+            <button data-log-wrap class="${buttonClass}" aria-pressed="false">
+                <i class="fas fa-align-left mr-1"></i>Wrap
+            </button>
+            <button data-log-copy class="${buttonClass}">
+                <i class="fas fa-copy mr-1"></i>Copy
+            </button>
+            <button data-log-download class="${buttonClass}">
+                <i class="fas fa-download mr-1"></i>Download
+            </button>
+        </div>
+        ${viewer.errors.length > 0 ? `
+            <ol data-log-errors class="hidden max-h-48 overflow-y-auto bg-gray-800 border-t border-gray-700 text-xs font-mono">
+                ${viewer.errors.map(error => `
+                    <li>
+                        <button data-log-jump="${error.line}" class="w-full text-left px-3 py-1 hover:bg-gray-700 text-gray-200">
+                            <span class="text-red-300">${escapeHtml(error.file)}:${error.fileLine}:${error.column}</span>
+                            ${escapeHtml(error.message)}
+                        </button>
+                    </li>
+                `).join('')}
+            </ol>
+        ` : ''}
+        <div data-log-lines class="build-log-lines"></div>
+    `;
+}
+
+function bindBuildLogViewer(viewer) {
+    const root = viewer.element;
+    const searchInput = root.querySelector('[data-log-search]');
+    
+    let searchTimeout;
+    searchInput.addEventListener('input', function() {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => searchBuildLog(viewer, searchInput.value), 150);
+    });
+    searchInput.addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            moveLogMatch(viewer, event.shiftKey ? -1 : 1);
+        }
+    });
+    
+    root.querySelector('[data-log-prev]').addEventListener('click', () => moveLogMatch(viewer, -1));
+    root.querySelector('[data-log-next]').addEventListener('click', () => moveLogMatch(viewer, 1));
+    
+    const wrapButton = root.querySelector('[data-log-wrap]');
+    wrapButton.addEventListener('click', function() {
+        const wrapped = viewer.linesElement.classList.toggle('wrap');
+        wrapButton.setAttribute('aria-pressed', wrapped ? 'true' : 'false');
+        wrapButton.classList.toggle('bg-gray-700', wrapped);
+    });
+    
+    root.querySelector('[data-log-copy]').addEventListener('click', () => copyBuildLog(viewer));
+    root.querySelector('[data-log-download]').addEventListener('click', () => downloadBuildLog(viewer));
+    
+    const errorsToggle = root.querySelector('[data-log-errors-toggle]');
+    if (errorsToggle) {
+        const errorsList = root.querySelector('[data-log-errors]');
+        errorsToggle.addEventListener('click', function() {
+            const hidden = errorsList.classList.toggle('hidden');
+            errorsToggle.setAttribute('aria-expanded', hidden ? 'false' : 'true');
+        });
+        errorsList.querySelectorAll('[data-log-jump]').forEach(button => {
+            button.addEventListener('click', () => jumpToLogLine(viewer, Number(button.getAttribute('data-log-jump')), true));
+        });
+    }
+}
+
+function parseAnsiLog(text) {
+    // SGR state carries over line breaks, like it does in a terminal
+    const state = {};
+    
+    return text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n').map(rawLine => {
+        // Progress output redraws the line after a carriage return; keep what was drawn last
+        const line = rawLine.slice(rawLine.lastIndexOf('\r') + 1);
+        const segments = [];
+        const pattern = /\x1b\[([0-9;?]*)([A-Za-z])/g;
+        let position = 0;
+        let match;
+        
+        while ((match = pattern.exec(line)) !== null) {
+            if (match.index > position) {
+                segments.push({ text: line.slice(position, match.index), style: ansiStyle(state) });
+            }
+            if (match[2] === 'm') {
+                applySgrCodes(state, match[1]);
+            }
+            position = pattern.lastIndex;
+        }
+        if (position < line.length) {
+            segments.push({ text: line.slice(position), style: ansiStyle(state) });
+        }
+        
+        return { text: segments.map(segment => segment.text).join(''), segments };
+    });
+}
+
+function applySgrCodes(state, parameters) {
+    const codes = parameters.split(';').map(code => parseInt(code, 10) || 0);
+    
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) {
+            Object.keys(state).forEach(key => delete state[key]);
+        } else if (code === 1) {
+            state.bold = true;
+        } else if (code === 2) {
+            state.dim = true;
+        } else if (code === 3) {
+            state.italic = true;
+        } else if (code === 4) {
+            state.underline = true;
+        } else if (code === 22) {
+            state.bold = false;
+            state.dim = false;
+        } else if (code === 23) {
+            state.italic = false;
+        } else if (code === 24) {
+            state.underline = false;
+        } else if (code >= 30 && code <= 37) {
+            state.color = ansiColors[code - 30];
+        } else if (code >= 90 && code <= 97) {
+            state.color = ansiBrightColors[code - 90];
+        } else if (code === 39) {
+            delete state.color;
+        } else if (code >= 40 && code <= 47) {
+            state.background = ansiColors[code - 40];
+        } else if (code >= 100 && code <= 107) {
+            state.background = ansiBrightColors[code - 100];
+        } else if (code === 49) {
+            delete state.background;
+        } else if (code === 38 || code === 48) {
+            // Extended colors: 5;n picks from the 256-color palette, 2;r;g;b is true color
+            const key = code === 38 ? 'color' : 'background';
+            if (codes[i + 1] === 5) {
+                const index = codes[i + 2];
+                if (index < 8) state[key] = ansiColors[index];
+                else if (index < 16) state[key] = ansiBrightColors[index - 8];
+                i += 2;
+            } else if (codes[i + 1] === 2) {
+                state[key] = `rgb(${codes[i + 2]}, ${codes[i + 3]}, ${codes[i + 4]})`;
+                i += 4;
+            }
+        }
+    }
+}
+
+function ansiStyle(state) {
+    const styles = [];
+    if (state.color) styles.push(`color: ${state.color}`);
+    if (state.background) styles.push(`background-color: ${state.background}`);
+    if (state.bold) styles.push('font-weight: bold');
+    if (state.dim) styles.push('opacity: 0.7');
+    if (state.italic) styles.push('font-style: italic');
+    if (state.underline) styles.push('text-decoration: underline');
+    return styles.join('; ');
+}
+
+function findLogErrors(lines) {
+    const errors = [];
+    lines.forEach((line, index) => {
+        const match = line.text.trim().match(zigErrorLinePattern);
+        if (match) {
+            errors.push({ line: index + 1, file: match[1], fileLine: match[2], column: match[3], message: match[4] });
+        }
+    });
+    return errors;
+}
+
+function buildLogLineId(viewer, lineNumber) {
+    return `log-${viewer.id}-L${lineNumber}`;
+}
+
+function renderBuildLogLines(viewer) {
+    const errorLines = new Set(viewer.errors.map(error => error.line));
+    
+    // Search matches grouped by line so each line is rendered once
+    const rangesByLine = new Map();
+    viewer.matches.forEach((match, index) => {
+        if (!rangesByLine.has(match.line)) rangesByLine.set(match.line, []);
+        rangesByLine.get(match.line).push({ ...match, current: index === viewer.currentMatch });
+    });
+    
+    viewer.linesElement.innerHTML = viewer.lines.map((line, index) => {
+        const lineNumber = index + 1;
+        const classes = ['build-log-line'];
+        if (errorLines.has(lineNumber)) classes.push('error');
+        if (viewer.targetLine === lineNumber) classes.push('target');
+        
+        return `<div id="${escapeHtml(buildLogLineId(viewer, lineNumber))}" class="${classes.join(' ')}"><a href="#${escapeHtml(encodeURIComponent(buildLogLineId(viewer, lineNumber)))}" class="build-log-line-number">${lineNumber}</a><span class="build-log-line-text">${renderLogLineHtml(line, rangesByLine.get(lineNumber) || [])}</span></div>`;
+    }).join('');
+}
+
+function renderLogLineHtml(line, ranges) {
+    let offset = 0;
+    
+    return line.segments.map(segment => {
+        const end = offset + segment.text.length;
+        let position = offset;
+        let html = '';
+        
+        ranges.forEach(range => {
+            const from = Math.max(range.start, position);
+            const to = Math.min(range.end, end);
+            if (from >= to) return;
+            
+            html += escapeHtml(segment.text.slice(position - offset, from - offset));
+            html += `<mark data-log-match class="${range.current ? 'bg-orange-400' : 'bg-yellow-300'} text-gray-900 rounded-sm">${escapeHtml(segment.text.slice(from - offset, to - offset))}</mark>`;
+            position = to;
+        });
+        html += escapeHtml(segment.text.slice(position - offset));
+        offset = end;
+        
+        return segment.style ? `<span style="${segment.style}">${html}</span>` : html;
+    }).join('') || ' ';
+}
+
+function searchBuildLog(viewer, query) {
+    const needle = query.toLowerCase();
+    viewer.matches = [];
+    
+    if (needle) {
+        viewer.lines.forEach((line, index) => {
+            const haystack = line.text.toLowerCase();
+            let start = haystack.indexOf(needle);
+            while (start !== -1) {
+                viewer.matches.push({ line: index + 1, start, end: start + needle.length });
+                start = haystack.indexOf(needle, start + needle.length);
+            }
+        });
+    }
+    
+    viewer.currentMatch = viewer.matches.length > 0 ? 0 : -1;
+    renderBuildLogLines(viewer);
+    renderLogMatchCount(viewer, query);
+    scrollToCurrentMatch(viewer);
+}
+
+function moveLogMatch(viewer, delta) {
+    if (viewer.matches.length === 0) return;
+    
+    viewer.currentMatch = (viewer.currentMatch + delta + viewer.matches.length) % viewer.matches.length;
+    renderBuildLogLines(viewer);
+    renderLogMatchCount(viewer, viewer.element.querySelector('[data-log-search]').value);
+    scrollToCurrentMatch(viewer);
+}
+
+function renderLogMatchCount(viewer, query) {
+    const count = viewer.element.querySelector('[data-log-match-count]');
+    if (!query) {
+        count.textContent = '';
+    } else if (viewer.matches.length === 0) {
+        count.textContent = 'No matches';
+    } else {
+        count.textContent = `${viewer.currentMatch + 1} of ${viewer.matches.length}`;
+    }
+}
+
+function scrollToCurrentMatch(viewer) {
+    const mark = viewer.linesElement.querySelector('mark.bg-orange-400');
+    if (mark) {
+        mark.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+}
+
+function jumpToLogLine(viewer, lineNumber, updateHash = false) {
+    if (lineNumber < 1 || lineNumber > viewer.lines.length) return;
+    
+    viewer.targetLine = lineNumber;
+    renderBuildLogLines(viewer);
+    
+    if (updateHash) {
+        history.replaceState(history.state, '', `#${encodeURIComponent(buildLogLineId(viewer, lineNumber))}`);
+    }
+    
+    const line = document.getElementById(buildLogLineId(viewer, lineNumber));
+    if (line) {
+        line.scrollIntoView({ block: 'center' });
+    }
+}
+
+async function copyBuildLog(viewer) {
+    try {
+        await navigator.clipboard.writeText(viewer.lines.map(line => line.text).join('\n'));
+        showToast('success', 'Build log copied to clipboard');
+    } catch (error) {
+        console.error('Error copying build log:', error);
+        showToast('error', 'Could not copy the build log.');
+    }
+}
+
+function downloadBuildLog(viewer) {
+    downloadFile(viewer.lines.map(line => line.text).join('\n') + '\n', `${viewer.id}.log`, 'text/plain');
+}
+
+// Build log diff
+// Compares the error logs of two versions, or two runs of one version, after normalizing noise
+const buildLogRunsKey = 'build_log_runs';
+const maxStoredRunsPerVersion = 3;
+const maxStoredBuildLogKeys = 50; // package@version entries, least recently viewed dropped first
+const maxStoredLogLength = 64 * 1024;
+const maxDiffCells = 4000000; // beyond this the changed middle is shown as a whole
+const diffContextLines = 3;
+const ansiEscapePattern = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// Order matters: long hashes must be replaced before the shorter container ids
+const logNoisePatterns = [
+    [ansiEscapePattern, ''],
+    [/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>'],
+    [/\b\d{1,2}:\d{2}:\d{2}(?:\.\d+)?\b/g, '<time>'],
+    [/\b\d+(?:\.\d+)?(?:ms|us|ns|s)\b/g, '<duration>'],
+    [/(?:\/[\w.~-]+)*\/\.cache\/zig\/[^\s:'"]*/g, '<zig-cache>'],
+    [/(?:[\w.~-]*\/)*\.?zig-cache\/[^\s:'"]*/g, '<zig-cache>'],
+    [/\/tmp\/[^\s:'"]*/g, '<tmp>'],
+    [/\b[0-9a-f]{32,}\b/g, '<hash>'],
+    [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{12}\b/g, '<container>'],
+    [/\b0x[0-9a-f]+\b/gi, '<address>']
+];
+
+let buildLogSources = [];
+
+function initializeBuildLogDiff() {
+    const tableBody = document.getElementById('package-build-results');
+    const panel = document.getElementById('log-diff-panel');
+    if (!tableBody || !panel) return;
+    
+    const packageName = tableBody.getAttribute('data-package');
+    buildLogSources = collectBuildLogSources(packageName);
+    
+    const toggleButton = document.getElementById('log-diff-toggle');
+    if (toggleButton) {
+        toggleButton.classList.toggle('hidden', buildLogSources.length < 2);
+        toggleButton.addEventListener('click', toggleBuildLogDiff);
+    }
+    
+    ['log-diff-left', 'log-diff-right', 'log-diff-normalize', 'log-diff-changes-only'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderBuildLogDiff);
+    });
+    document.getElementById('log-diff-swap').addEventListener('click', function() {
+        const left = document.getElementById('log-diff-left');
+        const right = document.getElementById('log-diff-right');
+        [left.value, right.value] = [right.value, left.value];
+        renderBuildLogDiff();
+    });
+}
+
+function collectBuildLogSources(packageName) {
+    const sources = [];
+    const storedRuns = readBuildLogRuns();
+    
+    document.querySelectorAll('#package-build-results tr[data-zig-version]').forEach(row => {
+        const version = row.getAttribute('data-zig-version');
+        const errorLogRow = document.getElementById('error-log-' + version);
+        const pre = errorLogRow && errorLogRow.querySelector('[data-build-log]');
+        const lastCheckedCell = row.querySelector('[data-last-checked-cell]');
+        const lastChecked = lastCheckedCell ? lastCheckedCell.textContent.trim() : '';
+        const key = `${packageName}@${version}`;
+        
+        if (pre) {
+            const text = pre.textContent;
+            sources.push({ id: `${version}|current`, label: `${version} (latest run, ${lastChecked})`, text });
+            rememberBuildLogRun(storedRuns, key, lastChecked, text);
+        }
+        
+        // Earlier runs this browser has seen, so a rebuild can be compared with the run before it
+        (storedRuns[key] || []).filter(run => run.last_checked !== lastChecked).forEach((run, index) => {
+            sources.push({ id: `${version}|${index}`, label: `${version} (earlier run, ${run.last_checked})`, text: run.log });
+        });
+    });
+    
+    saveBuildLogRuns(storedRuns);
+    return sources;
+}
+
+function readBuildLogRuns() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(buildLogRunsKey) || '{}');
+        return isPlainObject(stored) ? stored : {};
+    } catch (error) {
+        console.error('Error reading stored build logs:', error);
+        return {};
+    }
+}
+
+function saveBuildLogRuns(runs) {
+    // Keys keep insertion order and rememberBuildLogRun re-inserts on every view, so the oldest come first
+    const keys = Object.keys(runs);
+    keys.slice(0, Math.max(0, keys.length - maxStoredBuildLogKeys)).forEach(key => {
+        delete runs[key];
+    });
+    
+    // Logs can be large; running out of quota only means fewer earlier runs to compare
+    writeStorage(buildLogRunsKey, JSON.stringify(runs));
+}
+
+function rememberBuildLogRun(runs, key, lastChecked, text) {
+    const existing = Array.isArray(runs[key]) ? runs[key] : [];
+    delete runs[key];
+    
+    runs[key] = existing.some(run => run.last_checked === lastChecked)
+        ? existing
+        : [{ last_checked: lastChecked, log: text.slice(0, maxStoredLogLength) }, ...existing].slice(0, maxStoredRunsPerVersion);
+}
+
+function toggleBuildLogDiff() {
+    const panel = document.getElementById('log-diff-panel');
+    const opening = panel.classList.contains('hidden');
+    panel.classList.toggle('hidden', !opening);
+    
+    if (opening) {
+        populateBuildLogDiffSelects();
+        renderBuildLogDiff();
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+function populateBuildLogDiffSelects() {
+    const left = document.getElementById('log-diff-left');
+    const right = document.getElementById('log-diff-right');
+    if (left.options.length > 0) return;
+    
+    const options = buildLogSources.map(source => `<option value="${escapeHtml(source.id)}">${escapeHtml(source.label)}</option>`).join('');
+    left.innerHTML = options;
+    right.innerHTML = options;
+    
+    // Default to the two newest Zig versions with logs: older on the left, newer on the right
+    const latestRuns = buildLogSources.filter(source => source.id.endsWith('|current'))
+        .sort((a, b) => compareZigVersions(a.id.split('|')[0], b.id.split('|')[0]));
+    const [older, newer] = latestRuns.length >= 2 ? latestRuns.slice(-2) : buildLogSources.slice(0, 2);
+    left.value = older.id;
+    right.value = newer.id;
+}
+
+function normalizeLogLine(line) {
+    return logNoisePatterns.reduce((normalized, [pattern, replacement]) => normalized.replace(pattern, replacement), line).trimEnd();
+}
+
+function splitLogLines(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n')
+        .map(line => line.slice(line.lastIndexOf('\r') + 1));
+}
+
+function diffLines(leftKeys, rightKeys) {
+    // Common prefix and suffix are matched directly; the LCS table only covers the middle
+    let start = 0;
+    while (start < leftKeys.length && start < rightKeys.length && leftKeys[start] === rightKeys[start]) start++;
+    
+    let leftEnd = leftKeys.length;
+    let rightEnd = rightKeys.length;
+    while (leftEnd > start && rightEnd > start && leftKeys[leftEnd - 1] === rightKeys[rightEnd - 1]) {
+        leftEnd--;
+        rightEnd--;
+    }
+    
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: 'equal', left: i, right: i });
+    
+    const rows = leftEnd - start;
+    const columns = rightEnd - start;
+    if (rows * columns > maxDiffCells) {
+        for (let i = start; i < leftEnd; i++) ops.push({ type: 'removed', left: i });
+        for (let j = start; j < rightEnd; j++) ops.push({ type: 'added', right: j });
+    } else {
+        const table = new Uint32Array((rows + 1) * (columns + 1));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = columns - 1; j >= 0; j--) {
+                table[i * (columns + 1) + j] = leftKeys[start + i] === rightKeys[start + j]
+                    ? table[(i + 1) * (columns + 1) + j + 1] + 1
+                    : Math.max(table[(i + 1) * (columns + 1) + j], table[i * (columns + 1) + j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < rows || j < columns) {
+            if (i < rows && j < columns && leftKeys[start + i] === rightKeys[start + j]) {
+                ops.push({ type: 'equal', left: start + i, right: start + j });
+                i++;
+                j++;
+            } else if (i < rows && (j === columns || table[(i + 1) * (columns + 1) + j] >= table[i * (columns + 1) + j + 1])) {
+                ops.push({ type: 'removed', left: start + i });
+                i++;
+            } else {
+                ops.push({ type: 'added', right: start + j });
+                j++;
+            }
+        }
+    }
+    
+    for (let k = 0; k < leftKeys.length - leftEnd; k++) {
+        ops.push({ type: 'equal', left: leftEnd + k, right: rightEnd + k });
+    }
+    return ops;
+}
+
+function renderBuildLogDiff() {
+    const output = document.getElementById('log-diff-output');
+    const summary = document.getElementById('log-diff-summary');
+    const left = buildLogSources.find(source => source.id === document.getElementById('log-diff-left').value);
+    const right = buildLogSources.find(source => source.id === document.getElementById('log-diff-right').value);
+    if (!left || !right) return;
+    
+    const normalize = document.getElementById('log-diff-normalize').checked;
+    const changesOnly = document.getElementById('log-diff-changes-only').checked;
+    
+    const leftLines = splitLogLines(left.text);
+    const rightLines = splitLogLines(right.text);
+    const toKey = normalize ? normalizeLogLine : line => line;
+    const ops = diffLines(leftLines.map(toKey), rightLines.map(toKey));
+    
+    const removed = ops.filter(op => op.type === 'removed').length;
+    const added = ops.filter(op => op.type === 'added').length;
+    const ignored = ops.filter(op => op.type === 'equal' && leftLines[op.left] !== rightLines[op.right]).length;
+    
+    summary.innerHTML = removed === 0 && added === 0 ? `
+        <span class="text-green-700"><i class="fas fa-equals mr-1"></i>The logs match${normalize && ignored > 0 ? ` once ${ignored} noisy line${ignored === 1 ? ' is' : 's are'} normalized` : ''}.</span>
+    ` : `
+        <span class="text-red-700 mr-3">−${removed} removed</span>
+        <span class="text-green-700 mr-3">+${added} added</span>
+        ${normalize ? `<span class="text-gray-500">${ignored} line${ignored === 1 ? '' : 's'} only differed by noise</span>` : ''}
+    `;
+    
+    // With "changes only", equal lines further than the context from any change are folded
+    const near = new Uint8Array(ops.length);
+    ops.forEach((op, index) => {
+        if (op.type === 'equal') return;
+        for (let k = Math.max(0, index - diffContextLines); k <= Math.min(ops.length - 1, index + diffContextLines); k++) {
+            near[k] = 1;
+        }
+    });
+    
+    const rows = [];
+    let folded = 0;
+    ops.forEach((op, index) => {
+        if (changesOnly && op.type === 'equal' && !near[index]) {
+            folded++;
+            return;
+        }
+        if (folded > 0) {
+            rows.push(`<tr class="bg-gray-100 text-gray-500"><td colspan="4" class="px-3 py-1 text-center">⋯ ${folded} unchanged line${folded === 1 ? '' : 's'}</td></tr>`);
+            folded = 0;
+        }
+        rows.push(renderDiffRow(op, leftLines, rightLines));
+    });
+    if (folded > 0) {
+        rows.push(`<tr class="bg-gray-100 text-gray-500"><td colspan="4" class="px-3 py-1 text-center">⋯ ${folded} unchanged line${folded === 1 ? '' : 's'}</td></tr>`);
+    }
+    
+    output.innerHTML = `
+        <table class="w-full font-mono text-xs">
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+}
+
+function renderDiffRow(op, leftLines, rightLines) {
+    const styles = {
+        equal: { row: '', sign: ' ' },
+        removed: { row: 'bg-red-50 text-red-800', sign: '−' },
+        added: { row: 'bg-green-50 text-green-800', sign: '+' }
+    };
+    const style = styles[op.type];
+    const text = op.type === 'removed' ? leftLines[op.left] : rightLines[op.right];
+    
+    return `
+        <tr class="${style.row}">
+            <td class="w-12 px-2 text-right text-gray-400 select-none align-top">${op.left !== undefined ? op.left + 1 : ''}</td>
+            <td class="w-12 px-2 text-right text-gray-400 select-none align-top">${op.right !== undefined ? op.right + 1 : ''}</td>
+            <td class="w-4 select-none align-top">${style.sign}</td>
+            <td class="pr-3 whitespace-pre-wrap break-all">${escapeHtml(text.replace(ansiEscapePattern, ''))}</td>
+        </tr>
+    `;
+}
+
+// Dependency graph
+// The package's build.zig.zon dependencies as an SVG graph: drag to pan, scroll to zoom, click a node to open it
+const dependencyGraphLayout = { columnWidth: 230, rowHeight: 56, nodeWidth: 180, nodeHeight: 36, padding: 24 };
+const dependencyStatusStyles = {
+    success: { fill: '#dcfce7', stroke: '#16a34a', label: 'Builds' },
+    failed: { fill: '#fee2e2', stroke: '#dc2626', label: 'Fails' },
+    pending: { fill: '#fef9c3', stroke: '#ca8a04', label: 'Pending' },
+    unknown: { fill: '#f3f4f6', stroke: '#9ca3af', label: 'No result' },
+    external: { fill: '#ffffff', stroke: '#9ca3af', label: 'Not in the catalogue' }
+};
+const dependencyScanMessages = {
+    missing: 'No build.zig.zon was found in the repository.',
+    invalid: 'The repository\'s build.zig.zon could not be read.'
+};
+let dependencyGraph = null;
+let dependencyGraphView = { x: 0, y: 0, scale: 1 };
+
+// Manifests are read in the background, so a package may not have been scanned yet
+function dependencyScanMessage(scan) {
+    if (scan && scan.status) return dependencyScanMessages[scan.status];
+    if (scan && scan.retry_after) return 'Reading the build.zig.zon failed; it will be tried again shortly.';
+    if (scan && scan.queued) return 'The build.zig.zon is queued to be read. Check back in a few minutes.';
+    return 'The build.zig.zon has not been read yet.';
+}
+
+function initializeDependencyGraph() {
+    const container = document.getElementById('dependency-graph');
+    if (!container) return;
+    
+    const versionSelect = document.getElementById('dependency-version');
+    versionSelect.addEventListener('change', () => {
+        renderDependencyGraph();
+        renderDependencyUsedBy();
+    });
+    
+    container.querySelectorAll('[data-graph-zoom]').forEach(button => {
+        button.addEventListener('click', () => zoomDependencyGraph(button.getAttribute('data-graph-zoom')));
+    });
+    initializeDependencyGraphControls(document.getElementById('dependency-canvas'));
+    
+    loadZigVersions().then(() => {
+        // Newest first, defaulting to the latest stable release
+        versionSelect.innerHTML = [...zigVersions].reverse()
+            .map(version => `<option value="${escapeHtml(version)}">${escapeHtml(version)}</option>`)
+            .join('');
+        versionSelect.value = latestStableZigVersion() || zigVersions[zigVersions.length - 1] || '';
+        renderDependencyGraph();
+        renderDependencyUsedBy();
+    });
+    
+    loadDependencyGraph(container.getAttribute('data-package'));
+}
+
+async function loadDependencyGraph(packageName) {
+    const summary = document.getElementById('dependency-summary');
+    try {
+        dependencyGraph = await fetchJson(`/api/packages/${encodeURIComponent(packageName)}/dependencies`);
+    } catch (error) {
+        console.error('Error loading dependency graph:', error);
+        summary.textContent = 'Failed to load dependencies. Please try again later.';
+        return;
+    }
+    
+    layoutDependencyGraph(dependencyGraph);
+    renderDependencyGraph();
+    renderDependencyUsedBy();
+    fitDependencyGraph();
+}
+
+function layoutDependencyGraph(graph) {
+    // One column per depth, in the order the server found the nodes
+    const { columnWidth, rowHeight, nodeWidth, nodeHeight, padding } = dependencyGraphLayout;
+    const rows = [];
+    graph.nodes.forEach(node => {
+        const row = rows[node.depth] || 0;
+        rows[node.depth] = row + 1;
+        node.x = padding + node.depth * columnWidth;
+        node.y = padding + row * rowHeight;
+    });
+    
+    graph.width = padding * 2 + (rows.length - 1) * columnWidth + nodeWidth;
+    graph.height = padding * 2 + (Math.max(...rows) - 1) * rowHeight + nodeHeight;
+    graph.nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+}
+
+function dependencyNodeStatus(node, version) {
+    if (!node.package) return 'external';
+    return dependencyStatusStyles[node.builds[version]] ? node.builds[version] : 'unknown';
+}
+
+function renderDependencyGraph() {
+    const canvas = document.getElementById('dependency-canvas');
+    const summary = document.getElementById('dependency-summary');
+    const graph = dependencyGraph;
+    if (!canvas || !graph) return;
+    
+    const version = document.getElementById('dependency-version').value;
+    const dependencies = graph.nodes.slice(1);
+    const direct = graph.edges.filter(edge => edge.from === graph.nodes[0].id).length;
+    
+    if (dependencies.length === 0) {
+        canvas.classList.add('hidden');
+        summary.textContent = dependencyScanMessage(graph.scan) || `${graph.package} has no dependencies.`;
+        return;
+    }
+    canvas.classList.remove('hidden');
+    
+    const failing = dependencies.filter(node => dependencyNodeStatus(node, version) === 'failed');
+    summary.innerHTML = `${direct} direct ${direct === 1 ? 'dependency' : 'dependencies'}, ${dependencies.length} in total`
+        + (failing.length > 0
+            ? ` · <span class="text-red-700 font-medium">${failing.length} failing on Zig ${escapeHtml(version)}: ${failing.map(node => escapeHtml(node.name)).join(', ')}</span>`
+            : '')
+        + (graph.truncated ? ` · showing the first ${graph.nodes.length} packages` : '')
+        + (graph.scan && graph.scan.scanned_at ? ` · read from build.zig.zon on ${escapeHtml(graph.scan.scanned_at)}` : '');
+    
+    const { nodeWidth, nodeHeight } = dependencyGraphLayout;
+    const edges = graph.edges.map(edge => {
+        const from = graph.nodesById.get(edge.from);
+        const to = graph.nodesById.get(edge.to);
+        if (!from || !to) return '';
+        
+        const startX = from.x + nodeWidth;
+        const startY = from.y + nodeHeight / 2;
+        const endX = to.x;
+        const endY = to.y + nodeHeight / 2;
+        const bend = Math.max(40, Math.abs(endX - startX) / 2);
+        return `<path d="M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}" fill="none" stroke="#9ca3af" stroke-width="1.5"${edge.lazy ? ' stroke-dasharray="4 3"' : ''} marker-end="url(#dependency-arrow)"/>`;
+    }).join('');
+    
+    const nodes = graph.nodes.map((node, index) => {
+        const status = dependencyNodeStatus(node, version);
+        const style = dependencyStatusStyles[status];
+        const root = index === 0;
+        const label = node.name.length > 22 ? `${node.name.slice(0, 21)}…` : node.name;
+        const title = [node.name, style.label + (node.package ? ` on Zig ${version}` : ''), node.url || node.path].filter(Boolean).join('\n');
+        const clickable = !root && (node.package || isWebUrl(node.url));
+        
+        return `<g data-graph-node="${index}" transform="translate(${node.x} ${node.y})"${clickable ? ' role="link" tabindex="0" class="cursor-pointer"' : ''}>
+            <title>${escapeHtml(title)}</title>
+            <rect width="${nodeWidth}" height="${nodeHeight}" rx="6" fill="${style.fill}" stroke="${style.stroke}" stroke-width="${root ? 3 : 1.5}"${status === 'external' ? ' stroke-dasharray="4 3"' : ''}/>
+            <text x="${nodeWidth / 2}" y="${nodeHeight / 2 + 4}" text-anchor="middle" font-size="13" font-weight="${root ? 700 : 500}" fill="#111827">${escapeHtml(label)}</text>
+        </g>`;
+    }).join('');
+    
+    canvas.innerHTML = `<svg class="w-full h-full" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Dependency graph of ${escapeHtml(graph.package)}">
+        <defs>
+            <marker id="dependency-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill="#9ca3af"/>
+            </marker>
+        </defs>
+        <g data-graph-viewport>${edges}${nodes}</g>
+    </svg>`;
+    applyDependencyGraphView();
+}
+
+function renderDependencyUsedBy() {
+    const list = document.getElementById('dependency-used-by');
+    const graph = dependencyGraph;
+    if (!list || !graph) return;
+    
+    if (graph.used_by.length === 0) {
+        list.innerHTML = `<p class="text-gray-500">No package in the catalogue depends on ${escapeHtml(graph.package)} yet.</p>`;
+        return;
+    }
+    
+    const version = document.getElementById('dependency-version').value;
+    list.innerHTML = `<ul class="flex flex-wrap gap-2">${graph.used_by.map(dependent => {
+        const status = dependencyStatusStyles[dependent.builds[version]] ? dependent.builds[version] : 'unknown';
+        const style = dependencyStatusStyles[status];
+        return `<li>
+            <a href="${packagePath(dependent.name, '/builds')}" class="inline-flex items-center gap-2 px-3 py-1 rounded-full border text-sm text-gray-800 hover:text-zig-orange transition-colors" style="background: ${style.fill}; border-color: ${style.stroke}" title="${escapeHtml(style.label)} on Zig ${escapeHtml(version)}">
+                ${escapeHtml(dependent.name)}
+            </a>
+        </li>`;
+    }).join('')}</ul>`;
+}
+
+function initializeDependencyGraphControls(canvas) {
+    let drag = null;
+    
+    canvas.addEventListener('pointerdown', event => {
+        if (event.button !== 0) return;
+        drag = { x: event.clientX, y: event.clientY, viewX: dependencyGraphView.x, viewY: dependencyGraphView.y, moved: false };
+        canvas.classList.add('cursor-grabbing');
+    });
+    
+    canvas.addEventListener('pointermove', event => {
+        if (!drag) return;
+        const dx = event.clientX - drag.x;
+        const dy = event.clientY - drag.y;
+        // A few pixels of jitter still counts as a click on the node underneath
+        if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+        
+        if (!drag.moved) {
+            drag.moved = true;
+            canvas.setPointerCapture(event.pointerId);
+        }
+        dependencyGraphView.x = drag.viewX + dx;
+        dependencyGraphView.y = drag.viewY + dy;
+        applyDependencyGraphView();
+    });
+    
+    const endDrag = event => {
+        if (!drag) return;
+        const wasClick = !drag.moved;
+        drag = null;
+        canvas.classList.remove('cursor-grabbing');
+        
+        if (wasClick && event.type === 'pointerup') {
+            const node = event.target.closest('[data-graph-node]');
+            if (node) openDependencyNode(Number(node.getAttribute('data-graph-node')));
+        }
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    
+    canvas.addEventListener('wheel', event => {
+        event.preventDefault();
+        const bounds = canvas.getBoundingClientRect();
+        zoomDependencyGraphAt(event.deltaY < 0 ? 1.15 : 1 / 1.15, event.clientX - bounds.left, event.clientY - bounds.top);
+    }, { passive: false });
+    
+    canvas.addEventListener('keydown', event => {
+        const node = event.target.closest('[data-graph-node]');
+        if (node && event.key === 'Enter') {
+            openDependencyNode(Number(node.getAttribute('data-graph-node')));
+            return;
+        }
+        
+        const steps = { ArrowLeft: [40, 0], ArrowRight: [-40, 0], ArrowUp: [0, 40], ArrowDown: [0, -40] };
+        if (steps[event.key]) {
+            event.preventDefault();
+            dependencyGraphView.x += steps[event.key][0];
+            dependencyGraphView.y += steps[event.key][1];
+            applyDependencyGraphView();
+        } else if (event.key === '+' || event.key === '=') {
+            zoomDependencyGraph('in');
+        } else if (event.key === '-') {
+            zoomDependencyGraph('out');
+        }
+    });
+}
+
+function openDependencyNode(index) {
+    const node = dependencyGraph && dependencyGraph.nodes[index];
+    if (!node || index === 0) return;
+    
+    if (node.package) {
+        window.location.href = `/packages/${encodeURIComponent(node.package)}/builds`;
+    } else if (isWebUrl(node.url)) {
+        window.open(node.url, '_blank', 'noopener');
+    }
+}
+
+function isWebUrl(url) {
+    // Dependency URLs can also be git+https:// or local paths, which a browser tab can't open
+    return /^https?:\/\//i.test(url || '');
 }
 
-function initializeSubmissionForm() {
-    const submitForm = document.getElementById('package-submit-form');
-    if (submitForm) {
-        submitForm.addEventListener('submit', function(e) {
-            // TODO: Add form validation and AJAX submission
-            console.log('Form submitted');
-        });
+function zoomDependencyGraph(direction) {
+    if (direction === 'reset') {
+        fitDependencyGraph();
+        return;
+    }
+    
+    const canvas = document.getElementById('dependency-canvas');
+    zoomDependencyGraphAt(direction === 'in' ? 1.25 : 0.8, canvas.clientWidth / 2, canvas.clientHeight / 2);
+}
+
+function zoomDependencyGraphAt(factor, originX, originY) {
+    // Keep the point under the cursor in place while the scale changes
+    const scale = Math.min(3, Math.max(0.2, dependencyGraphView.scale * factor));
+    const applied = scale / dependencyGraphView.scale;
+    dependencyGraphView.x = originX - (originX - dependencyGraphView.x) * applied;
+    dependencyGraphView.y = originY - (originY - dependencyGraphView.y) * applied;
+    dependencyGraphView.scale = scale;
+    applyDependencyGraphView();
+}
+
+function fitDependencyGraph() {
+    const canvas = document.getElementById('dependency-canvas');
+    if (!dependencyGraph || !canvas.clientWidth) return;
+    
+    const scale = Math.min(1, canvas.clientWidth / dependencyGraph.width, canvas.clientHeight / dependencyGraph.height);
+    dependencyGraphView = {
+        x: (canvas.clientWidth - dependencyGraph.width * scale) / 2,
+        y: (canvas.clientHeight - dependencyGraph.height * scale) / 2,
+        scale
+    };
+    applyDependencyGraphView();
+}
+
+function applyDependencyGraphView() {
+    const viewport = document.querySelector('#dependency-canvas [data-graph-viewport]');
+    if (viewport) {
+        viewport.setAttribute('transform', `translate(${dependencyGraphView.x} ${dependencyGraphView.y}) scale(${dependencyGraphView.scale})`);
+    }
+}
+
+// Compatibility badges
+// The badge builder on the package build results page previews /badges/... and produces README snippets
+const badgeFormats = [
+    {
+        name: 'Markdown',
+        snippet: badge => `[![${badge.alt}](${badge.imageUrl})](${badge.linkUrl})`
+    },
+    {
+        name: 'HTML',
+        snippet: badge => `<a href="${escapeHtml(badge.linkUrl)}"><img src="${escapeHtml(badge.imageUrl)}" alt="${escapeHtml(badge.alt)}"></a>`
+    },
+    {
+        name: 'reStructuredText',
+        snippet: badge => `.. image:: ${badge.imageUrl}\n   :alt: ${badge.alt}\n   :target: ${badge.linkUrl}`
+    }
+];
+
+function initializeBadgeBuilder() {
+    const builder = document.getElementById('badge-builder');
+    if (!builder) return;
+    
+    const kindSelect = document.getElementById('badge-kind');
+    const versionSelect = document.getElementById('badge-version');
+    
+    kindSelect.addEventListener('change', function() {
+        versionSelect.classList.toggle('hidden', this.value !== 'version');
+        renderBadgeBuilder();
+    });
+    versionSelect.addEventListener('change', renderBadgeBuilder);
+    
+    let labelTimeout;
+    document.getElementById('badge-label').addEventListener('input', function() {
+        clearTimeout(labelTimeout);
+        labelTimeout = setTimeout(renderBadgeBuilder, 300);
+    });
+    
+    document.getElementById('badge-snippets').addEventListener('click', function(event) {
+        const button = event.target.closest('[data-copy-badge]');
+        if (button) {
+            copyBadgeSnippet(badgeFormats[Number(button.getAttribute('data-copy-badge'))]);
+        }
+    });
+    
+    loadZigVersions().then(() => {
+        // Newest first, defaulting to the latest stable release
+        versionSelect.innerHTML = [...zigVersions].reverse()
+            .map(version => `<option value="${escapeHtml(version)}">${escapeHtml(version)}</option>`)
+            .join('');
+        versionSelect.value = latestStableZigVersion() || zigVersions[zigVersions.length - 1] || '';
+        renderBadgeBuilder();
+    });
+    
+    renderBadgeBuilder();
+}
+
+function currentBadge() {
+    const packageName = document.getElementById('badge-builder').getAttribute('data-package');
+    const kind = document.getElementById('badge-kind').value;
+    const version = document.getElementById('badge-version').value;
+    const label = document.getElementById('badge-label').value.trim();
+    
+    let path = `/badges/${encodeURIComponent(packageName)}`;
+    let alt = `Zig compatibility of ${packageName}`;
+    if (kind === 'matrix') {
+        path += '/matrix';
+    } else if (kind === 'version' && version) {
+        path += `/${encodeURIComponent(version)}`;
+        alt = `${packageName} on Zig ${version}`;
+    }
+    if (label) {
+        path += `?${new URLSearchParams({ label }).toString()}`;
+    }
+    
+    return {
+        path,
+        alt,
+        imageUrl: window.location.origin + path,
+        linkUrl: `${window.location.origin}/packages/${encodeURIComponent(packageName)}/builds`
+    };
+}
+
+function renderBadgeBuilder() {
+    const badge = currentBadge();
+    
+    document.getElementById('badge-preview').setAttribute('src', badge.path);
+    document.getElementById('badge-snippets').innerHTML = badgeFormats.map((format, index) => `
+        <div>
+            <div class="flex items-center justify-between mb-1">
+                <span class="text-sm font-medium text-gray-700">${escapeHtml(format.name)}</span>
+                <button data-copy-badge="${index}" class="text-sm text-gray-600 hover:text-zig-orange transition-colors">
+                    <i class="fas fa-copy mr-1"></i>
+                    Copy
+                </button>
+            </div>
+            <pre class="text-xs bg-gray-100 p-3 rounded overflow-x-auto whitespace-pre-wrap break-all">${escapeHtml(format.snippet(badge))}</pre>
+        </div>
+    `).join('');
+}
+
+async function copyBadgeSnippet(format) {
+    try {
+        await navigator.clipboard.writeText(format.snippet(currentBadge()));
+        showToast('success', `${format.name} badge snippet copied`);
+    } catch (error) {
+        console.error('Error copying badge snippet:', error);
+        showToast('error', 'Could not copy the snippet. Select it and copy it instead.');
     }
 }
 
 // Admin functionality
 let adminToken = null;
 let isAdminMode = false;
+let adminStatusTimer = null;
+
+const adminStatusRefreshInterval = 15000;
 
 function initializeAdminFeatures() {
     // Check if admin token is stored in localStorage
@@ -459,11 +5215,13 @@ function initializeAdminFeatures() {
     
     // Add admin login button to navigation if not already present
     addAdminLoginButton();
+    initializeAdminPanel();
     
-    // Initialize admin panel if on packages page
-    if (document.getElementById('packages-grid')) {
-        initializeAdminPanel();
-    }
+    document.addEventListener('keydown', function(event) {
+        if (event.key === 'Escape') {
+            closeAdminLogin();
+        }
+    });
 }
 
 function addAdminLoginButton() {
@@ -480,88 +5238,696 @@ function addAdminLoginButton() {
 }
 
 function showAdminLogin() {
-    const token = prompt('Enter admin token:');
-    if (token) {
+    let modal = document.getElementById('admin-login-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'admin-login-modal';
+        modal.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4';
+        modal.innerHTML = `
+            <form id="admin-login-form" class="bg-white rounded-lg shadow-xl w-full max-w-sm p-6" role="dialog" aria-modal="true" aria-labelledby="admin-login-title">
+                <h3 id="admin-login-title" class="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                    <i class="fas fa-user-shield text-zig-orange"></i>
+                    Admin Login
+                </h3>
+                <label for="admin-token-input" class="block text-sm font-medium text-gray-700 mb-2">Admin token</label>
+                <input type="password" id="admin-token-input" autocomplete="off" required
+                       class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-zig-orange focus:border-transparent">
+                <p id="admin-login-error" class="hidden mt-2 text-sm text-red-600"></p>
+                <div class="flex justify-end gap-3 mt-6">
+                    <button type="button" onclick="closeAdminLogin()" class="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium">
+                        Cancel
+                    </button>
+                    <button type="submit" id="admin-login-submit" class="px-4 py-2 bg-zig-orange text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium">
+                        Sign In
+                    </button>
+                </div>
+            </form>
+        `;
+        modal.addEventListener('click', function(event) {
+            if (event.target === modal) {
+                closeAdminLogin();
+            }
+        });
+        modal.querySelector('form').addEventListener('submit', submitAdminLogin);
+        document.body.appendChild(modal);
+    }
+    
+    modal.classList.remove('hidden');
+    setAdminLoginError('');
+    
+    const input = document.getElementById('admin-token-input');
+    input.value = '';
+    input.focus();
+}
+
+function closeAdminLogin() {
+    const modal = document.getElementById('admin-login-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+function setAdminLoginError(message) {
+    const error = document.getElementById('admin-login-error');
+    if (!error) return;
+    
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+}
+
+async function submitAdminLogin(event) {
+    event.preventDefault();
+    
+    const token = document.getElementById('admin-token-input').value.trim();
+    if (!token) {
+        setAdminLoginError('Enter the admin token.');
+        return;
+    }
+    
+    const submitButton = document.getElementById('admin-login-submit');
+    submitButton.disabled = true;
+    submitButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i> Checking...';
+    
+    const result = await checkAdminToken(token);
+    
+    submitButton.disabled = false;
+    submitButton.textContent = 'Sign In';
+    
+    if (result.ok) {
         adminToken = token;
-        localStorage.setItem('admin_token', token);
-        verifyAdminToken();
+        writeStorage('admin_token', token);
+        isAdminMode = true;
+        updateAdminUI();
+        closeAdminLogin();
+        renderAdminStatus(result.data);
+        showToast('success', 'Signed in as admin');
+    } else if (result.status === 401) {
+        setAdminLoginError('The server rejected this token.');
+    } else {
+        setAdminLoginError(result.error);
+    }
+}
+
+async function checkAdminToken(token) {
+    try {
+        const response = await fetch('/admin/status', {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+        
+        if (response.ok) {
+            return { ok: true, status: response.status, data: await response.json() };
+        }
+        
+        return { ok: false, status: response.status, error: `Server responded with ${response.status}.` };
+    } catch (error) {
+        console.error('Error verifying admin token:', error);
+        return { ok: false, status: 0, error: 'Could not reach the server. Check your connection and try again.' };
+    }
+}
+
+async function verifyAdminToken() {
+    if (!adminToken) return;
+    
+    const result = await checkAdminToken(adminToken);
+    
+    if (result.ok) {
+        isAdminMode = true;
+        console.log('Admin authentication successful');
+        renderAdminStatus(result.data);
+    } else if (result.status === 401) {
+        clearAdminSession();
+        showToast('error', 'Your saved admin token is no longer valid. Please sign in again.');
+    } else {
+        // Keep the stored token so a later page load can retry
+        isAdminMode = false;
+        showToast('error', `Could not verify admin token: ${result.error}`);
+    }
+    
+    updateAdminUI();
+}
+
+function clearAdminSession() {
+    isAdminMode = false;
+    adminToken = null;
+    localStorage.removeItem('admin_token');
+}
+
+function handleAdminUnauthorized() {
+    clearAdminSession();
+    updateAdminUI();
+    showToast('error', 'Admin session expired. Please sign in again.');
+}
+
+function updateAdminUI() {
+    const adminButton = document.getElementById('admin-login-btn');
+    if (adminButton) {
+        adminButton.innerHTML = isAdminMode ? '<i class="fas fa-user-shield mr-1"></i> Admin' : '<i class="fas fa-key mr-1"></i> Admin Login';
+        adminButton.onclick = isAdminMode ? showAdminPanel : showAdminLogin;
+    }
+    
+    // Update package cards with admin buttons
+    if (isAdminMode && document.getElementById('packages-grid')) {
+        addAdminButtonsToPackages();
+        initializeBulkActions();
+    }
+    
+    if (!isAdminMode) {
+        hideAdminPanel();
+        removeBulkActions();
+        document.querySelectorAll('.admin-trigger-btn').forEach(btn => btn.remove());
+    }
+    
+    // Show or hide admin-only controls rendered by templates
+    document.querySelectorAll('.admin-only').forEach(element => {
+        element.classList.toggle('hidden', !isAdminMode);
+    });
+}
+
+function initializeAdminPanel() {
+    if (document.getElementById('admin-panel')) return;
+    
+    // Add admin control panel
+    const adminPanel = document.createElement('div');
+    adminPanel.id = 'admin-panel';
+    adminPanel.className = 'hidden fixed inset-x-4 bottom-4 sm:inset-x-auto sm:bottom-auto sm:top-32 sm:right-4 sm:w-80 z-40 bg-white border border-gray-300 rounded-lg shadow-lg p-4 max-h-[80vh] overflow-y-auto';
+    adminPanel.innerHTML = `
+        <div class="flex items-center justify-between mb-3">
+            <h3 class="text-lg font-bold text-gray-900">Admin Panel</h3>
+            <button onclick="hideAdminPanel()" class="text-gray-400 hover:text-gray-600" aria-label="Close admin panel">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+        <div id="admin-status-card" class="mb-4 text-sm text-gray-500">
+            <i class="fas fa-spinner fa-spin mr-1"></i> Loading status...
+        </div>
+        <div class="space-y-2">
+            <button onclick="refreshAdminStatus()" class="w-full px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors text-sm">
+                <i class="fas fa-sync-alt mr-2"></i>Refresh Status
+            </button>
+            <button onclick="triggerAllBuildsCheck()" class="w-full px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors text-sm">
+                <i class="fas fa-search mr-2"></i>Check Stalled Builds
+            </button>
+            <button onclick="logoutAdmin()" class="w-full px-3 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors text-sm">
+                <i class="fas fa-sign-out-alt mr-2"></i>Logout
+            </button>
+        </div>
+    `;
+    
+    document.body.appendChild(adminPanel);
+}
+
+function showAdminPanel() {
+    const panel = document.getElementById('admin-panel');
+    if (!panel) return;
+    
+    if (!panel.classList.contains('hidden')) {
+        hideAdminPanel();
+        return;
+    }
+    
+    panel.classList.remove('hidden');
+    refreshAdminStatus();
+    
+    // Keep the status card live while the panel is open
+    adminStatusTimer = setInterval(function() {
+        if (!document.hidden) {
+            refreshAdminStatus();
+        }
+    }, adminStatusRefreshInterval);
+}
+
+function hideAdminPanel() {
+    const panel = document.getElementById('admin-panel');
+    if (panel) {
+        panel.classList.add('hidden');
+    }
+    
+    if (adminStatusTimer) {
+        clearInterval(adminStatusTimer);
+        adminStatusTimer = null;
+    }
+}
+
+async function refreshAdminStatus() {
+    if (!adminToken) return;
+    
+    try {
+        const response = await fetch('/admin/status', {
+            headers: {
+                'Authorization': `Bearer ${adminToken}`
+            }
+        });
+        
+        if (response.status === 401) {
+            handleAdminUnauthorized();
+            return;
+        }
+        
+        const result = await response.json();
+        
+        if (response.ok) {
+            renderAdminStatus(result);
+        } else {
+            renderAdminStatusError(`Failed to get system status: ${result.error || response.statusText}`);
+        }
+    } catch (error) {
+        console.error('Error getting system status:', error);
+        renderAdminStatusError('Failed to reach the server.');
+    }
+}
+
+function renderAdminStatus(status) {
+    const card = document.getElementById('admin-status-card');
+    if (!card || !status || !status.system || !status.statistics) return;
+    
+    const healthRow = (label, healthy) => `
+        <div class="flex items-center justify-between py-1">
+            <span class="text-gray-700">${label}</span>
+            <span class="flex items-center gap-1 ${healthy ? 'text-green-700' : 'text-red-700'}">
+                <i class="fas fa-circle text-xs"></i>
+                ${healthy ? 'Healthy' : 'Unavailable'}
+            </span>
+        </div>
+    `;
+    const statTile = (label, value, color) => `
+        <div class="bg-gray-50 rounded p-2 text-center">
+            <div class="text-lg font-bold ${color}">${Number(value) || 0}</div>
+            <div class="text-xs text-gray-600">${label}</div>
+        </div>
+    `;
+    
+    card.className = 'mb-4 text-sm';
+    card.innerHTML = `
+        <div class="border rounded-lg p-3 mb-3">
+            ${healthRow('Docker', status.system.docker_available)}
+            ${healthRow('Cron system', status.system.cron_system_running)}
+            ${healthRow('Runtime', status.system.runtime_available)}
+        </div>
+        <div class="grid grid-cols-2 gap-2">
+            ${statTile('Packages', status.statistics.total_packages, 'text-zig-orange')}
+            ${statTile('Total builds', status.statistics.total_builds, 'text-blue-600')}
+            ${statTile('Successful', status.statistics.successful_builds, 'text-green-600')}
+            ${statTile('Failed', status.statistics.failed_builds, 'text-red-600')}
+            ${statTile('Pending', status.statistics.pending_builds, 'text-yellow-600')}
+        </div>
+        <div class="text-xs text-gray-400 mt-2">Updated ${new Date().toLocaleTimeString()}</div>
+    `;
+}
+
+function renderAdminStatusError(message) {
+    const card = document.getElementById('admin-status-card');
+    if (!card) return;
+    
+    card.className = 'mb-4 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3';
+    card.innerHTML = `<i class="fas fa-exclamation-circle mr-1"></i>${escapeHtml(message)}`;
+}
+
+// API documentation console
+// Endpoint blocks on /api with data-api-console get a request builder that sends real requests
+const apiConsoleEndpoints = {
+    'health': { method: 'GET', path: '/api/health' },
+    'list-packages': {
+        method: 'GET',
+        path: '/api/packages',
+        params: [
+            ['search', 'zap'],
+            ['zig_version', '0.14.0,master'],
+            ['status', 'success,failed'],
+            ['license', 'MIT'],
+            ['author', 'zigzap'],
+            ['rules', '0.14.0:success'],
+            ['names', 'zap,zls'],
+            ['sort', 'name | updated | author'],
+            ['page', '1'],
+            ['limit', '20']
+        ]
+    },
+    'submit-package': {
+        method: 'POST',
+        path: '/api/packages',
+        // Name, description and author are read from the repository host
+        body: {
+            url: 'https://github.com/user/my-package',
+            source_type: 'github'
+        }
+    },
+    'github-info': {
+        method: 'POST',
+        path: '/api/github-info',
+        body: { url: 'https://github.com/user/my-package' }
+    },
+    'list-builds': {
+        method: 'GET',
+        path: '/api/builds',
+        params: [
+            ['search', 'zap'],
+            ['zig_version', '0.14.0'],
+            ['status', 'success | failed | pending'],
+            ['sort', 'last_checked_desc'],
+            ['page', '1'],
+            ['limit', '20']
+        ]
+    },
+    'zig-versions': { method: 'GET', path: '/api/zig-versions' },
+    'trigger-build': {
+        method: 'POST',
+        path: '/admin/trigger-build',
+        auth: true,
+        body: { package_name: 'my-package', zig_version: '0.14.0' }
+    },
+    'check-builds': { method: 'POST', path: '/admin/check-builds', auth: true },
+    'admin-status': { method: 'GET', path: '/admin/status', auth: true }
+};
+
+const apiConsoleInputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-zig-orange focus:border-transparent text-sm';
+
+function initializeApiConsole() {
+    document.querySelectorAll('[data-api-console]').forEach(container => {
+        const endpoint = apiConsoleEndpoints[container.getAttribute('data-api-console')];
+        if (endpoint) {
+            mountApiConsole(container, endpoint);
+        }
+    });
+}
+
+function mountApiConsole(container, endpoint) {
+    container.className = 'mt-6 pt-4 border-t border-gray-200';
+    container.innerHTML = renderApiConsole(endpoint);
+    
+    const panel = container.querySelector('[data-console-panel]');
+    const toggle = container.querySelector('[data-console-toggle]');
+    toggle.addEventListener('click', function() {
+        const opening = panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !opening);
+        toggle.setAttribute('aria-expanded', String(opening));
+        if (opening) {
+            renderApiConsoleAuth(container, endpoint);
+            renderApiConsoleSnippets(container, endpoint);
+        }
+    });
+    
+    // Snippets follow every edit so they always match what Send would do
+    panel.addEventListener('input', () => renderApiConsoleSnippets(container, endpoint));
+    panel.addEventListener('change', () => renderApiConsoleSnippets(container, endpoint));
+    
+    container.querySelector('[data-console-send]').addEventListener('click', () => sendApiConsoleRequest(container, endpoint));
+    container.querySelector('[data-console-snippets]').addEventListener('click', function(event) {
+        const button = event.target.closest('[data-copy-snippet]');
+        if (button) {
+            copyApiConsoleSnippet(container, endpoint, button.getAttribute('data-copy-snippet'));
+        }
+    });
+}
+
+function renderApiConsole(endpoint) {
+    const params = endpoint.params || [];
+    
+    return `
+        <button data-console-toggle aria-expanded="false" class="text-sm font-medium text-zig-orange hover:text-orange-600 transition-colors">
+            <i class="fas fa-play-circle mr-1"></i>
+            Try it
+        </button>
+        <div data-console-panel class="hidden mt-4 space-y-4">
+            ${params.length > 0 ? `
+                <div>
+                    <h4 class="font-bold text-gray-700 mb-2 text-sm">Query Parameters</h4>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        ${params.map(([name, example]) => `
+                            <label class="block">
+                                <span class="block text-xs font-mono text-gray-600 mb-1">${escapeHtml(name)}</span>
+                                <input type="text" data-console-param="${escapeHtml(name)}" placeholder="${escapeHtml(example)}" class="${apiConsoleInputClass}">
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            ${endpoint.body ? `
+                <label class="block">
+                    <span class="block font-bold text-gray-700 mb-2 text-sm">Request Body (JSON)</span>
+                    <textarea data-console-body rows="${Object.keys(endpoint.body).length + 2}" spellcheck="false" class="${apiConsoleInputClass} font-mono">${escapeHtml(JSON.stringify(endpoint.body, null, 2))}</textarea>
+                </label>
+            ` : ''}
+            <div data-console-auth class="text-sm"></div>
+            <div class="flex items-center gap-3">
+                <button data-console-send class="bg-zig-orange text-white px-4 py-2 rounded-md hover:bg-orange-600 transition-colors text-sm font-medium">
+                    <i class="fas fa-paper-plane mr-2"></i>
+                    Send ${escapeHtml(endpoint.method)} ${escapeHtml(endpoint.path)}
+                </button>
+                <span data-console-status class="text-sm"></span>
+            </div>
+            <pre data-console-response class="hidden bg-gray-900 text-gray-100 p-4 rounded-lg overflow-auto max-h-96 text-xs"></pre>
+            <div data-console-snippets class="space-y-3"></div>
+        </div>
+    `;
+}
+
+function renderApiConsoleAuth(container, endpoint) {
+    const auth = container.querySelector('[data-console-auth]');
+    
+    // Only admin routes look at the token; checked by default there once one is stored
+    if (!adminToken) {
+        auth.innerHTML = endpoint.auth
+            ? '<span class="text-yellow-700"><i class="fas fa-lock mr-1"></i>Requires the admin token. Log in as admin to send it from here.</span>'
+            : '';
+        return;
+    }
+    
+    const checkbox = auth.querySelector('[data-console-use-token]');
+    const checked = checkbox ? checkbox.checked : Boolean(endpoint.auth);
+    auth.innerHTML = `
+        <label class="inline-flex items-center gap-2 text-gray-700">
+            <input type="checkbox" data-console-use-token ${checked ? 'checked' : ''}>
+            Send stored admin token as <code>Authorization: Bearer …</code>
+        </label>
+    `;
+}
+
+// The request the console would send right now: { url, method, headers, body, bodyError, useToken }
+function buildApiConsoleRequest(container, endpoint) {
+    const params = new URLSearchParams();
+    container.querySelectorAll('[data-console-param]').forEach(input => {
+        const value = input.value.trim();
+        if (value) {
+            params.set(input.getAttribute('data-console-param'), value);
+        }
+    });
+    
+    const query = params.toString();
+    const request = {
+        method: endpoint.method,
+        url: window.location.origin + endpoint.path + (query ? `?${query}` : ''),
+        headers: {},
+        body: null,
+        bodyError: null,
+        useToken: Boolean(adminToken && container.querySelector('[data-console-use-token]:checked'))
+    };
+    
+    const bodyInput = container.querySelector('[data-console-body]');
+    if (bodyInput && bodyInput.value.trim()) {
+        request.headers['Content-Type'] = 'application/json';
+        request.body = bodyInput.value;
+        try {
+            request.json = JSON.parse(bodyInput.value);
+        } catch (error) {
+            request.bodyError = error.message;
+        }
     }
+    
+    return request;
 }
 
-async function verifyAdminToken() {
-    if (!adminToken) return;
+async function sendApiConsoleRequest(container, endpoint) {
+    const request = buildApiConsoleRequest(container, endpoint);
+    const status = container.querySelector('[data-console-status]');
+    const output = container.querySelector('[data-console-response]');
+    const sendButton = container.querySelector('[data-console-send]');
+    
+    if (request.bodyError) {
+        status.innerHTML = `<span class="text-red-600"><i class="fas fa-exclamation-circle mr-1"></i>Request body is not valid JSON: ${escapeHtml(request.bodyError)}</span>`;
+        return;
+    }
+    
+    const headers = { ...request.headers };
+    if (request.useToken) {
+        headers['Authorization'] = `Bearer ${adminToken}`;
+    }
     
+    sendButton.disabled = true;
+    status.innerHTML = '<span class="text-gray-500"><i class="fas fa-spinner fa-spin mr-1"></i>Sending…</span>';
+    
+    const started = performance.now();
     try {
-        const response = await fetch('/admin/status', {
-            headers: {
-                'Authorization': `Bearer ${adminToken}`
-            }
-        });
+        const response = await fetch(request.url, { method: request.method, headers, body: request.body });
+        const text = await response.text();
+        const elapsed = Math.round(performance.now() - started);
         
-        if (response.ok) {
-            isAdminMode = true;
-            console.log('Admin authentication successful');
-            updateAdminUI();
-        } else {
-            isAdminMode = false;
-            adminToken = null;
-            localStorage.removeItem('admin_token');
-            console.log('Admin authentication failed');
-            updateAdminUI();
-        }
+        const color = response.ok ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800';
+        status.innerHTML = `
+            <span class="px-2 py-0.5 rounded-full font-medium ${color}">${response.status} ${escapeHtml(response.statusText)}</span>
+            <span class="text-gray-500 ml-2">${elapsed} ms</span>
+        `;
+        output.textContent = prettyApiConsoleBody(text) || '(empty response)';
+        output.classList.remove('hidden');
     } catch (error) {
-        console.error('Error verifying admin token:', error);
-        isAdminMode = false;
-        adminToken = null;
-        localStorage.removeItem('admin_token');
-        updateAdminUI();
+        console.error('API console request failed:', error);
+        status.innerHTML = `<span class="text-red-600"><i class="fas fa-exclamation-circle mr-1"></i>Network error: ${escapeHtml(error.message)}</span>`;
+        output.classList.add('hidden');
+    } finally {
+        sendButton.disabled = false;
     }
 }
 
-function updateAdminUI() {
-    const adminButton = document.getElementById('admin-login-btn');
-    if (adminButton) {
-        adminButton.innerHTML = isAdminMode ? '<i class="fas fa-user-shield mr-1"></i> Admin' : '<i class="fas fa-key mr-1"></i> Admin Login';
-        adminButton.onclick = isAdminMode ? showAdminPanel : showAdminLogin;
+function prettyApiConsoleBody(text) {
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+        return text;
     }
-    
-    // Update package cards with admin buttons
-    if (isAdminMode && document.getElementById('packages-grid')) {
-        addAdminButtonsToPackages();
+}
+
+// Snippets use a placeholder instead of the stored token so they are safe to paste anywhere
+const apiConsoleSnippets = {
+    curl: request => {
+        const lines = [`curl -X ${request.method} ${shellQuote(request.url)}`];
+        Object.entries(request.headers).forEach(([name, value]) => lines.push(`  -H ${shellQuote(`${name}: ${value}`)}`));
+        if (request.useToken) {
+            lines.push('  -H "Authorization: Bearer $ADMIN_TOKEN"');
+        }
+        if (request.body !== null) {
+            lines.push(`  -d ${shellQuote(request.json !== undefined ? JSON.stringify(request.json) : request.body)}`);
+        }
+        return lines.join(' \\\n');
+    },
+    fetch: request => {
+        const headers = Object.entries(request.headers).map(([name, value]) => `    ${JSON.stringify(name)}: ${JSON.stringify(value)}`);
+        if (request.useToken) {
+            headers.push('    "Authorization": `Bearer ${ADMIN_TOKEN}`');
+        }
+        
+        const options = [`  method: ${JSON.stringify(request.method)}`];
+        if (headers.length > 0) {
+            options.push(`  headers: {\n${headers.join(',\n')}\n  }`);
+        }
+        if (request.body !== null) {
+            options.push(request.json !== undefined
+                ? `  body: JSON.stringify(${JSON.stringify(request.json, null, 2).replace(/\n/g, '\n  ')})`
+                : `  body: ${JSON.stringify(request.body)}`);
+        }
+        
+        return `const response = await fetch(${JSON.stringify(request.url)}, {\n${options.join(',\n')}\n});\nconst data = await response.json();`;
     }
+};
+
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
 }
 
-function initializeAdminPanel() {
-    if (!isAdminMode) return;
+function renderApiConsoleSnippets(container, endpoint) {
+    const request = buildApiConsoleRequest(container, endpoint);
     
-    // Add admin control panel
-    const adminPanel = document.createElement('div');
-    adminPanel.id = 'admin-panel';
-    adminPanel.className = 'fixed top-32 right-4 z-40 bg-white border border-gray-300 rounded-lg shadow-lg p-4 w-64';
-    adminPanel.style.display = 'none';
-    adminPanel.innerHTML = `
-        <h3 class="text-lg font-bold mb-3 text-gray-900">Admin Panel</h3>
-        <div class="space-y-2">
-            <button onclick="triggerAllBuildsCheck()" class="w-full px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors text-sm">
-                <i class="fas fa-search mr-2"></i>Check Stalled Builds
-            </button>
-            <button onclick="showSystemStatus()" class="w-full px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors text-sm">
-                <i class="fas fa-info-circle mr-2"></i>System Status
-            </button>
-            <button onclick="logoutAdmin()" class="w-full px-3 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors text-sm">
-                <i class="fas fa-sign-out-alt mr-2"></i>Logout
-            </button>
+    container.querySelector('[data-console-snippets]').innerHTML = Object.keys(apiConsoleSnippets).map(name => `
+        <div>
+            <div class="flex items-center justify-between mb-1">
+                <span class="text-sm font-bold text-gray-700">${name === 'curl' ? 'curl' : 'JavaScript (fetch)'}</span>
+                <button data-copy-snippet="${name}" class="text-sm text-gray-600 hover:text-zig-orange transition-colors">
+                    <i class="fas fa-copy mr-1"></i>
+                    Copy
+                </button>
+            </div>
+            <pre class="bg-gray-900 text-green-400 p-3 rounded-lg overflow-x-auto text-xs">${escapeHtml(apiConsoleSnippets[name](request))}</pre>
         </div>
+    `).join('');
+}
+
+async function copyApiConsoleSnippet(container, endpoint, name) {
+    try {
+        await navigator.clipboard.writeText(apiConsoleSnippets[name](buildApiConsoleRequest(container, endpoint)));
+        showToast('success', `${name === 'curl' ? 'curl command' : 'fetch snippet'} copied`);
+    } catch (error) {
+        console.error('Error copying snippet:', error);
+        showToast('error', 'Could not copy the snippet. Select it and copy it instead.');
+    }
+}
+
+// Toast notifications and confirmation dialogs
+function showToast(type, message) {
+    let container = document.getElementById('toast-container');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'toast-container';
+        container.className = 'fixed bottom-4 inset-x-4 sm:inset-x-auto sm:right-4 sm:w-96 z-50 space-y-2';
+        container.setAttribute('aria-live', 'polite');
+        document.body.appendChild(container);
+    }
+    
+    const styles = {
+        success: { classes: 'bg-green-50 border-green-300 text-green-800', icon: 'fa-check-circle' },
+        error: { classes: 'bg-red-50 border-red-300 text-red-800', icon: 'fa-exclamation-circle' },
+        info: { classes: 'bg-blue-50 border-blue-300 text-blue-800', icon: 'fa-info-circle' }
+    };
+    const style = styles[type] || styles.info;
+    
+    const toast = document.createElement('div');
+    toast.className = `flex items-start gap-3 border rounded-lg shadow-lg p-3 text-sm ${style.classes}`;
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    toast.innerHTML = `
+        <i class="fas ${style.icon} mt-0.5"></i>
+        <span class="flex-1">${escapeHtml(message)}</span>
+        <button class="opacity-60 hover:opacity-100" aria-label="Dismiss"><i class="fas fa-times"></i></button>
     `;
+    toast.querySelector('button').onclick = () => toast.remove();
+    container.appendChild(toast);
     
-    document.body.appendChild(adminPanel);
+    // Errors stay up longer so they are not missed
+    setTimeout(() => toast.remove(), type === 'error' ? 10000 : 5000);
 }
 
-function showAdminPanel() {
-    const panel = document.getElementById('admin-panel');
-    if (panel) {
-        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
-    }
+function showConfirmDialog(message, confirmLabel = 'Confirm') {
+    return new Promise(resolve => {
+        const dialog = document.createElement('div');
+        dialog.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4';
+        dialog.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl w-full max-w-sm p-6" role="alertdialog" aria-modal="true">
+                <p class="text-gray-800 mb-6">${escapeHtml(message)}</p>
+                <div class="flex justify-end gap-3">
+                    <button data-confirm="false" class="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium">
+                        Cancel
+                    </button>
+                    <button data-confirm="true" class="px-4 py-2 bg-zig-orange text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium">
+                        ${escapeHtml(confirmLabel)}
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        const close = (confirmed) => {
+            document.removeEventListener('keydown', onKeydown);
+            dialog.remove();
+            resolve(confirmed);
+        };
+        const onKeydown = (event) => {
+            if (event.key === 'Escape') {
+                close(false);
+            }
+        };
+        
+        dialog.addEventListener('click', function(event) {
+            if (event.target === dialog) {
+                close(false);
+                return;
+            }
+            const button = event.target.closest('[data-confirm]');
+            if (button) {
+                close(button.getAttribute('data-confirm') === 'true');
+            }
+        });
+        document.addEventListener('keydown', onKeydown);
+        
+        document.body.appendChild(dialog);
+        dialog.querySelector('[data-confirm="true"]').focus();
+    });
 }
 
 function addAdminButtonsToPackages() {
@@ -583,13 +5949,310 @@ function addAdminButtonsToPackages() {
 
 async function triggerPackageBuild(packageName) {
     if (!adminToken) {
-        alert('Admin authentication required');
+        showToast('error', 'Admin authentication required');
         return;
     }
     
-    const confirmed = confirm(`Trigger build for package "${packageName}"?`);
+    const confirmed = await showConfirmDialog(`Trigger build for package "${packageName}"?`, 'Trigger Build');
+    if (!confirmed) return;
+    
+    const outcome = await postTriggerBuild({ package_name: packageName });
+    
+    if (outcome.status === 401) {
+        handleAdminUnauthorized();
+    } else if (outcome.ok) {
+        showToast('success', `Build triggered successfully for ${packageName}`);
+        console.log('Build trigger result:', outcome.result);
+    } else {
+        showToast('error', `Failed to trigger build for ${packageName}: ${outcome.error}`);
+        console.error('Build trigger error:', outcome.result);
+    }
+}
+
+// Bulk admin actions on the packages grid
+const bulkBuildConcurrency = 3;
+
+let isSelectionMode = false;
+let bulkBuildRunning = false;
+let lastPackagesTotal = null;
+const selectedPackages = new Set();
+
+function initializeBulkActions() {
+    const grid = document.getElementById('packages-grid');
+    if (!grid || document.getElementById('bulk-actions-bar')) return;
+    
+    const bar = document.createElement('div');
+    bar.id = 'bulk-actions-bar';
+    bar.className = 'bg-white rounded-lg shadow-sm border p-4 mb-6';
+    grid.parentNode.insertBefore(bar, grid);
+    
+    renderBulkActionsBar();
+}
+
+function removeBulkActions() {
+    isSelectionMode = false;
+    selectedPackages.clear();
+    
+    const bar = document.getElementById('bulk-actions-bar');
+    if (bar) {
+        bar.remove();
+    }
+    document.querySelectorAll('.bulk-select-label').forEach(label => label.remove());
+}
+
+function renderBulkActionsBar() {
+    const bar = document.getElementById('bulk-actions-bar');
+    if (!bar) return;
+    
+    const progress = document.getElementById('bulk-build-progress');
+    
+    if (!isSelectionMode) {
+        bar.innerHTML = `
+            <div class="flex flex-wrap items-center justify-between gap-3">
+                <span class="text-sm text-gray-600"><i class="fas fa-user-shield mr-1"></i>Admin bulk actions</span>
+                <button onclick="toggleSelectionMode()" class="px-3 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm font-medium">
+                    <i class="fas fa-check-square mr-1"></i>Select Packages
+                </button>
+            </div>
+        `;
+    } else {
+        const matchingLabel = lastPackagesTotal !== null ? `Select All ${lastPackagesTotal} Matching` : 'Select All Matching Filters';
+        const disabled = bulkBuildRunning ? 'disabled' : '';
+        
+        bar.innerHTML = `
+            <div class="flex flex-wrap items-center gap-3">
+                <span class="text-sm font-medium text-gray-900">${selectedPackages.size} selected</span>
+                <button onclick="selectAllOnPage()" ${disabled} class="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm">Select All on Page</button>
+                <button onclick="selectAllMatching()" ${disabled} class="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm">${matchingLabel}</button>
+                <button onclick="clearPackageSelection()" ${disabled} class="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm">Clear</button>
+                <div class="flex-1"></div>
+                <button onclick="triggerSelectedBuilds()" ${disabled || (selectedPackages.size === 0 ? 'disabled' : '')} class="px-3 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed">
+                    <i class="fas fa-hammer mr-1"></i>Trigger Builds
+                </button>
+                <button onclick="toggleSelectionMode()" ${disabled} class="px-3 py-2 text-gray-600 hover:text-gray-900 text-sm">Done</button>
+            </div>
+        `;
+    }
+    
+    // Keep the progress list from the last bulk run visible
+    if (progress) {
+        bar.appendChild(progress);
+    }
+}
+
+function toggleSelectionMode() {
+    isSelectionMode = !isSelectionMode;
+    if (!isSelectionMode) {
+        selectedPackages.clear();
+    }
+    
+    syncSelectionCheckboxes();
+    renderBulkActionsBar();
+}
+
+function syncSelectionCheckboxes() {
+    document.querySelectorAll('#packages-grid [data-name]').forEach(card => {
+        const packageName = card.getAttribute('data-name');
+        let label = card.querySelector('.bulk-select-label');
+        
+        if (!isSelectionMode) {
+            if (label) label.remove();
+            return;
+        }
+        
+        if (!label) {
+            label = document.createElement('label');
+            label.className = 'bulk-select-label flex items-center gap-2 px-6 pt-4 text-sm text-gray-600 cursor-pointer';
+            label.innerHTML = '<input type="checkbox" class="bulk-select-checkbox h-4 w-4"> Select';
+            label.querySelector('input').addEventListener('change', function(event) {
+                if (event.target.checked) {
+                    selectedPackages.add(packageName);
+                } else {
+                    selectedPackages.delete(packageName);
+                }
+                renderBulkActionsBar();
+            });
+            card.insertBefore(label, card.firstChild);
+        }
+        
+        label.querySelector('input').checked = selectedPackages.has(packageName);
+    });
+}
+
+function selectAllOnPage() {
+    document.querySelectorAll('#packages-grid [data-name]').forEach(card => {
+        selectedPackages.add(card.getAttribute('data-name'));
+    });
+    
+    syncSelectionCheckboxes();
+    renderBulkActionsBar();
+}
+
+async function selectAllMatching() {
+    try {
+        const names = await fetchAllMatchingPackageNames();
+        names.forEach(name => selectedPackages.add(name));
+        showToast('info', `Selected ${names.length} packages matching the current filters`);
+    } catch (error) {
+        console.error('Error selecting matching packages:', error);
+        showToast('error', 'Failed to load packages matching the current filters.');
+    }
+    
+    syncSelectionCheckboxes();
+    renderBulkActionsBar();
+}
+
+async function fetchAllMatchingPackageNames() {
+    const packages = await fetchAllMatchingPackages();
+    return packages.map(pkg => pkg.name);
+}
+
+// Every package matching the current filters, not just the loaded page
+async function fetchAllMatchingPackages() {
+    // An empty watchlist has nothing to ask the server for
+    if (currentFilters.view === 'mine' && watchedPackageNames().length === 0) return [];
+    
+    // Pages come fresh from the server, so cached pages from before a build finished are not mixed in
+    const packages = await fetchAllPackages(packagesApiParams(filtersToUrlParams()), { ttl: 0 });
+    lastPackagesTotal = packages.length;
+    return packages;
+}
+
+function clearPackageSelection() {
+    selectedPackages.clear();
+    syncSelectionCheckboxes();
+    renderBulkActionsBar();
+}
+
+async function triggerSelectedBuilds() {
+    const packageNames = Array.from(selectedPackages);
+    if (packageNames.length === 0 || bulkBuildRunning) return;
+    
+    const confirmed = await showConfirmDialog(`Trigger builds for ${packageNames.length} packages?`, 'Trigger Builds');
     if (!confirmed) return;
     
+    await runBulkBuilds(packageNames);
+}
+
+async function runBulkBuilds(packageNames) {
+    bulkBuildRunning = true;
+    renderBulkActionsBar();
+    renderBulkBuildProgress(packageNames);
+    
+    const queue = [...packageNames];
+    const failures = [];
+    let succeeded = 0;
+    let unauthorized = false;
+    
+    // Each worker pulls the next package until the queue is empty
+    const worker = async () => {
+        while (queue.length > 0 && !unauthorized) {
+            const packageName = queue.shift();
+            setBulkBuildRowStatus(packageName, 'running');
+            
+            const outcome = await postTriggerBuild({ package_name: packageName });
+            if (outcome.status === 401) {
+                unauthorized = true;
+                setBulkBuildRowStatus(packageName, 'failed', 'Unauthorized');
+                failures.push({ packageName, error: 'Unauthorized' });
+            } else if (outcome.ok) {
+                succeeded++;
+                setBulkBuildRowStatus(packageName, 'success');
+            } else {
+                failures.push({ packageName, error: outcome.error });
+                setBulkBuildRowStatus(packageName, 'failed', outcome.error);
+            }
+        }
+    };
+    
+    const workers = [];
+    for (let i = 0; i < Math.min(bulkBuildConcurrency, packageNames.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    
+    // Packages left in the queue after an auth failure were never sent
+    queue.forEach(packageName => {
+        failures.push({ packageName, error: 'Skipped' });
+        setBulkBuildRowStatus(packageName, 'failed', 'Skipped');
+    });
+    
+    bulkBuildRunning = false;
+    renderBulkBuildSummary(succeeded, failures);
+    renderBulkActionsBar();
+    
+    if (unauthorized) {
+        handleAdminUnauthorized();
+    } else if (failures.length > 0) {
+        showToast('error', `${failures.length} of ${packageNames.length} builds failed to start`);
+    } else {
+        showToast('success', `Builds triggered for ${succeeded} packages`);
+    }
+}
+
+function renderBulkBuildProgress(packageNames) {
+    let progress = document.getElementById('bulk-build-progress');
+    if (!progress) {
+        progress = document.createElement('div');
+        progress.id = 'bulk-build-progress';
+        progress.className = 'mt-4 border-t pt-4';
+        document.getElementById('bulk-actions-bar').appendChild(progress);
+    }
+    
+    progress.innerHTML = `
+        <div id="bulk-build-summary" class="text-sm text-gray-700 mb-2">
+            <i class="fas fa-spinner fa-spin mr-1"></i>Triggering ${packageNames.length} builds...
+        </div>
+        <ul class="max-h-64 overflow-y-auto divide-y text-sm">
+            ${packageNames.map(name => `
+                <li class="flex items-center justify-between gap-3 py-1" data-bulk-package="${escapeHtml(name)}">
+                    <span class="font-medium text-gray-900 truncate">${escapeHtml(name)}</span>
+                    <span data-bulk-status class="text-gray-500">Queued</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function setBulkBuildRowStatus(packageName, status, error) {
+    const progress = document.getElementById('bulk-build-progress');
+    if (!progress) return;
+    
+    const labels = {
+        running: '<span class="text-blue-600"><i class="fas fa-spinner fa-spin mr-1"></i>Sending</span>',
+        success: '<span class="text-green-600"><i class="fas fa-check-circle mr-1"></i>Triggered</span>',
+        failed: `<span class="text-red-600"><i class="fas fa-times-circle mr-1"></i>${escapeHtml(error || 'Failed')}</span>`
+    };
+    
+    findByDataAttribute(progress, 'data-bulk-package', packageName).forEach(row => {
+        row.querySelector('[data-bulk-status]').innerHTML = labels[status];
+    });
+}
+
+function renderBulkBuildSummary(succeeded, failures) {
+    const summary = document.getElementById('bulk-build-summary');
+    if (!summary) return;
+    
+    if (failures.length === 0) {
+        summary.innerHTML = `<i class="fas fa-check-circle text-green-600 mr-1"></i>${succeeded} builds triggered.`;
+        return;
+    }
+    
+    summary.innerHTML = `
+        <div class="text-red-700">
+            <i class="fas fa-exclamation-circle mr-1"></i>${succeeded} builds triggered, ${failures.length} failed:
+        </div>
+        <ul class="list-disc list-inside text-red-700 mt-1">
+            ${failures.map(failure => `<li>${escapeHtml(failure.packageName)}: ${escapeHtml(failure.error)}</li>`).join('')}
+        </ul>
+        <button id="bulk-retry-failed" class="mt-2 px-3 py-1 border border-red-300 text-red-700 rounded hover:bg-red-50 text-sm">
+            <i class="fas fa-redo mr-1"></i>Retry Failed
+        </button>
+    `;
+    document.getElementById('bulk-retry-failed').onclick = () => runBulkBuilds(failures.map(failure => failure.packageName));
+}
+
+async function postTriggerBuild(body) {
     try {
         const response = await fetch('/admin/trigger-build', {
             method: 'POST',
@@ -597,116 +6260,170 @@ async function triggerPackageBuild(packageName) {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${adminToken}`
             },
-            body: JSON.stringify({
-                package_name: packageName
-            })
+            body: JSON.stringify(body)
         });
         
-        const result = await response.json();
-        
+        const result = await response.json().catch(() => ({}));
         if (response.ok) {
-            alert(`Build triggered successfully for ${packageName}`);
-            console.log('Build trigger result:', result);
-        } else {
-            alert(`Failed to trigger build: ${result.error}`);
-            console.error('Build trigger error:', result);
+            // Triggered builds go back to pending
+            invalidateApiCache('/api/packages');
         }
+        
+        return {
+            ok: response.ok,
+            status: response.status,
+            result,
+            error: response.ok ? null : (result.error || `HTTP ${response.status}`)
+        };
     } catch (error) {
         console.error('Error triggering build:', error);
-        alert('Failed to trigger build. Please try again.');
+        return { ok: false, status: 0, result: null, error: 'Network error' };
     }
 }
 
-async function triggerAllBuildsCheck() {
-    if (!adminToken) {
-        alert('Admin authentication required');
+// Row buttons carry the version in data attributes, so package data never ends up in inline handlers
+function initializeBuildResultsActions() {
+    const tableBody = document.getElementById('package-build-results');
+    if (!tableBody) return;
+    
+    tableBody.addEventListener('click', function(event) {
+        const logToggle = event.target.closest('[data-error-log-toggle]');
+        if (logToggle) {
+            toggleErrorLog(logToggle.getAttribute('data-error-log-toggle'));
+            return;
+        }
+        
+        const rebuildButton = event.target.closest('[data-rebuild-version]');
+        if (rebuildButton) {
+            triggerRebuild(rebuildButton.getAttribute('data-rebuild-version'));
+        }
+    });
+}
+
+// Rebuilds from the package build results page
+async function triggerRebuild(zigVersion) {
+    await requestPackageRebuild(zigVersion);
+}
+
+async function triggerAllBuilds() {
+    await requestPackageRebuild(null);
+}
+
+async function requestPackageRebuild(zigVersion) {
+    const tableBody = document.getElementById('package-build-results');
+    if (!tableBody) return;
+    
+    const packageName = tableBody.getAttribute('data-package');
+    const target = zigVersion ? `Zig ${zigVersion}` : 'all Zig versions';
+    
+    if (!adminToken || !isAdminMode) {
+        showRebuildMessage('error', 'Admin authentication required to trigger rebuilds.');
         return;
     }
     
-    const confirmed = confirm('Check for stalled builds and restart them?');
-    if (!confirmed) return;
+    const rows = zigVersion
+        ? findByDataAttribute(tableBody, 'data-zig-version', zigVersion)
+        : Array.from(tableBody.querySelectorAll('tr[data-zig-version]'));
     
-    try {
-        const response = await fetch('/admin/check-builds', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${adminToken}`
-            }
-        });
-        
-        const result = await response.json();
+    // Remember the current cells so a rejected request can restore them
+    const previousCells = rows.map(row => {
+        const cell = row.querySelector('[data-build-status-cell]');
+        return { cell, html: cell ? cell.innerHTML : '' };
+    });
+    rows.forEach(row => updateBuildRowCells(row, { build_status: 'pending' }));
+    
+    const body = { package_name: packageName };
+    if (zigVersion) {
+        body.zig_version = zigVersion;
+    }
+    
+    const outcome = await postTriggerBuild(body);
+    
+    if (outcome.ok) {
+        showRebuildMessage('success', `Rebuild started for ${target}.`);
+        console.log('Rebuild result:', outcome.result);
         
-        if (response.ok) {
-            alert('Build health check completed successfully');
-            console.log('Build check result:', result);
-        } else {
-            alert(`Failed to check builds: ${result.error}`);
-            console.error('Build check error:', result);
+        // Packages without results yet have no rows to update in place
+        if (rows.length === 0) {
+            window.location.reload();
         }
-    } catch (error) {
-        console.error('Error checking builds:', error);
-        alert('Failed to check builds. Please try again.');
+        return;
+    }
+    
+    restoreBuildCells(previousCells);
+    if (outcome.status === 401) {
+        handleAdminUnauthorized();
+    } else {
+        showRebuildMessage('error', `Failed to start rebuild for ${target}: ${outcome.error}`);
+        console.error('Rebuild error:', outcome.result);
     }
 }
 
-async function showSystemStatus() {
+function restoreBuildCells(previousCells) {
+    previousCells.forEach(({ cell, html }) => {
+        if (cell) {
+            cell.innerHTML = html;
+        }
+    });
+}
+
+function showRebuildMessage(type, message) {
+    const messageBox = document.getElementById('rebuild-message');
+    if (!messageBox) return;
+    
+    const styles = {
+        success: 'bg-green-50 text-green-800 border-green-200',
+        error: 'bg-red-50 text-red-800 border-red-200'
+    };
+    const icon = type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle';
+    
+    messageBox.className = `px-6 py-3 text-sm border-b ${styles[type]}`;
+    messageBox.innerHTML = `<i class="fas ${icon} mr-2"></i>${escapeHtml(message)}`;
+}
+
+async function triggerAllBuildsCheck() {
     if (!adminToken) {
-        alert('Admin authentication required');
+        showToast('error', 'Admin authentication required');
         return;
     }
     
+    const confirmed = await showConfirmDialog('Check for stalled builds and restart them?', 'Check Builds');
+    if (!confirmed) return;
+    
     try {
-        const response = await fetch('/admin/status', {
+        const response = await fetch('/admin/check-builds', {
+            method: 'POST',
             headers: {
                 'Authorization': `Bearer ${adminToken}`
             }
         });
         
+        if (response.status === 401) {
+            handleAdminUnauthorized();
+            return;
+        }
+        
         const result = await response.json();
         
         if (response.ok) {
-            const status = `
-System Status:
-- Docker Available: ${result.system.docker_available}
-- Cron System Running: ${result.system.cron_system_running}
-- Runtime Available: ${result.system.runtime_available}
-
-Statistics:
-- Total Packages: ${result.statistics.total_packages}
-- Successful Builds: ${result.statistics.successful_builds}
-- Failed Builds: ${result.statistics.failed_builds}
-- Pending Builds: ${result.statistics.pending_builds}
-- Total Builds: ${result.statistics.total_builds}
-            `;
-            alert(status);
-            console.log('System status:', result);
+            showToast('success', result.status || 'Build health check completed successfully');
+            console.log('Build check result:', result);
+            refreshAdminStatus();
         } else {
-            alert(`Failed to get system status: ${result.error}`);
-            console.error('System status error:', result);
+            showToast('error', `Failed to check builds: ${result.error}`);
+            console.error('Build check error:', result);
         }
     } catch (error) {
-        console.error('Error getting system status:', error);
-        alert('Failed to get system status. Please try again.');
+        console.error('Error checking builds:', error);
+        showToast('error', 'Failed to check builds. Please try again.');
     }
 }
 
-function logoutAdmin() {
-    const confirmed = confirm('Logout from admin mode?');
-    if (confirmed) {
-        isAdminMode = false;
-        adminToken = null;
-        localStorage.removeItem('admin_token');
-        updateAdminUI();
-        
-        // Remove admin panel
-        const panel = document.getElementById('admin-panel');
-        if (panel) {
-            panel.remove();
-        }
-        
-        // Remove admin buttons from packages
-        document.querySelectorAll('.admin-trigger-btn').forEach(btn => btn.remove());
-        
-        alert('Logged out from admin mode');
-    }
+async function logoutAdmin() {
+    const confirmed = await showConfirmDialog('Logout from admin mode?', 'Logout');
+    if (!confirmed) return;
+    
+    clearAdminSession();
+    updateAdminUI();
+    showToast('info', 'Logged out from admin mode');
 }
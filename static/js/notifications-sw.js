@@ -0,0 +1,137 @@
+// Zig Package Checker - Service worker for watched package notifications
+//
+// The page syncs the watch settings (packages, versions) and asks for checks; the worker
+// compares current build statuses with the last ones it saw and notifies on success/failed flips.
+// Settings and seen statuses are kept in Cache Storage because workers cannot read localStorage.
+
+const stateCacheName = 'watch-notifications';
+const configUrl = '/__watch-notifications/config';
+const seenStatusesUrl = '/__watch-notifications/seen';
+const periodicCheckTag = 'watched-packages-check';
+
+let checkInProgress = null;
+
+self.addEventListener('install', function() {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', function(event) {
+    const message = event.data || {};
+
+    // Each sync carries the current settings so a check never runs on stale ones
+    if (message.type === 'sync' && message.config) {
+        event.waitUntil(writeState(configUrl, message.config).then(checkWatchedPackages));
+    }
+});
+
+// Browsers that support Periodic Background Sync run checks without an open tab
+self.addEventListener('periodicsync', function(event) {
+    if (event.tag === periodicCheckTag) {
+        event.waitUntil(checkWatchedPackages());
+    }
+});
+
+self.addEventListener('notificationclick', function(event) {
+    event.notification.close();
+
+    const url = (event.notification.data && event.notification.data.url) || '/packages';
+    event.waitUntil(focusOrOpen(url));
+});
+
+async function focusOrOpen(url) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const target = new URL(url, self.location.origin).href;
+
+    const existing = windows.find(client => client.url === target);
+    if (existing) {
+        return existing.focus();
+    }
+    return self.clients.openWindow(target);
+}
+
+async function readState(url, fallback) {
+    try {
+        const cache = await caches.open(stateCacheName);
+        const response = await cache.match(url);
+        return response ? await response.json() : fallback;
+    } catch (error) {
+        console.error('Error reading notification state:', error);
+        return fallback;
+    }
+}
+
+async function writeState(url, value) {
+    const cache = await caches.open(stateCacheName);
+    await cache.put(url, new Response(JSON.stringify(value), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+function checkWatchedPackages() {
+    // Checks requested while one is running share its result
+    if (!checkInProgress) {
+        checkInProgress = runCheck().finally(() => {
+            checkInProgress = null;
+        });
+    }
+    return checkInProgress;
+}
+
+async function runCheck() {
+    const config = await readState(configUrl, null);
+    if (!config || !config.enabled || !Array.isArray(config.packages) || config.packages.length === 0) return;
+    if (self.Notification && Notification.permission !== 'granted') return;
+
+    let data;
+    try {
+        const params = new URLSearchParams({ names: config.packages.join(','), limit: config.packages.length });
+        const response = await fetch(`/api/packages?${params.toString()}`, { cache: 'no-store' });
+        if (!response.ok) return;
+        data = await response.json();
+    } catch (error) {
+        console.error('Error checking watched packages:', error);
+        return;
+    }
+
+    const versions = Array.isArray(config.versions) ? config.versions : [];
+    const seen = await readState(seenStatusesUrl, {});
+    const flips = [];
+
+    data.packages.forEach(pkg => {
+        const seenForPackage = seen[pkg.name] || {};
+
+        (pkg.build_results || []).forEach(result => {
+            // Pending builds are skipped so success -> pending -> failed still counts as a flip
+            if (result.build_status !== 'success' && result.build_status !== 'failed') return;
+
+            const previous = seenForPackage[result.zig_version];
+            seenForPackage[result.zig_version] = result.build_status;
+
+            if (versions.length > 0 && !versions.includes(result.zig_version)) return;
+            if (previous && previous !== result.build_status) {
+                flips.push({ name: pkg.name, version: result.zig_version, status: result.build_status });
+            }
+        });
+
+        seen[pkg.name] = seenForPackage;
+    });
+
+    await writeState(seenStatusesUrl, seen);
+
+    await Promise.all(flips.map(flip => self.registration.showNotification(
+        flip.status === 'failed'
+            ? `${flip.name} stopped building on Zig ${flip.version}`
+            : `${flip.name} builds again on Zig ${flip.version}`,
+        {
+            body: flip.status === 'failed'
+                ? 'The latest build failed. Open the build results for the error log.'
+                : 'The latest build succeeded.',
+            tag: `${flip.name}@${flip.version}`,
+            data: { url: `/packages/${encodeURIComponent(flip.name)}/builds` }
+        }
+    )));
+}
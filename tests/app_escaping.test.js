@@ -0,0 +1,94 @@
+// Escaping of user-submitted package data in static/js/app.js.
+// Run with `make test-js` (node --test, no dependencies).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// app.js is a browser script; these stand-ins cover what it touches while loading
+function loadApp() {
+    const storage = () => ({ getItem: () => null, setItem() {}, removeItem() {} });
+    const element = () => null;
+    const context = {
+        console,
+        URL,
+        URLSearchParams,
+        setTimeout,
+        clearTimeout,
+        localStorage: storage(),
+        sessionStorage: storage(),
+        history: {},
+        navigator: {},
+        document: {
+            addEventListener() {},
+            getElementById: element,
+            querySelector: element,
+            querySelectorAll: () => []
+        },
+        window: { addEventListener() {}, location: { pathname: '/', search: '', hash: '' } }
+    };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'static', 'js', 'app.js'), 'utf8'), context);
+    return context;
+}
+
+const app = loadApp();
+
+const hostilePackage = {
+    name: '"><script>alert(1)</script>',
+    author: '<img src=x onerror=alert(1)>',
+    description: '</p><script>alert(2)</script>',
+    license: "MIT' onmouseover='alert(3)",
+    url: 'javascript:alert(4)',
+    created_at: '2024-01-01 00:00:00',
+    build_results: [{ zig_version: '0.14.0"><script>alert(5)</script>', build_status: 'success' }]
+};
+
+function attributeValues(html, attribute) {
+    return Array.from(html.matchAll(new RegExp(`\\s${attribute}="([^"]*)"`, 'g')), match => match[1]);
+}
+
+test('safeUrl drops script URLs', () => {
+    assert.equal(app.safeUrl('javascript:alert(1)'), '#');
+    assert.equal(app.safeUrl('  JavaScript:alert(1)'), '#');
+    assert.equal(app.safeUrl('java\tscript:alert(1)'), '#');
+    assert.equal(app.safeUrl('\u0000javascript:alert(1)'), '#');
+    assert.equal(app.safeUrl('data:text/html,<script>alert(1)</script>'), '#');
+    assert.equal(app.safeUrl('vbscript:msgbox(1)', '/fallback'), '/fallback');
+});
+
+test('safeUrl keeps web links and escapes them for attributes', () => {
+    assert.equal(app.safeUrl('https://github.com/owner/repo'), 'https://github.com/owner/repo');
+    assert.equal(app.safeUrl('/packages?a=1&b=2'), '/packages?a=1&amp;b=2');
+    assert.equal(app.safeUrl('https://example.com/"><script>'), 'https://example.com/&quot;&gt;&lt;script&gt;');
+});
+
+test('packagePath encodes the name as one path segment', () => {
+    assert.equal(app.packagePath('zig-sqlite'), '/packages/zig-sqlite');
+    assert.equal(app.packagePath('a/../../admin'), '/packages/a%2F..%2F..%2Fadmin');
+    assert.equal(app.packagePath('"><script>', '/builds'), '/packages/%22%3E%3Cscript%3E/builds');
+    assert.equal(app.packagePath("it's"), '/packages/it&#39;s');
+});
+
+test('renderPackageCard escapes every submitted field', () => {
+    const html = app.renderPackageCard(hostilePackage);
+
+    assert.ok(!html.includes('<script'), 'no script element');
+    assert.ok(!html.includes('<img'), 'no injected element');
+    (html.match(/<[a-z][^>]*>/gi) || []).forEach(tag => {
+        assert.ok(!/\son\w+=/i.test(tag.replace(/"[^"]*"/g, '""')), `event handler in ${tag}`);
+    });
+    assert.ok(html.includes('&lt;script&gt;alert(2)&lt;/script&gt;'), 'description is shown as text');
+    assert.ok(html.includes('MIT&#39; onmouseover=&#39;alert(3)'), 'license is shown as text');
+});
+
+test('renderPackageCard attributes stay inside their quotes', () => {
+    const html = app.renderPackageCard(hostilePackage);
+
+    assert.deepEqual(attributeValues(html, 'data-name'), ['&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;']);
+    attributeValues(html, 'href').forEach(href => {
+        assert.ok(href === '#' || href.startsWith('/packages/'), `unexpected link ${href}`);
+        assert.ok(!/javascript:/i.test(href), `script link ${href}`);
+    });
+});